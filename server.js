@@ -1,8 +1,9 @@
+// Load .env before any module below reads its settings (several do while being imported)
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
 
@@ -11,9 +12,20 @@ import manimRoutes from './src/routes/manim.js';
 
 // Import startup services
 import { initializeDirectories, startCleanupScheduler, performInitialCleanup } from './src/services/startup.js';
-
-// Load environment variables
-dotenv.config();
+import { getManimAgent } from './src/services/agentManager.js';
+import { getJobManager } from './src/services/jobManager.js';
+import { getShutdownCoordinator } from './src/services/shutdown.js';
+import { getEnvironmentSummary } from './src/utils/systemUtils.js';
+import { getApiKeyStore } from './src/services/apiKeyStore.js';
+import { openApiSpec } from './src/openapi/spec.js';
+import { listOperations } from './src/openapi/validator.js';
+import { collectPrometheusMetrics } from './src/services/prometheusMetrics.js';
+import { PROMETHEUS_CONTENT_TYPE } from './src/utils/prometheusUtils.js';
+import { createLogger } from './src/utils/logger.js';
+import { attachRequestContext, logRequest, REQUEST_ID_HEADER } from './src/middleware/requestContext.js';
+import { rejectDuringShutdown } from './src/middleware/shutdown.js';
+
+const log = createLogger('server');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -40,6 +52,7 @@ const corsOptions = {
     origin: '*', // Allow all origins by default
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     credentials: true,
+    exposedHeaders: [REQUEST_ID_HEADER],
     optionsSuccessStatus: 200
 };
 
@@ -49,6 +62,13 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request IDs and access logging (after body parsing so the request context survives)
+app.use(attachRequestContext);
+app.use(logRequest);
+
+// New work is refused once a shutdown has started
+app.use(rejectDuringShutdown);
+
 // Serve static files (animations)
 const animationDir = process.env.ANIMATION_OUTPUT_DIR || 'public/animations';
 const fullAnimationPath = path.join(process.cwd(), animationDir);
@@ -70,6 +90,24 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Readiness check: fails as soon as shutdown starts so load balancers stop routing here
+app.get('/ready', (req, res) => {
+    const shuttingDown = getShutdownCoordinator().isShuttingDown();
+
+    res.status(shuttingDown ? 503 : 200).json({
+        success: !shuttingDown,
+        ready: !shuttingDown,
+        ...(shuttingDown && { reason: 'Server is shutting down' }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+    res.send(collectPrometheusMetrics());
+});
+
 // API routes
 app.use('/api/manim', manimRoutes);
 
@@ -78,59 +116,88 @@ app.use('*', (req, res) => {
     res.status(404).json({
         error: 'Route not found',
         success: false,
-        availableRoutes: [
-            'GET /health',
-            'GET /api/manim/status',
-            'POST /api/manim/generate',
-            'POST /api/manim/validate',
-            'POST /api/manim/render'
-        ]
+        availableRoutes: listOperations(openApiSpec),
+        documentation: '/api/manim/docs'
     });
 });
 
 // Global error handler
 app.use((error, req, res, next) => {
-    console.error('Global error handler:', error);
+    log.error('Unhandled request error', error);
     
-    res.status(error.status || 500).json({
-        error: process.env.NODE_ENV === 'production' 
+    const status = error.status || 500;
+    res.status(status).json({
+        // Client errors (e.g. code policy or sandbox violations) describe the request, so keep their message
+        error: process.env.NODE_ENV === 'production' && status >= 500
             ? 'Internal server error' 
             : error.message,
+        ...(error.code && { code: error.code }),
+        ...(error.details?.violations && { violations: error.details.violations }),
+        ...(error.details?.pythonError && { pythonError: error.details.pythonError }),
+        // Job of a failed /render, whose logs show the commands and code versions it ran
+        ...(error.details?.jobId && { jobId: error.details.jobId }),
         success: false,
+        requestId: req.id,
         timestamp: new Date().toISOString()
     });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        console.log('Process terminated');
-    });
-});
+// Graceful shutdown: drain running renders, save unfinished jobs and sessions, then exit
+const shutdown = (signal) => {
+    const coordinator = getShutdownCoordinator();
+    if (coordinator.isShuttingDown()) {
+        log.warn(`${signal} received, shutdown already in progress`);
+        return;
+    }
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    server.close(() => {
-        console.log('Process terminated');
+    log.info(`${signal} received, shutting down gracefully`);
+    coordinator.shutdown({ server, signal }).then(() => {
+        log.info('Process terminated');
+        process.exit(0);
+    }, (error) => {
+        log.error('Graceful shutdown failed', error);
+        process.exit(1);
     });
-});
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start server
 const server = app.listen(PORT, () => {
-    console.log(`🚀 Taxim Backend Server running on port ${PORT}`);
-    console.log(`📁 Animation output directory: ${fullAnimationPath}`);
-    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-    console.log(`🎨 Manim API: http://localhost:${PORT}/api/manim`);
+    log.info(`Taxim Backend Server running on port ${PORT}`, {
+        port: Number(PORT),
+        animationDir: fullAnimationPath,
+        health: `http://localhost:${PORT}/health`,
+        api: `http://localhost:${PORT}/api/manim`,
+        docs: `http://localhost:${PORT}/api/manim/docs`,
+        metrics: `http://localhost:${PORT}/metrics`
+    });
     
     if (process.env.NODE_ENV === 'development') {
-        console.log(`🌐 CORS enabled for: ${corsOptions.origin}`);
+        log.info(`CORS enabled for: ${corsOptions.origin}`);
+    }
+
+    const apiKeyStore = getApiKeyStore();
+    if (apiKeyStore.isEnabled()) {
+        log.info(`API key authentication enabled (${apiKeyStore.keys.size} keys)`);
+    } else {
+        log.warn(`API key authentication disabled: no keys in ${apiKeyStore.keysFile}`);
     }
     
     // Initialize directories and cleanup
     initializeDirectories();
     performInitialCleanup();
     startCleanupScheduler();
+
+    // Create the agent up front so stored sessions are rehydrated at boot
+    getManimAgent();
+
+    // Run the tool version checks now rather than in the first job's environment record
+    getEnvironmentSummary().catch(error => log.warn('Tool version checks failed:', error.message));
+
+    // Jobs saved by the last graceful shutdown run again under their original IDs
+    getJobManager().resumePendingJobs();
 });
 
 export default app;
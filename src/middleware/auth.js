@@ -0,0 +1,122 @@
+/**
+ * API key authentication, roles and quotas (see services/apiKeyStore.js)
+ *
+ * Authenticated requests carry req.apiKey = { id, name, role, quotas }. Each key
+ * gets its own sessions: session IDs from clients are namespaced internally as
+ * "<keyId>:<sessionId>", so two keys can both use "default" without sharing it.
+ * When authentication is disabled req.apiKey is null and everything works as before.
+ */
+
+import { getApiKeyStore } from '../services/apiKeyStore.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('auth');
+
+const SESSION_SCOPE_SEPARATOR = ':';
+
+/**
+ * Read the key from "Authorization: Bearer <key>" or "X-API-Key", or from the
+ * apiKey query parameter on GET requests (EventSource cannot send headers)
+ */
+function readApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    if (/^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    if (req.get('X-API-Key')) {
+        return req.get('X-API-Key').trim();
+    }
+    if (req.method === 'GET' && typeof req.query.apiKey === 'string') {
+        return req.query.apiKey;
+    }
+    return null;
+}
+
+/**
+ * Require a valid API key when authentication is enabled
+ */
+export const authenticate = (req, res, next) => {
+    const store = getApiKeyStore();
+    req.apiKey = null;
+
+    if (!store.isEnabled()) {
+        return next();
+    }
+
+    const key = readApiKey(req);
+    if (!key) {
+        return res.status(401).json({ success: false, error: 'API key required' });
+    }
+
+    const entry = store.authenticate(key);
+    if (!entry) {
+        return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+
+    req.apiKey = { id: entry.id, name: entry.name, role: entry.role, quotas: entry.quotas };
+    next();
+};
+
+/**
+ * Restrict a route to keys with the given role (open when authentication is disabled)
+ */
+export const requireRole = (role) => (req, res, next) => {
+    if (req.apiKey && req.apiKey.role !== role) {
+        return res.status(403).json({ success: false, error: `This endpoint requires an ${role} API key` });
+    }
+    next();
+};
+
+/**
+ * Count the request against the key's daily quota ('generations' or 'renders')
+ */
+export const enforceQuota = (type) => (req, res, next) => {
+    if (!req.apiKey) {
+        return next();
+    }
+
+    const quota = getApiKeyStore().consume(req.apiKey, type);
+    if (!quota.allowed) {
+        log.info(`API key ${req.apiKey.id} exceeded its daily ${type} quota (${quota.limit})`);
+        res.set('Retry-After', String(Math.ceil((new Date(quota.resetsAt) - Date.now()) / 1000)));
+        return res.status(429).json({
+            success: false,
+            error: `Daily ${type} quota exceeded`,
+            quota: { type, limit: quota.limit, used: quota.used, resetsAt: quota.resetsAt }
+        });
+    }
+
+    next();
+};
+
+export const isAdmin = (req) => !req.apiKey || req.apiKey.role === 'admin';
+
+/**
+ * Internal session ID for a client-facing one, namespaced by the caller's key
+ */
+export function scopeSessionId(req, sessionId = 'default') {
+    return req.apiKey ? `${req.apiKey.id}${SESSION_SCOPE_SEPARATOR}${sessionId}` : sessionId;
+}
+
+/**
+ * Key ID that owns an internal session ID (null for sessions created without a key)
+ */
+export function getSessionOwner(sessionId = '') {
+    const index = sessionId.indexOf(SESSION_SCOPE_SEPARATOR);
+    return index === -1 ? null : sessionId.slice(0, index);
+}
+
+/**
+ * Client-facing form of an internal session ID owned by the caller
+ */
+export function unscopeSessionId(req, sessionId) {
+    const prefix = req.apiKey ? `${req.apiKey.id}${SESSION_SCOPE_SEPARATOR}` : null;
+    return prefix && sessionId.startsWith(prefix) ? sessionId.slice(prefix.length) : sessionId;
+}
+
+/**
+ * Whether the caller may see a resource belonging to an internal session ID
+ */
+export function canAccessSession(req, sessionId) {
+    return isAdmin(req) || getSessionOwner(sessionId) === req.apiKey.id;
+}
@@ -0,0 +1,71 @@
+/**
+ * Request correlation IDs (see utils/requestContext.js and utils/logger.js)
+ *
+ * Each request gets an ID, taken from the X-Request-Id header when it is a safe
+ * token or generated otherwise. It is echoed back in X-Request-Id, stored on
+ * req.id and attached to every log line written while handling the request.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { createLogger } from '../utils/logger.js';
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const log = createLogger('http');
+
+// Query parameters that carry secrets (GET requests may authenticate with ?apiKey=)
+const REDACTED_QUERY_PARAMS = ['apiKey'];
+
+/**
+ * Request path and query for logs, with secret query parameters redacted
+ */
+export function getLoggableUrl(req) {
+    const queryStart = req.originalUrl.indexOf('?');
+    if (queryStart === -1) return req.originalUrl;
+
+    const query = new URLSearchParams(req.originalUrl.slice(queryStart + 1));
+    for (const name of REDACTED_QUERY_PARAMS) {
+        if (query.has(name)) query.set(name, '[REDACTED]');
+    }
+    return `${req.originalUrl.slice(0, queryStart)}?${query}`;
+}
+
+/**
+ * Assign the request ID and run the rest of the request inside its context
+ * Mount after the body parsers so their callbacks do not drop the context
+ */
+export const attachRequestContext = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.set(REQUEST_ID_HEADER, req.id);
+
+    runWithRequestContext({ requestId: req.id }, next);
+};
+
+/**
+ * Log each request once it has been answered
+ */
+export const logRequest = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+        const url = getLoggableUrl(req);
+        log[level](`${req.method} ${url} ${res.statusCode}`, {
+            method: req.method,
+            url,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs),
+            ip: req.ip,
+            ...(req.get('Content-Length') && { requestBytes: Number(req.get('Content-Length')) }),
+            ...(req.apiKey && { apiKeyId: req.apiKey.id })
+        });
+    });
+
+    next();
+};
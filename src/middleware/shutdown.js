@@ -0,0 +1,22 @@
+/**
+ * Request handling while the server shuts down (see services/shutdown.js)
+ */
+
+import { getShutdownCoordinator } from '../services/shutdown.js';
+import { ServiceUnavailableError } from '../utils/errorUtils.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Refuse requests that would start work once shutdown has begun
+ * Reads still go through so clients can follow their jobs until the server stops.
+ */
+export const rejectDuringShutdown = (req, res, next) => {
+    if (!getShutdownCoordinator().isShuttingDown() || READ_ONLY_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    res.set('Connection', 'close');
+    res.set('Retry-After', '30');
+    next(new ServiceUnavailableError('Server is shutting down, retry on another instance'));
+};
@@ -2,6 +2,15 @@
  * Request validation middleware for Manim API
  */
 
+import { RENDER_LIMITS, parseResolution, resolveRenderSettings } from '../utils/renderSettings.js';
+import { checkCodePolicy } from '../utils/codePolicy.js';
+import { listScenes } from '../utils/sceneUtils.js';
+import { openApiSpec } from '../openapi/spec.js';
+import { createRequestValidator } from '../openapi/validator.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('validation');
+
 /**
  * Unified error response helper
  */
@@ -15,109 +24,127 @@ export const respondServerError = (res, msg) =>
     res.status(500).json({ success: false, error: msg });
 
 /**
- * Validate prompt parameter
+ * Validate path parameters, query strings and JSON bodies against the OpenAPI
+ * document (see openapi/spec.js); the checks below only cover what a schema cannot
  */
-export const validatePrompt = (req, res, next) => {
-    const { prompt } = req.body;
-
-    if (!prompt) {
-        return respondBadRequest(res, 'Prompt is required');
-    }
-
-    if (typeof prompt !== 'string') {
-        return respondBadRequest(res, 'Prompt must be a string');
-    }
-
-    if (prompt.trim().length === 0) {
-        return respondBadRequest(res, 'Prompt cannot be empty');
-    }
-
-    if (prompt.length > 2000) {
-        return respondBadRequest(res, 'Prompt is too long (maximum 2000 characters)');
-    }
+export const validateRequest = createRequestValidator(openApiSpec);
 
-    // Check for potential toxic content (basic check)
+/**
+ * Reject prompts asking for harmful content; runs after validateRequest
+ */
+export const validatePrompt = (req, res, next) => {
     const toxicPatterns = [
         /\b(hack|exploit|malicious|virus|malware)\b/i,
         /\b(delete|destroy|corrupt)\s+(file|system|data)\b/i
     ];
     
-    if (toxicPatterns.some(pattern => pattern.test(prompt))) {
+    if (toxicPatterns.some(pattern => pattern.test(req.body.prompt))) {
         return respondBadRequest(res, 'Prompt contains potentially harmful content');
     }
 
     // Store cleaned prompt
-    req.body.prompt = prompt.trim();
+    req.body.prompt = req.body.prompt.trim();
     next();
 };
 
 /**
- * Validate code parameter
+ * Normalize submitted code; runs after validateRequest
  */
 export const validateCode = (req, res, next) => {
-    const { code } = req.body;
+    // Store cleaned code
+    req.body.code = req.body.code.trim();
+    next();
+};
 
-    if (!code) {
-        return respondBadRequest(res, 'Code is required');
-    }
+/**
+ * Check that requested scenes (sceneName or scenes) are defined in the code
+ * Must run after validateCode; { requested, available } is stored on req.sceneSelection,
+ * with requested null when the default (first) scene should be rendered
+ */
+export const validateSceneSelection = (req, res, next) => {
+    const { sceneName, scenes } = req.body;
 
-    if (typeof code !== 'string') {
-        return respondBadRequest(res, 'Code must be a string');
+    if (sceneName !== undefined && scenes !== undefined) {
+        return respondBadRequest(res, 'Provide either sceneName or scenes, not both');
     }
 
-    if (code.trim().length === 0) {
-        return respondBadRequest(res, 'Code cannot be empty');
-    }
+    const available = listScenes(req.body.code).map(scene => scene.name);
+    const requested = scenes || (sceneName !== undefined ? [sceneName] : null);
+    const missing = (requested || []).filter(name => !available.includes(name));
 
-    if (code.length > 10000) {
-        return respondBadRequest(res, 'Code is too long (maximum 10000 characters)');
+    if (missing.length > 0) {
+        return respondBadRequest(res, `Scene${missing.length > 1 ? 's' : ''} not found in code: ${missing.join(', ')} (available: ${available.join(', ') || 'none'})`);
     }
 
-    // Store cleaned code
-    req.body.code = code.trim();
+    req.sceneSelection = { requested, available };
     next();
 };
 
 /**
- * Validate sessionId parameter
+ * Statically check submitted code against the execution policy (see utils/codePolicy.js)
+ * Must run after validateCode; the result is stored on req.codePolicy
  */
-export const validateSessionId = (req, res, next) => {
-    const sessionId = req.params.sessionId || req.body.sessionId || 'default';
-    
-    // Basic sessionId validation
-    if (typeof sessionId !== 'string') {
-        return respondBadRequest(res, 'Session ID must be a string');
-    }
-    
-    if (sessionId.length > 100) {
-        return respondBadRequest(res, 'Session ID too long (maximum 100 characters)');
+export const validateCodePolicy = async (req, res, next) => {
+    let result;
+    try {
+        result = await checkCodePolicy(req.body.code);
+    } catch (error) {
+        log.error('Code policy check failed:', error.message);
+        // Without the analyzer nothing can vouch for the code, so do not run it
+        return res.status(503).json({ success: false, error: 'Code policy analyzer is unavailable' });
     }
-    
-    // Allow alphanumeric, dash, underscore
-    if (!/^[a-zA-Z0-9\-_]+$/.test(sessionId)) {
-        return respondBadRequest(res, 'Session ID contains invalid characters (use only letters, numbers, dash, underscore)');
+
+    if (!result.allowed) {
+        log.info(`Rejected code with ${result.violations.length} policy violation(s)`);
+        return res.status(422).json({
+            success: false,
+            error: 'Code violates the execution policy',
+            violations: result.violations
+        });
     }
-    
-    // Store normalized sessionId
-    req.sessionId = sessionId.toLowerCase();
+
+    req.codePolicy = result;
     next();
 };
 
 /**
- * Request logging middleware
+ * Check resolution limits and resolve the effective render settings
+ * The schema already checked the quality, resolution form, fps and format
+ * The effective settings are stored on req.renderSettings
  */
-export const logRequest = (req, res, next) => {
-    const timestamp = new Date().toISOString();
-    const { method, url, ip } = req;
-    
-    console.log(`[${timestamp}] ${method} ${url} - IP: ${ip}`);
-    
-    // Log body size for POST requests
-    if (method === 'POST' && req.body) {
-        const bodySize = JSON.stringify(req.body).length;
-        console.log(`  Body size: ${bodySize} bytes`);
+export const validateRenderSettings = (req, res, next) => {
+    const { quality, resolution, fps, format } = req.body;
+
+    if (resolution !== undefined) {
+        const size = parseResolution(resolution);
+
+        const { minDimension, maxDimension, maxPixels } = RENDER_LIMITS;
+        if ([size.width, size.height].some(dimension => dimension < minDimension || dimension > maxDimension)) {
+            return respondBadRequest(res, `Resolution width and height must be between ${minDimension} and ${maxDimension}`);
+        }
+        if (size.width % 2 !== 0 || size.height % 2 !== 0) {
+            return respondBadRequest(res, 'Resolution width and height must be even numbers');
+        }
+        if (size.width * size.height > maxPixels) {
+            return respondBadRequest(res, 'Resolution cannot exceed 4K (3840x2160) in total pixels');
+        }
     }
-    
+
+    req.renderSettings = resolveRenderSettings({ quality, resolution, fps, format });
+    next();
+};
+
+/**
+ * Collect animation catalog filters and pagination from the validated query
+ * Values are stored on req.animationQuery
+ */
+export const validateAnimationQuery = (req, res, next) => {
+    const { sessionId, className, source, format, q, wasFixed, since, until, limit, offset } = req.query;
+
+    req.animationQuery = Object.fromEntries(
+        Object.entries({ sessionId, className, source, format, q, wasFixed, since, until, limit, offset })
+            .filter(([, value]) => value !== undefined)
+    );
     next();
 };
 
@@ -0,0 +1,1301 @@
+/**
+ * OpenAPI 3 description of the HTTP API
+ *
+ * Served at /api/manim/openapi.json (browsable at /api/manim/docs) and used by
+ * validateRequest (middleware/validation.js) to check path parameters, query
+ * strings and JSON bodies before a route runs. Checks a schema cannot express
+ * (prompt content, resolution limits, the code policy) stay in their own middleware.
+ *
+ * `x-lowercase: true` on a string schema lowercases the value before it is
+ * checked, so enums like `quality` stay case-insensitive.
+ */
+
+import { LLM_PROVIDER_NAMES } from '../services/llm/index.js';
+import { RENDER_QUALITY_NAMES, OUTPUT_FORMAT_NAMES, RENDER_LIMITS } from '../utils/renderSettings.js';
+import { MAX_SCENES_PER_RENDER } from '../utils/sceneUtils.js';
+import { CODE_VERSION_REASONS } from '../utils/codeVersions.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (schema, description) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponse = (description) => json(ref('ErrorResponse'), description);
+
+/**
+ * Responses every /api/manim route can give (authentication, validation, server errors, shutdown)
+ */
+const commonResponses = {
+  400: json(ref('ValidationErrorResponse'), 'Invalid request'),
+  401: errorResponse('Missing or invalid API key'),
+  500: errorResponse('Internal server error'),
+  503: errorResponse('Server is shutting down (only reads are still answered)')
+};
+
+const adminResponses = {
+  403: errorResponse('Requires an admin API key')
+};
+
+const quotaResponses = {
+  429: json(ref('QuotaExceededResponse'), 'Daily quota of the API key exceeded')
+};
+
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema } }
+});
+
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+
+const llmSelection = {
+  provider: ref('Provider'),
+  model: ref('Model')
+};
+
+const renderSettingsFields = {
+  quality: ref('Quality'),
+  resolution: ref('Resolution'),
+  fps: ref('Fps'),
+  format: ref('Format')
+};
+
+/**
+ * Loosely typed object for status payloads whose shape follows the host system
+ */
+const freeform = (description) => ({ type: 'object', additionalProperties: true, description });
+
+/**
+ * Session operations, also served under the deprecated /api/manim/session/* aliases
+ */
+const sessionOperations = {
+  get: {
+    operationId: 'getSession',
+    tags: ['Sessions'],
+    summary: 'Information about a session',
+    parameters: [pathParam('sessionId', ref('SessionId'), 'Session ID')],
+    responses: {
+      200: json({
+        type: 'object',
+        required: ['success', 'sessionInfo', 'sessionId'],
+        properties: {
+          success: { type: 'boolean' },
+          sessionInfo: ref('SessionInfo'),
+          sessionId: { type: 'string' }
+        }
+      }, 'Session information'),
+      ...commonResponses
+    }
+  },
+  delete: {
+    operationId: 'clearSession',
+    tags: ['Sessions'],
+    summary: 'Clear a session and its history',
+    parameters: [pathParam('sessionId', ref('SessionId'), 'Session ID')],
+    responses: {
+      200: json({
+        type: 'object',
+        required: ['success', 'cleared', 'sessionId'],
+        properties: {
+          success: { type: 'boolean' },
+          cleared: { type: 'boolean' },
+          sessionId: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }, 'Whether the session existed and was cleared'),
+      ...commonResponses
+    }
+  }
+};
+
+/**
+ * Job cancellation, served as DELETE /jobs/{jobId} and POST /jobs/{jobId}/cancel
+ */
+const cancelJobOperation = (operationId) => ({
+  operationId,
+  tags: ['Jobs'],
+  summary: 'Cancel a queued or running job',
+  description: 'Aborts pending LLM calls, kills the Manim process group (manim, LaTeX, ffmpeg), removes the job\'s temp files and moves the job to `cancelled`.',
+  parameters: [pathParam('jobId', { type: 'string', maxLength: 100 }, 'Job ID from /generate')],
+  requestBody: {
+    required: false,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: { reason: { type: 'string', minLength: 1, maxLength: 500, description: 'Stored as the job error message' } }
+        }
+      }
+    }
+  },
+  responses: {
+    200: json({
+      type: 'object',
+      required: ['success', 'jobId', 'state'],
+      properties: {
+        success: { type: 'boolean' },
+        jobId: { type: 'string' },
+        state: ref('JobState'),
+        error: { type: 'object', properties: { message: { type: 'string' }, code: { type: 'string' } } },
+        message: { type: 'string' }
+      }
+    }, 'Job cancelled'),
+    ...commonResponses,
+    404: errorResponse('Job not found'),
+    409: json({
+      type: 'object',
+      required: ['success', 'error', 'state'],
+      properties: { success: { type: 'boolean' }, error: { type: 'string' }, jobId: { type: 'string' }, state: ref('JobState') }
+    }, 'Job already finished')
+  }
+});
+
+const sessionPreferenceOperations = {
+  post: {
+    operationId: 'setSessionPreference',
+    tags: ['Sessions'],
+    summary: 'Set a user preference on a session',
+    parameters: [pathParam('sessionId', ref('SessionId'), 'Session ID')],
+    requestBody: jsonBody({
+      type: 'object',
+      required: ['key', 'value'],
+      properties: {
+        key: { type: 'string', minLength: 1, maxLength: 100 },
+        value: { description: 'Any JSON value' }
+      }
+    }),
+    responses: {
+      200: json({
+        type: 'object',
+        required: ['success', 'sessionId', 'preference'],
+        properties: {
+          success: { type: 'boolean' },
+          sessionId: { type: 'string' },
+          preference: { type: 'object', properties: { key: { type: 'string' }, value: {} } },
+          message: { type: 'string' }
+        }
+      }, 'Preference stored'),
+      ...commonResponses
+    }
+  }
+};
+
+/**
+ * Copy of operations for a legacy alias path
+ */
+const deprecatedAlias = (operations) => Object.fromEntries(
+  Object.entries(operations).map(([method, operation]) => [method, {
+    ...operation,
+    operationId: `legacy${operation.operationId[0].toUpperCase()}${operation.operationId.slice(1)}`,
+    deprecated: true
+  }])
+);
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Taxim Backend API',
+    version: '1.0.0',
+    description: 'Generate Manim animations from prompts, render Manim code and follow background jobs.'
+  },
+  servers: [{ url: '/' }],
+  security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+  tags: [
+    { name: 'Animations', description: 'Generation, rendering and the animation catalog' },
+    { name: 'Jobs', description: 'Background generation jobs' },
+    { name: 'Sessions', description: 'Conversation sessions' },
+    { name: 'Status', description: 'Health, requirements and monitoring' },
+    { name: 'Keys', description: 'API keys and quotas' },
+    { name: 'Docs', description: 'This document' }
+  ],
+  paths: {
+    '/health': {
+      get: {
+        operationId: 'getServerHealth',
+        tags: ['Status'],
+        summary: 'Basic liveness check (no API key needed)',
+        security: [],
+        responses: { 200: json(ref('ServerHealth'), 'Server is running') }
+      }
+    },
+    '/ready': {
+      get: {
+        operationId: 'getServerReadiness',
+        tags: ['Status'],
+        summary: 'Readiness check: fails once the server starts shutting down (no API key needed)',
+        security: [],
+        responses: {
+          200: json(ref('ServerReadiness'), 'Server accepts new work'),
+          503: json(ref('ServerReadiness'), 'Server is shutting down')
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        operationId: 'getPrometheusMetrics',
+        tags: ['Status'],
+        summary: 'Metrics in the Prometheus text exposition format (no API key needed)',
+        security: [],
+        responses: { 200: { description: 'Prometheus metrics', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/api/manim/generate': {
+      post: {
+        operationId: 'generateAnimation',
+        tags: ['Animations'],
+        summary: 'Queue a generation job for a prompt',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['prompt'],
+          properties: {
+            prompt: ref('Prompt'),
+            sessionId: ref('SessionId'),
+            userPreferences: { type: 'object', additionalProperties: true, description: 'Preferences stored on the session' },
+            fixPolicyViolations: {
+              type: 'boolean',
+              default: false,
+              description: 'Send generated code that breaks the code policy back to the LLM to fix instead of failing the job'
+            },
+            ...llmSelection,
+            ...renderSettingsFields
+          }
+        }),
+        responses: {
+          202: json(ref('JobAccepted'), 'Job queued'),
+          ...commonResponses,
+          ...quotaResponses
+        }
+      }
+    },
+    '/api/manim/render': {
+      post: {
+        operationId: 'renderCode',
+        tags: ['Animations'],
+        summary: 'Render Manim code (fixing it with the LLM if needed)',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['code'],
+          properties: {
+            code: ref('Code'),
+            sessionId: ref('SessionId'),
+            sceneName: ref('SceneName'),
+            scenes: {
+              type: 'array',
+              items: ref('SceneName'),
+              minItems: 1,
+              maxItems: MAX_SCENES_PER_RENDER,
+              uniqueItems: true,
+              description: 'Scenes to render, one artifact each (instead of sceneName)'
+            },
+            ...llmSelection,
+            ...renderSettingsFields
+          }
+        }),
+        responses: {
+          200: json(ref('RenderResult'), 'Rendered animation'),
+          ...commonResponses,
+          422: json(ref('ErrorResponse'), 'Code policy or sandbox violation'),
+          ...quotaResponses,
+          503: errorResponse('Code policy analyzer is unavailable, or the server is shutting down')
+        }
+      }
+    },
+    '/api/manim/scenes': {
+      post: {
+        operationId: 'listScenes',
+        tags: ['Animations'],
+        summary: 'List the Scene subclasses defined in Manim code',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['code'],
+          properties: { code: ref('Code') }
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'scenes'],
+            properties: {
+              success: { type: 'boolean' },
+              scenes: { type: 'array', items: ref('SceneInfo') },
+              defaultScene: { type: 'string', nullable: true, description: 'Scene rendered when none is requested' }
+            }
+          }, 'Scenes in the code'),
+          ...commonResponses
+        }
+      }
+    },
+    '/api/manim/improve': {
+      post: {
+        operationId: 'improveCode',
+        tags: ['Animations'],
+        summary: 'Improve Manim code according to feedback',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['code', 'feedback'],
+          properties: {
+            code: ref('Code'),
+            feedback: { type: 'string', minLength: 1, maxLength: 2000, pattern: '\\S' },
+            sessionId: ref('SessionId'),
+            ...llmSelection
+          }
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'originalCode', 'improvedCode'],
+            properties: {
+              success: { type: 'boolean' },
+              originalCode: { type: 'string' },
+              improvedCode: { type: 'string' },
+              feedback: { type: 'string' },
+              sessionId: { type: 'string' },
+              sessionInfo: ref('SessionInfo'),
+              message: { type: 'string' }
+            }
+          }, 'Improved code'),
+          ...commonResponses,
+          ...quotaResponses
+        }
+      }
+    },
+    '/api/manim/test': {
+      post: {
+        operationId: 'testGeneration',
+        tags: ['Animations'],
+        summary: 'Generate code for a prompt without rendering it',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['prompt'],
+          properties: {
+            prompt: ref('Prompt'),
+            sessionId: ref('SessionId'),
+            ...llmSelection
+          }
+        }),
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'code', 'isValid'],
+            properties: {
+              success: { type: 'boolean' },
+              code: { type: 'string' },
+              isValid: { type: 'boolean' },
+              message: { type: 'string' },
+              sessionId: { type: 'string' },
+              sessionInfo: ref('SessionInfo')
+            }
+          }, 'Generated code'),
+          ...commonResponses,
+          ...quotaResponses
+        }
+      }
+    },
+    '/api/manim/jobs/{jobId}': {
+      get: {
+        operationId: 'getJob',
+        tags: ['Jobs'],
+        summary: 'State, result and error of a job',
+        parameters: [pathParam('jobId', { type: 'string', maxLength: 100 }, 'Job ID from /generate')],
+        responses: {
+          200: json(ref('JobStatus'), 'Job status'),
+          ...commonResponses,
+          404: errorResponse('Job not found')
+        }
+      },
+      delete: cancelJobOperation('cancelJob')
+    },
+    '/api/manim/jobs/{jobId}/cancel': {
+      post: cancelJobOperation('cancelJobPost')
+    },
+    '/api/manim/jobs/{jobId}/events': {
+      get: {
+        operationId: 'streamJobEvents',
+        tags: ['Jobs'],
+        summary: 'Server-Sent Events stream of job steps and state changes',
+        description: 'Replays the job history, then streams live events until the job finishes. Send `Last-Event-ID` to resume. Browsers may pass the API key as `?apiKey=`.',
+        parameters: [
+          pathParam('jobId', { type: 'string', maxLength: 100 }, 'Job ID from /generate'),
+          queryParam('apiKey', { type: 'string' }, 'API key, for clients that cannot send headers (EventSource)')
+        ],
+        responses: {
+          200: {
+            description: 'Event stream; each `data:` line is a JobEvent',
+            content: { 'text/event-stream': { schema: ref('JobEvent') } }
+          },
+          ...commonResponses,
+          404: errorResponse('Job not found')
+        }
+      }
+    },
+    '/api/manim/jobs/{jobId}/logs': {
+      get: {
+        operationId: 'getJobLogs',
+        tags: ['Jobs'],
+        summary: 'Debug logs of a job',
+        description: 'Every command the job ran (manim, python, ffmpeg, ...) with its exit code, duration and the end of its stdout and stderr, each code version it compiled or rendered, the environment and the job events.',
+        parameters: [pathParam('jobId', { type: 'string', maxLength: 100 }, 'Job ID from /generate')],
+        responses: {
+          200: json(ref('JobLogs'), 'Job logs'),
+          ...commonResponses,
+          404: errorResponse('Job not found')
+        }
+      }
+    },
+    '/api/manim/jobs/{jobId}/logs/bundle': {
+      get: {
+        operationId: 'downloadJobLogBundle',
+        tags: ['Jobs'],
+        summary: 'Download the debug logs of a job as a zip',
+        description: 'A `taxim-job-<jobId>/` folder with job.json, environment.json, commands.json, code-versions.json, events.json, the output of each command under `commands/` and each code version under `code/`.',
+        parameters: [pathParam('jobId', { type: 'string', maxLength: 100 }, 'Job ID from /generate')],
+        responses: {
+          200: {
+            description: 'Zip archive',
+            content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+          },
+          ...commonResponses,
+          404: errorResponse('Job not found')
+        }
+      }
+    },
+    '/api/manim/animations': {
+      get: {
+        operationId: 'listAnimations',
+        tags: ['Animations'],
+        summary: 'List cataloged animations, newest first',
+        parameters: [
+          queryParam('sessionId', { type: 'string', maxLength: 200 }, 'Only animations of this session'),
+          queryParam('className', { type: 'string', maxLength: 200 }, 'Only this scene class'),
+          queryParam('source', { type: 'string', enum: ['generate', 'render', 'fallback'] }, 'How the animation was produced'),
+          queryParam('format', { type: 'string', enum: OUTPUT_FORMAT_NAMES }, 'Output format'),
+          queryParam('q', { type: 'string', maxLength: 200 }, 'Case-insensitive search in the prompt'),
+          queryParam('wasFixed', { type: 'boolean' }, 'Only animations whose code was (or was not) fixed or improved'),
+          queryParam('since', { type: 'string', format: 'date-time' }, 'Created at or after'),
+          queryParam('until', { type: 'string', format: 'date-time' }, 'Created at or before'),
+          queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size'),
+          queryParam('offset', { type: 'integer', minimum: 0, default: 0 }, 'Records to skip')
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'animations', 'pagination'],
+            properties: {
+              success: { type: 'boolean' },
+              animations: { type: 'array', items: ref('AnimationSummary') },
+              pagination: ref('Pagination')
+            }
+          }, 'A page of animations'),
+          ...commonResponses
+        }
+      }
+    },
+    '/api/manim/animations/{animationId}': {
+      get: {
+        operationId: 'getAnimation',
+        tags: ['Animations'],
+        summary: 'Full catalog record, including code and fix history',
+        parameters: [pathParam('animationId', { type: 'string', maxLength: 100 }, 'Animation ID')],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'animation'],
+            properties: {
+              success: { type: 'boolean' },
+              animation: ref('AnimationRecord')
+            }
+          }, 'Animation record'),
+          ...commonResponses,
+          404: errorResponse('Animation not found')
+        }
+      }
+    },
+    '/api/manim/sessions/session/{sessionId}': sessionOperations,
+    '/api/manim/sessions/session/{sessionId}/preference': sessionPreferenceOperations,
+    '/api/manim/sessions/session/{sessionId}/versions': {
+      get: {
+        operationId: 'listCodeVersions',
+        tags: ['Sessions'],
+        summary: 'Code versions of a session, oldest first, without their code',
+        parameters: [pathParam('sessionId', ref('SessionId'), 'Session ID')],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'sessionId', 'currentVersionId', 'versions', 'count'],
+            properties: {
+              success: { type: 'boolean' },
+              sessionId: { type: 'string' },
+              currentVersionId: { type: 'string', nullable: true },
+              forkedFrom: {
+                type: 'object',
+                nullable: true,
+                properties: { sessionId: { type: 'string' }, versionId: { type: 'string' } }
+              },
+              versions: { type: 'array', items: ref('CodeVersionSummary') },
+              count: { type: 'integer' }
+            }
+          }, 'Version history'),
+          ...commonResponses,
+          404: errorResponse('Session not found')
+        }
+      }
+    },
+    '/api/manim/sessions/session/{sessionId}/versions/{versionId}': {
+      get: {
+        operationId: 'getCodeVersion',
+        tags: ['Sessions'],
+        summary: 'A code version with its code',
+        parameters: [
+          pathParam('sessionId', ref('SessionId'), 'Session ID'),
+          pathParam('versionId', ref('VersionId'), 'Version ID')
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'sessionId', 'version'],
+            properties: { success: { type: 'boolean' }, sessionId: { type: 'string' }, version: ref('CodeVersion') }
+          }, 'Code version'),
+          ...commonResponses,
+          404: errorResponse('Session or version not found')
+        }
+      }
+    },
+    '/api/manim/sessions/session/{sessionId}/diff': {
+      get: {
+        operationId: 'diffCodeVersions',
+        tags: ['Sessions'],
+        summary: 'Unified diff between two code versions',
+        parameters: [
+          pathParam('sessionId', ref('SessionId'), 'Session ID'),
+          queryParam('from', ref('VersionId'), 'Old version (default: the parent of `to`)'),
+          queryParam('to', ref('VersionId'), 'New version (default: the current version)')
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'sessionId', 'from', 'to', 'diff', 'additions', 'deletions'],
+            properties: {
+              success: { type: 'boolean' },
+              sessionId: { type: 'string' },
+              from: { type: 'string' },
+              to: { type: 'string' },
+              diff: { type: 'string', description: 'Unified diff (empty when the code is identical)' },
+              additions: { type: 'integer' },
+              deletions: { type: 'integer' }
+            }
+          }, 'Diff'),
+          ...commonResponses,
+          404: errorResponse('Session or versions not found')
+        }
+      }
+    },
+    '/api/manim/sessions/session/{sessionId}/versions/{versionId}/revert': {
+      post: {
+        operationId: 'revertCodeVersion',
+        tags: ['Sessions'],
+        summary: 'Make an earlier version current again, as a new "revert" version',
+        parameters: [
+          pathParam('sessionId', ref('SessionId'), 'Session ID'),
+          pathParam('versionId', ref('VersionId'), 'Version to revert to')
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'sessionId', 'version'],
+            properties: {
+              success: { type: 'boolean' },
+              sessionId: { type: 'string' },
+              version: ref('CodeVersion'),
+              message: { type: 'string' }
+            }
+          }, 'The new current version'),
+          ...commonResponses,
+          404: errorResponse('Session or version not found')
+        }
+      }
+    },
+    '/api/manim/sessions/session/{sessionId}/fork': {
+      post: {
+        operationId: 'forkSession',
+        tags: ['Sessions'],
+        summary: 'Start a new session from a code version (default: the current one)',
+        parameters: [pathParam('sessionId', ref('SessionId'), 'Session to fork')],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  versionId: ref('VersionId'),
+                  newSessionId: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 100,
+                    pattern: '^[a-zA-Z0-9_-]+$',
+                    description: 'ID of the new session (default: "<sessionId>-fork-<random>")'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: json({
+            type: 'object',
+            required: ['success', 'sessionId', 'forkedFrom', 'version'],
+            properties: {
+              success: { type: 'boolean' },
+              sessionId: { type: 'string', description: 'The new session' },
+              forkedFrom: { type: 'object', properties: { sessionId: { type: 'string' }, versionId: { type: 'string' } } },
+              version: ref('CodeVersion'),
+              sessionInfo: ref('SessionInfo'),
+              message: { type: 'string' }
+            }
+          }, 'Forked session'),
+          ...commonResponses,
+          404: errorResponse('Session or version not found'),
+          409: errorResponse('The new session ID is already in use')
+        }
+      }
+    },
+    '/api/manim/session/{sessionId}': deprecatedAlias(sessionOperations),
+    '/api/manim/session/{sessionId}/preference': deprecatedAlias(sessionPreferenceOperations),
+    '/api/manim/sessions/sessions': {
+      get: {
+        operationId: 'listSessions',
+        tags: ['Sessions'],
+        summary: 'All active sessions, across API keys (admin only)',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'activeSessions', 'count'],
+            properties: {
+              success: { type: 'boolean' },
+              activeSessions: { type: 'array', items: { type: 'string' } },
+              owners: { type: 'object', additionalProperties: { type: 'string', nullable: true }, description: 'Owning API key per session' },
+              count: { type: 'integer' }
+            }
+          }, 'Active sessions'),
+          ...commonResponses,
+          ...adminResponses
+        }
+      }
+    },
+    '/api/manim/status': {
+      get: {
+        operationId: 'getStatus',
+        tags: ['Status'],
+        summary: 'System requirements and agent status',
+        responses: { 200: json(freeform('Requirements (manim, ffmpeg, latex), environment and recommendations'), 'Status'), ...commonResponses }
+      }
+    },
+    '/api/manim/status/health': {
+      get: {
+        operationId: 'getHealthChecks',
+        tags: ['Status'],
+        summary: 'Summary of the registered health checks',
+        responses: {
+          200: json(freeform('Overall health'), 'Healthy or degraded'),
+          ...commonResponses,
+          503: json(freeform('Overall health'), 'A critical check failed')
+        }
+      }
+    },
+    '/api/manim/status/detailed': {
+      get: {
+        operationId: 'runHealthChecks',
+        tags: ['Status'],
+        summary: 'Run every health check, including an LLM round trip',
+        responses: {
+          200: json(freeform('Overall health and each check result'), 'Healthy or degraded'),
+          ...commonResponses,
+          503: json(freeform('Overall health and each check result'), 'A critical check failed')
+        }
+      }
+    },
+    '/api/manim/status/system': {
+      get: {
+        operationId: 'getSystemStatus',
+        tags: ['Status'],
+        summary: 'System requirements and agent health',
+        responses: { 200: json(freeform('allRequirementsMet, systemRequirements and agentHealth'), 'System status'), ...commonResponses }
+      }
+    },
+    '/api/manim/status/performance': {
+      get: {
+        operationId: 'getPerformanceMetrics',
+        tags: ['Status'],
+        summary: 'Render, cache and error metrics',
+        parameters: [queryParam('timeRange', { type: 'integer', minimum: 1, default: 300000 }, 'Window in milliseconds')],
+        responses: { 200: json(freeform('metrics, timeRangeMs'), 'Performance metrics'), ...commonResponses }
+      }
+    },
+    '/api/manim/status/sessions': {
+      get: {
+        operationId: 'getSessionStatus',
+        tags: ['Status'],
+        summary: 'Details of all active sessions (admin only)',
+        responses: { 200: json(freeform('totalSessions, maxSessions and sessions'), 'Sessions'), ...commonResponses, ...adminResponses }
+      }
+    },
+    '/api/manim/status/reset-errors': {
+      post: {
+        operationId: 'resetErrorTracking',
+        tags: ['Status'],
+        summary: 'Reset error tracking (admin only)',
+        responses: { 200: json(freeform('status, message'), 'Error tracking reset'), ...commonResponses, ...adminResponses }
+      }
+    },
+    '/api/manim/status/quick': {
+      get: {
+        operationId: 'getQuickStatus',
+        tags: ['Status'],
+        summary: 'Minimal check for load balancers',
+        responses: { 200: json(freeform('status, timestamp'), 'Service is running'), ...commonResponses }
+      }
+    },
+    '/api/manim/health': {
+      get: {
+        operationId: 'getAgentHealth',
+        tags: ['Status'],
+        summary: 'System requirements and session counts',
+        responses: { 200: json(freeform('requirements and sessions'), 'Agent health'), ...commonResponses }
+      }
+    },
+    '/api/manim/requirements': {
+      get: {
+        operationId: 'getRequirements',
+        tags: ['Status'],
+        summary: 'Check Manim, FFmpeg and LaTeX installations',
+        responses: { 200: json(freeform('requirements'), 'Requirements'), ...commonResponses }
+      }
+    },
+    '/api/manim/keys/me': {
+      get: {
+        operationId: 'getOwnKey',
+        tags: ['Keys'],
+        summary: "The calling key's role, quotas and today's usage",
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'authEnabled'],
+            properties: {
+              success: { type: 'boolean' },
+              authEnabled: { type: 'boolean' },
+              key: {
+                type: 'object',
+                properties: { id: { type: 'string' }, name: { type: 'string' }, role: { type: 'string', enum: ['admin', 'client'] } }
+              },
+              usage: ref('KeyUsage'),
+              message: { type: 'string' }
+            }
+          }, 'Key information'),
+          ...commonResponses
+        }
+      }
+    },
+    '/api/manim/keys': {
+      get: {
+        operationId: 'listKeys',
+        tags: ['Keys'],
+        summary: 'Configured keys with their usage (admin only)',
+        responses: {
+          200: json({
+            type: 'object',
+            required: ['success', 'keys', 'count'],
+            properties: {
+              success: { type: 'boolean' },
+              authEnabled: { type: 'boolean' },
+              keys: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    role: { type: 'string', enum: ['admin', 'client'] },
+                    disabled: { type: 'boolean' },
+                    usage: ref('KeyUsage')
+                  }
+                }
+              },
+              count: { type: 'integer' }
+            }
+          }, 'Keys'),
+          ...commonResponses,
+          ...adminResponses
+        }
+      }
+    },
+    '/api/manim/openapi.json': {
+      get: {
+        operationId: 'getOpenApiSpec',
+        tags: ['Docs'],
+        summary: 'This OpenAPI document',
+        security: [],
+        responses: { 200: json({ type: 'object' }, 'OpenAPI 3 document') }
+      }
+    },
+    '/api/manim/docs': {
+      get: {
+        operationId: 'getApiDocs',
+        tags: ['Docs'],
+        summary: 'Browsable API documentation',
+        security: [],
+        responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      BearerAuth: { type: 'http', scheme: 'bearer' }
+    },
+    schemas: {
+      SessionId: {
+        type: 'string',
+        minLength: 1,
+        maxLength: 100,
+        pattern: '^[a-zA-Z0-9_-]+$',
+        default: 'default',
+        description: 'Letters, numbers, dashes and underscores'
+      },
+      Prompt: { type: 'string', minLength: 1, maxLength: 2000, pattern: '\\S', description: 'Natural language description of the animation' },
+      Code: { type: 'string', minLength: 1, maxLength: 10000, pattern: '\\S', description: 'Python source of a Manim scene' },
+      Provider: { type: 'string', 'x-lowercase': true, enum: LLM_PROVIDER_NAMES, description: 'LLM provider for this session' },
+      Model: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[a-zA-Z0-9._:/-]+$', description: 'Provider model name' },
+      Quality: { type: 'string', 'x-lowercase': true, enum: RENDER_QUALITY_NAMES, description: 'Render quality preset' },
+      Resolution: {
+        description: `"WIDTHxHEIGHT" or { width, height }; even dimensions of ${RENDER_LIMITS.minDimension}-${RENDER_LIMITS.maxDimension} pixels, at most 4K in total`,
+        oneOf: [
+          { type: 'string', pattern: '^\\s*\\d+\\s*[xX,]\\s*\\d+\\s*$' },
+          {
+            type: 'object',
+            required: ['width', 'height'],
+            properties: { width: { type: 'integer' }, height: { type: 'integer' } }
+          }
+        ]
+      },
+      Fps: { type: 'integer', minimum: RENDER_LIMITS.minFps, maximum: RENDER_LIMITS.maxFps },
+      Format: { type: 'string', 'x-lowercase': true, enum: OUTPUT_FORMAT_NAMES, description: 'Output format' },
+      SceneName: { type: 'string', maxLength: 100, pattern: '^[A-Za-z_][A-Za-z0-9_]*$', description: 'Scene class to render (default: the first Scene subclass)' },
+      SceneInfo: {
+        type: 'object',
+        required: ['name', 'bases', 'line'],
+        properties: {
+          name: { type: 'string' },
+          bases: { type: 'array', items: { type: 'string' } },
+          line: { type: 'integer', description: '1-based line of the class definition' }
+        }
+      },
+      SceneArtifact: {
+        type: 'object',
+        required: ['sceneName', 'videoPath', 'videoFileName'],
+        properties: {
+          sceneName: { type: 'string' },
+          videoPath: { type: 'string' },
+          posterPath: { type: 'string', nullable: true },
+          previewPath: { type: 'string', nullable: true },
+          videoFileName: { type: 'string' },
+          format: { type: 'string', enum: OUTPUT_FORMAT_NAMES },
+          contentType: { type: 'string' },
+          animationId: { type: 'string', nullable: true },
+          cached: { type: 'boolean' },
+          wasCodeFixed: { type: 'boolean' },
+          wasImproved: { type: 'boolean' }
+        }
+      },
+      ErrorResponse: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          code: { type: 'string', description: 'Machine-readable error code, e.g. SANDBOX_VIOLATION' },
+          violations: { type: 'array', items: { type: 'object', additionalProperties: true } },
+          pythonError: ref('PythonError'),
+          jobId: { type: 'string', description: 'Job of a failed /render; its logs are at /jobs/{jobId}/logs' },
+          requestId: { type: 'string', description: 'Request ID from the X-Request-Id header, for finding the request in the logs' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      PythonError: {
+        type: 'object',
+        description: 'Python exception from compiling or rendering, located in the submitted code when the traceback reaches it',
+        required: ['type', 'message'],
+        properties: {
+          type: { type: 'string', example: 'NameError' },
+          message: { type: 'string', example: "name 'foo' is not defined" },
+          line: { type: 'integer', nullable: true, description: '1-based line in the submitted code' },
+          column: { type: 'integer', nullable: true, description: '1-based column, when Python marks one' },
+          snippet: { type: 'string', nullable: true, description: 'Numbered lines around the failing line, which is marked with ">"' }
+        }
+      },
+      ValidationErrorResponse: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string', description: 'The first problem found' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string', enum: ['path', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      QuotaExceededResponse: {
+        type: 'object',
+        required: ['success', 'error', 'quota'],
+        properties: {
+          success: { type: 'boolean', enum: [false] },
+          error: { type: 'string' },
+          quota: {
+            type: 'object',
+            properties: {
+              type: { type: 'string', enum: ['generations', 'renders'] },
+              limit: { type: 'integer' },
+              used: { type: 'integer' },
+              resetsAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      },
+      ServerHealth: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          environment: { type: 'string' }
+        }
+      },
+      ServerReadiness: {
+        type: 'object',
+        required: ['ready'],
+        properties: {
+          success: { type: 'boolean' },
+          ready: { type: 'boolean' },
+          reason: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      SessionInfo: {
+        type: 'object',
+        required: ['exists'],
+        properties: {
+          exists: { type: 'boolean' },
+          lastActivity: { type: 'string', format: 'date-time' },
+          codeHistory: { type: 'integer' },
+          codeVersions: { type: 'integer' },
+          currentVersionId: { type: 'string', nullable: true },
+          errorHistory: { type: 'integer' },
+          conversationLength: { type: 'integer' },
+          userPreferences: { type: 'array', items: { type: 'string' } },
+          llm: {
+            type: 'object',
+            nullable: true,
+            properties: { provider: { type: 'string' }, model: { type: 'string', nullable: true } }
+          }
+        }
+      },
+      VersionId: { type: 'string', pattern: '^v[1-9][0-9]{0,8}$', description: 'Code version ID, e.g. v3' },
+      CodeVersionSummary: {
+        type: 'object',
+        required: ['id', 'parentId', 'reason', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          parentId: { type: 'string', nullable: true, description: 'Version that was current when this one was made' },
+          reason: { type: 'string', enum: CODE_VERSION_REASONS },
+          createdAt: { type: 'string', format: 'date-time' },
+          prompt: { type: 'string', description: 'Prompt of a generated version' },
+          feedback: { type: 'string', description: 'Feedback of an improved version' },
+          fixType: { type: 'string', description: 'How a fixed version was fixed (ai, latex-level-1, ...)' },
+          error: { type: 'string', description: 'Error a fixed or improved version addressed' },
+          revertedTo: { type: 'string', description: 'Version a revert copied' },
+          lines: { type: 'integer' },
+          characters: { type: 'integer' },
+          current: { type: 'boolean' }
+        }
+      },
+      CodeVersion: {
+        type: 'object',
+        required: ['id', 'parentId', 'reason', 'createdAt', 'code'],
+        properties: {
+          id: { type: 'string' },
+          parentId: { type: 'string', nullable: true },
+          reason: { type: 'string', enum: CODE_VERSION_REASONS },
+          createdAt: { type: 'string', format: 'date-time' },
+          code: { type: 'string' },
+          prompt: { type: 'string' },
+          feedback: { type: 'string' },
+          fixType: { type: 'string' },
+          error: { type: 'string' },
+          revertedTo: { type: 'string' }
+        }
+      },
+      RenderSettings: {
+        type: 'object',
+        properties: {
+          quality: { type: 'string', enum: RENDER_QUALITY_NAMES },
+          custom: { type: 'boolean', description: 'Whether resolution or fps override the preset' },
+          width: { type: 'integer' },
+          height: { type: 'integer' },
+          fps: { type: 'integer' },
+          resolution: { type: 'string' },
+          format: { type: 'string', enum: OUTPUT_FORMAT_NAMES }
+        }
+      },
+      RenderResult: {
+        type: 'object',
+        required: ['success', 'code', 'videoPath', 'videoFileName'],
+        properties: {
+          success: { type: 'boolean' },
+          jobId: { type: 'string', description: 'Job the /render request ran as' },
+          logsUrl: { type: 'string', description: 'Commands, code versions and environment of that job (/render only)' },
+          code: { type: 'string', description: 'The code that was rendered (after any fixes)' },
+          videoPath: { type: 'string', description: 'URL path of the video under /animations' },
+          posterPath: { type: 'string', nullable: true },
+          previewPath: { type: 'string', nullable: true },
+          videoFileName: { type: 'string' },
+          format: { type: 'string', enum: OUTPUT_FORMAT_NAMES },
+          contentType: { type: 'string' },
+          animationId: { type: 'string', nullable: true, description: 'Catalog record ID' },
+          sceneName: { type: 'string', description: 'Scene of the top-level artifact (the first one rendered)' },
+          scenes: { type: 'array', items: ref('SceneArtifact'), description: 'One artifact per rendered scene' },
+          availableScenes: { type: 'array', items: { type: 'string' }, description: 'Scene subclasses found in the submitted code' },
+          message: { type: 'string' },
+          warning: { type: 'string' },
+          sessionId: { type: 'string' },
+          sessionInfo: ref('SessionInfo'),
+          metadata: {
+            type: 'object',
+            properties: {
+              generationAttempts: { type: 'integer' },
+              wasCodeFixed: { type: 'boolean' },
+              wasImproved: { type: 'boolean' },
+              usedFallback: { type: 'boolean' },
+              originalError: { type: 'string' },
+              cached: { type: 'boolean', description: 'Reused from the render cache' },
+              renderAttempts: { type: 'integer' },
+              renderSettings: ref('RenderSettings'),
+              policyWarnings: { type: 'array', items: { type: 'object', additionalProperties: true } }
+            }
+          }
+        }
+      },
+      JobAccepted: {
+        type: 'object',
+        required: ['success', 'jobId', 'state', 'statusUrl'],
+        properties: {
+          success: { type: 'boolean' },
+          jobId: { type: 'string', format: 'uuid' },
+          state: ref('JobState'),
+          statusUrl: { type: 'string' },
+          message: { type: 'string' },
+          sessionId: { type: 'string' }
+        }
+      },
+      JobState: { type: 'string', enum: ['queued', 'generating', 'fixing', 'rendering', 'done', 'failed', 'cancelled'] },
+      JobStatus: {
+        type: 'object',
+        required: ['success', 'jobId', 'type', 'state'],
+        properties: {
+          success: { type: 'boolean' },
+          jobId: { type: 'string', format: 'uuid' },
+          type: { type: 'string' },
+          state: ref('JobState'),
+          sessionId: { type: 'string' },
+          owner: { type: 'string', nullable: true, description: 'API key that submitted the job' },
+          result: { allOf: [ref('RenderResult')], nullable: true },
+          error: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              message: { type: 'string' },
+              code: { type: 'string' },
+              pythonError: ref('PythonError'),
+              violations: { type: 'array', items: { type: 'object', additionalProperties: true }, description: 'Code policy violations' }
+            }
+          },
+          renderQueue: {
+            type: 'object',
+            nullable: true,
+            properties: { position: { type: 'integer' }, waitMs: { type: 'integer' } }
+          },
+          renderWaitMs: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          startedAt: { type: 'string', format: 'date-time', nullable: true },
+          finishedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      JobEvent: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          type: { type: 'string', enum: ['state', 'step'] },
+          jobId: { type: 'string', format: 'uuid' },
+          state: ref('JobState'),
+          data: { type: 'object', additionalProperties: true, description: 'Step name and details, or the new state' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      JobCommand: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          program: { type: 'string', example: 'manim' },
+          command: { type: 'string', description: 'Command line, arguments quoted where needed' },
+          cwd: { type: 'string' },
+          startedAt: { type: 'string', format: 'date-time' },
+          durationMs: { type: 'integer', nullable: true, description: 'null while still running' },
+          exitCode: { type: 'integer', nullable: true },
+          signal: { type: 'string', nullable: true },
+          timedOut: { type: 'boolean' },
+          error: { type: 'string', nullable: true, description: 'Why the command could not start' },
+          truncated: { type: 'boolean', description: 'Only the end of the output was kept' },
+          stdout: { type: 'string' },
+          stderr: { type: 'string' }
+        }
+      },
+      JobCodeVersion: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          files: { type: 'array', items: { type: 'string' }, description: 'Files this code was written to' },
+          createdAt: { type: 'string', format: 'date-time' },
+          lines: { type: 'integer' },
+          code: { type: 'string' }
+        }
+      },
+      JobLogs: {
+        type: 'object',
+        required: ['success', 'jobId', 'state', 'commands', 'codeVersions', 'events'],
+        properties: {
+          success: { type: 'boolean' },
+          jobId: { type: 'string', format: 'uuid' },
+          state: ref('JobState'),
+          error: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              message: { type: 'string' },
+              code: { type: 'string' },
+              pythonError: ref('PythonError'),
+              violations: { type: 'array', items: { type: 'object', additionalProperties: true }, description: 'Code policy violations' }
+            }
+          },
+          environment: {
+            type: 'object',
+            nullable: true,
+            additionalProperties: true,
+            description: 'Node, Manim, ffmpeg and LaTeX versions, sandbox and code policy settings, LLM and render settings'
+          },
+          commands: { type: 'array', items: ref('JobCommand') },
+          codeVersions: { type: 'array', items: ref('JobCodeVersion') },
+          dropped: {
+            type: 'object',
+            description: 'Entries past the per-job limits (100 commands, 50 code versions)',
+            properties: { commands: { type: 'integer' }, codeVersions: { type: 'integer' } }
+          },
+          events: { type: 'array', items: ref('JobEvent') }
+        }
+      },
+      AnimationSummary: {
+        type: 'object',
+        required: ['id', 'videoFileName', 'videoPath', 'createdAt'],
+        properties: {
+          id: { type: 'string' },
+          videoFileName: { type: 'string' },
+          videoPath: { type: 'string' },
+          posterPath: { type: 'string', nullable: true },
+          previewPath: { type: 'string', nullable: true },
+          format: { type: 'string', enum: OUTPUT_FORMAT_NAMES },
+          contentType: { type: 'string' },
+          className: { type: 'string', nullable: true },
+          prompt: { type: 'string', nullable: true },
+          sessionId: { type: 'string' },
+          jobId: { type: 'string', nullable: true },
+          source: { type: 'string', enum: ['generate', 'render', 'fallback'] },
+          llm: { type: 'object', nullable: true, additionalProperties: true },
+          renderFlags: {
+            type: 'object',
+            properties: {
+              wasCodeFixed: { type: 'boolean' },
+              wasImproved: { type: 'boolean' },
+              usedFallback: { type: 'boolean' },
+              generationAttempts: { type: 'integer', nullable: true },
+              renderAttempts: { type: 'integer', nullable: true }
+            }
+          },
+          renderSettings: { allOf: [ref('RenderSettings')], nullable: true },
+          renderDurationMs: { type: 'integer', nullable: true },
+          cacheKey: { type: 'string', nullable: true },
+          sourceCacheKey: { type: 'string', nullable: true, description: 'Cache key of the submitted code, when it was fixed before rendering' },
+          cachedFrom: { type: 'string', nullable: true },
+          fileSize: { type: 'integer', nullable: true },
+          fixCount: { type: 'integer' },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      AnimationRecord: {
+        allOf: [
+          ref('AnimationSummary'),
+          {
+            type: 'object',
+            properties: {
+              code: { type: 'string' },
+              fixHistory: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    stage: { type: 'string' },
+                    error: { type: 'string', nullable: true },
+                    fixType: { type: 'string' },
+                    attempts: { type: 'integer' }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          hasMore: { type: 'boolean' }
+        }
+      },
+      KeyUsage: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date' },
+          generations: ref('QuotaUsage'),
+          renders: ref('QuotaUsage')
+        }
+      },
+      QuotaUsage: {
+        type: 'object',
+        properties: {
+          used: { type: 'integer' },
+          limit: { type: 'integer', nullable: true, description: 'null means unlimited' }
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,229 @@
+/**
+ * Request validation against the OpenAPI document
+ *
+ * Each operation's path parameters, query parameters and JSON body are compiled
+ * into JSON Schema validators (Ajv). Query and path values are coerced to their
+ * declared types and defaults are filled in, so routes read typed values.
+ */
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const decodePathSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Convert an OpenAPI 3.0 schema to plain JSON Schema: resolve component $refs
+ * and turn `nullable` into an explicit null type
+ */
+export function toJsonSchema(schema, spec) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => toJsonSchema(item, spec));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return toJsonSchema(spec.components.schemas[name], spec);
+  }
+
+  const { nullable, ...rest } = schema;
+  const converted = Object.fromEntries(
+    Object.entries(rest).map(([key, value]) => [key, toJsonSchema(value, spec)])
+  );
+
+  if (!nullable) {
+    return converted;
+  }
+  if (typeof converted.type === 'string') {
+    return {
+      ...converted,
+      type: [converted.type, 'null'],
+      ...(converted.enum && { enum: [...converted.enum, null] })
+    };
+  }
+  return { anyOf: [converted, { type: 'null' }] };
+}
+
+/**
+ * Ajv instance that understands the document's formats and the x-lowercase extension
+ */
+export function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: false, strict: false, ...options });
+  addFormats(ajv);
+
+  ajv.addKeyword({
+    keyword: 'x-lowercase',
+    modifying: true,
+    schemaType: 'boolean',
+    before: 'enum',
+    validate: (enabled, data, parentSchema, context) => {
+      if (enabled && typeof data === 'string' && context?.parentData) {
+        context.parentData[context.parentDataProperty] = data.toLowerCase();
+      }
+      return true;
+    }
+  });
+
+  return ajv;
+}
+
+/**
+ * Every documented operation as "METHOD /path", e.g. for the 404 handler
+ */
+export function listOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([route, methods]) =>
+    HTTP_METHODS.filter(method => methods[method]).map(method => `${method.toUpperCase()} ${route}`)
+  );
+}
+
+/**
+ * Object schema for the path or query parameters of an operation
+ */
+function parametersSchema(parameters, location, spec) {
+  const selected = parameters.filter(parameter => parameter.in === location);
+  if (selected.length === 0) return null;
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map(parameter => [parameter.name, toJsonSchema(parameter.schema, spec)])),
+    required: selected.filter(parameter => parameter.required).map(parameter => parameter.name)
+  };
+}
+
+/**
+ * Compile the validators of every operation in the document
+ */
+export function compileOperations(spec) {
+  // Path and query values arrive as strings; JSON bodies keep their types
+  const paramAjv = createAjv({ coerceTypes: true, useDefaults: true });
+  const bodyAjv = createAjv({ useDefaults: true });
+  const operations = [];
+
+  for (const [route, methods] of Object.entries(spec.paths)) {
+    const pattern = new RegExp(`^${route.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}/?$`);
+
+    for (const method of HTTP_METHODS) {
+      const operation = methods[method];
+      if (!operation) continue;
+
+      const parameters = operation.parameters || [];
+      const pathSchema = parametersSchema(parameters, 'path', spec);
+      const querySchema = parametersSchema(parameters, 'query', spec);
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+      operations.push({
+        method: method.toUpperCase(),
+        route,
+        pattern,
+        operationId: operation.operationId,
+        validatePath: pathSchema && paramAjv.compile(pathSchema),
+        validateQuery: querySchema && paramAjv.compile(querySchema),
+        validateBody: bodySchema && bodyAjv.compile(toJsonSchema(bodySchema, spec))
+      });
+    }
+  }
+
+  return operations;
+}
+
+/**
+ * Readable message for one Ajv error, e.g. "quality must be one of: low, medium, high"
+ */
+function describeError(error, location) {
+  const pathField = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+  const field = error.keyword === 'required'
+    ? [pathField, error.params.missingProperty].filter(Boolean).join('.')
+    : pathField || location;
+
+  let message;
+  switch (error.keyword) {
+    case 'required':
+      message = `${field} is required`;
+      break;
+    case 'enum':
+      message = `${field} must be one of: ${error.params.allowedValues.join(', ')}`;
+      break;
+    case 'pattern':
+      message = error.params.pattern === '\\S' ? `${field} cannot be empty` : `${field} has an invalid format`;
+      break;
+    case 'oneOf':
+    case 'anyOf':
+      message = `${field} does not match any allowed form`;
+      break;
+    default:
+      message = `${field} ${error.message}`;
+  }
+
+  return { location, field, message };
+}
+
+function collectErrors(validate, location) {
+  const errors = validate.errors || [];
+  // oneOf/anyOf errors summarize the failures of their branches
+  const summary = errors.filter(error => ['oneOf', 'anyOf'].includes(error.keyword));
+  return (summary.length > 0 ? summary : errors).map(error => describeError(error, location));
+}
+
+/**
+ * Express middleware validating requests against the document
+ * Requests that match no documented operation are passed through untouched
+ */
+export function createRequestValidator(spec) {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const requestPath = `${req.baseUrl}${req.path}`;
+    let match = null;
+    const operation = operations.find(candidate => {
+      if (candidate.method !== req.method) return false;
+      match = candidate.pattern.exec(requestPath);
+      return match !== null;
+    });
+
+    if (!operation) {
+      return next();
+    }
+
+    const errors = [];
+    const pathParams = Object.fromEntries(
+      Object.entries(match.groups || {}).map(([name, value]) => [name, decodePathSegment(value)])
+    );
+
+    if (operation.validatePath && !operation.validatePath(pathParams)) {
+      errors.push(...collectErrors(operation.validatePath, 'path'));
+    }
+    if (operation.validateQuery && !operation.validateQuery(req.query)) {
+      errors.push(...collectErrors(operation.validateQuery, 'query'));
+    }
+    if (operation.validateBody) {
+      // A missing JSON body is validated as an empty object, so required fields are reported
+      if (req.body === undefined || req.body === null) {
+        req.body = {};
+      }
+      if (!operation.validateBody(req.body)) {
+        errors.push(...collectErrors(operation.validateBody, 'body'));
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors[0].message,
+        errors
+      });
+    }
+
+    req.operationId = operation.operationId;
+    next();
+  };
+}
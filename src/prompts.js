@@ -180,5 +180,6 @@ export const PROMPT_CONFIG = {
   MAX_PROMPT_LENGTH: 16000,
   CONTEXT_PREVIEW_LENGTH: 300,
   LATEX_FALLBACK_EXPR: process.env.LATEX_FALLBACK_EXPR || 'x^2',
-  MAX_SESSIONS: parseInt(process.env.MAX_CHAT_SESSIONS) || 50
+  MAX_SESSIONS: parseInt(process.env.MAX_CHAT_SESSIONS) || 50,
+  MAX_CODE_VERSIONS: parseInt(process.env.MAX_CODE_VERSIONS) || 100
 };
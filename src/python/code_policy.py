@@ -0,0 +1,103 @@
+"""
+Static code-policy analysis for user-submitted Manim scripts.
+
+Reads a JSON request from stdin:
+    {"code": "...", "policy": {"allowedModules": [...], "forbiddenBuiltins": [...],
+                               "forbiddenModuleNames": [...], "forbiddenAttributes": [...],
+                               "allowedDunders": [...]}}
+and writes a JSON report to stdout:
+    {"parsed": true, "violations": [{"rule", "message", "name", "line", "column"}]}
+    {"parsed": false, "syntaxError": {"message", "line", "column"}, "violations": []}
+
+The code is only parsed, never executed.
+"""
+
+import ast
+import json
+import sys
+
+
+def is_dunder(name):
+    return len(name) > 4 and name.startswith("__") and name.endswith("__")
+
+
+class PolicyVisitor(ast.NodeVisitor):
+    def __init__(self, policy):
+        self.allowed_modules = set(policy.get("allowedModules", []))
+        self.forbidden_builtins = set(policy.get("forbiddenBuiltins", []))
+        self.forbidden_module_names = set(policy.get("forbiddenModuleNames", []))
+        self.forbidden_attributes = set(policy.get("forbiddenAttributes", []))
+        self.allowed_dunders = set(policy.get("allowedDunders", []))
+        self.violations = []
+
+    def report(self, node, rule, name, message):
+        self.violations.append({
+            "rule": rule,
+            "message": message,
+            "name": name,
+            "line": getattr(node, "lineno", None),
+            "column": getattr(node, "col_offset", None),
+        })
+
+    def check_module(self, node, module):
+        root = module.split(".")[0]
+        if root not in self.allowed_modules:
+            self.report(node, "forbidden-import", module, f"Import of module '{module}' is not allowed")
+
+    def visit_Import(self, node):
+        for alias in node.names:
+            self.check_module(node, alias.name)
+        self.generic_visit(node)
+
+    def visit_ImportFrom(self, node):
+        if node.level:
+            self.report(node, "forbidden-import", node.module or ".", "Relative imports are not allowed")
+        else:
+            self.check_module(node, node.module)
+
+        for alias in node.names:
+            if alias.name in self.forbidden_builtins or alias.name in self.forbidden_attributes:
+                self.report(node, "forbidden-import", alias.name,
+                            f"Importing '{alias.name}' from '{node.module}' is not allowed")
+        self.generic_visit(node)
+
+    def visit_Name(self, node):
+        name = node.id
+        if name in self.forbidden_builtins:
+            self.report(node, "forbidden-builtin", name, f"Use of builtin '{name}' is not allowed")
+        elif name in self.forbidden_module_names:
+            self.report(node, "forbidden-module", name, f"Use of module '{name}' is not allowed")
+        elif is_dunder(name) and name not in self.allowed_dunders:
+            self.report(node, "forbidden-builtin", name, f"Use of '{name}' is not allowed")
+        self.generic_visit(node)
+
+    def visit_Attribute(self, node):
+        attr = node.attr
+        if is_dunder(attr) and attr not in self.allowed_dunders:
+            self.report(node, "forbidden-attribute", attr, f"Access to attribute '{attr}' is not allowed")
+        elif attr in self.forbidden_attributes:
+            self.report(node, "forbidden-attribute", attr, f"Access to attribute '{attr}' is not allowed")
+        self.generic_visit(node)
+
+
+def main():
+    request = json.load(sys.stdin)
+
+    try:
+        tree = ast.parse(request.get("code", ""), filename="<submitted>")
+    except SyntaxError as error:
+        json.dump({
+            "parsed": False,
+            "syntaxError": {"message": error.msg, "line": error.lineno, "column": error.offset},
+            "violations": [],
+        }, sys.stdout)
+        return
+
+    visitor = PolicyVisitor(request.get("policy", {}))
+    visitor.visit(tree)
+    visitor.violations.sort(key=lambda violation: (violation["line"] or 0, violation["column"] or 0))
+    json.dump({"parsed": True, "violations": visitor.violations}, sys.stdout)
+
+
+if __name__ == "__main__":
+    main()
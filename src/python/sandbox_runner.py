@@ -0,0 +1,190 @@
+"""
+Sandboxed launcher for Python code run on behalf of users (Manim renders and dry runs).
+
+Usage:
+    python sandbox_runner.py -m <module> [args...]
+    python sandbox_runner.py <script.py> [args...]
+
+Before handing over to the target it applies resource limits and installs an
+audit hook (sys.addaudithook) that blocks:
+  - starting processes other than the allowed executables (LaTeX toolchain, ffmpeg)
+  - forking and sockets
+  - creating, modifying or deleting files outside the job directory
+
+Configured through the environment (set by src/utils/sandbox.js):
+    TAXIM_SANDBOX_JOB_DIR              directory the code may write to (required)
+    TAXIM_SANDBOX_WRITABLE_DIRS        extra writable directories (os.pathsep-separated)
+    TAXIM_SANDBOX_ALLOWED_EXECUTABLES  comma-separated program names that may be started
+    TAXIM_SANDBOX_CPU_SECONDS          RLIMIT_CPU
+    TAXIM_SANDBOX_MEMORY_MB            RLIMIT_AS
+    TAXIM_SANDBOX_FILE_SIZE_MB         RLIMIT_FSIZE
+
+Blocked operations raise PermissionError inside the sandboxed code and are
+reported on stderr (even if the code catches the error) as:
+    SANDBOX_VIOLATION {"event": "...", "detail": "..."}
+"""
+
+import json
+import os
+import runpy
+import shlex
+import sys
+
+try:
+    import resource
+except ImportError:  # Windows: no rlimits, the audit hook still applies
+    resource = None
+
+VIOLATION_MARKER = "SANDBOX_VIOLATION"
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_APPEND | os.O_CREAT | os.O_TRUNC
+SHELL_METACHARACTERS = set(";|&$`<>\n()")
+
+# Audit events that change the filesystem, mapped to the indexes of their path arguments
+FILESYSTEM_EVENTS = {
+    "os.mkdir": (0,),
+    "os.remove": (0,),
+    "os.rmdir": (0,),
+    "os.rename": (0, 1),
+    "os.truncate": (0,),
+    "os.chmod": (0,),
+    "os.chown": (0,),
+    "os.utime": (0,),
+    "os.link": (0, 1),
+    "os.symlink": (1,),
+    "shutil.rmtree": (0,),
+}
+
+NETWORK_EVENTS = {
+    "socket.__new__", "socket.bind", "socket.connect", "socket.sendto", "socket.sendmsg",
+    "socket.getaddrinfo", "socket.gethostbyname", "socket.gethostbyaddr", "urllib.Request",
+}
+
+PROCESS_EVENTS = {"os.fork", "os.forkpty"}
+
+
+def real_path(path):
+    return os.path.realpath(os.path.abspath(os.fsdecode(path)))
+
+
+class Sandbox:
+    def __init__(self, environ):
+        job_dir = environ.get("TAXIM_SANDBOX_JOB_DIR")
+        if not job_dir:
+            sys.exit("sandbox_runner: TAXIM_SANDBOX_JOB_DIR is required")
+
+        extra_dirs = [d for d in environ.get("TAXIM_SANDBOX_WRITABLE_DIRS", "").split(os.pathsep) if d]
+        self.writable_roots = [real_path(d) for d in [job_dir, *extra_dirs]]
+        self.allowed_executables = {
+            name.strip().lower() for name in environ.get("TAXIM_SANDBOX_ALLOWED_EXECUTABLES", "").split(",")
+            if name.strip()
+        }
+        self.limits = {
+            "cpu": environ.get("TAXIM_SANDBOX_CPU_SECONDS"),
+            "memory": environ.get("TAXIM_SANDBOX_MEMORY_MB"),
+            "file_size": environ.get("TAXIM_SANDBOX_FILE_SIZE_MB"),
+        }
+
+    # ------------------------------------------------------------------ limits
+
+    def apply_limits(self):
+        if resource is None:
+            return
+
+        def set_limit(limit, value, hard_extra=0):
+            _, hard = resource.getrlimit(limit)
+            soft = value if hard == resource.RLIM_INFINITY else min(value, hard)
+            new_hard = soft + hard_extra if hard == resource.RLIM_INFINITY else hard
+            resource.setrlimit(limit, (soft, new_hard))
+
+        if self.limits["cpu"]:
+            # SIGXCPU at the soft limit, SIGKILL a few seconds later if it is ignored
+            set_limit(resource.RLIMIT_CPU, int(self.limits["cpu"]), hard_extra=5)
+        if self.limits["memory"]:
+            set_limit(resource.RLIMIT_AS, int(self.limits["memory"]) * 1024 * 1024)
+        if self.limits["file_size"]:
+            set_limit(resource.RLIMIT_FSIZE, int(self.limits["file_size"]) * 1024 * 1024)
+
+    # ------------------------------------------------------------- audit hook
+
+    def violation(self, event, detail):
+        sys.__stderr__.write(f"{VIOLATION_MARKER} {json.dumps({'event': event, 'detail': detail})}\n")
+        sys.__stderr__.flush()
+        raise PermissionError(f"Sandbox blocked {event}: {detail}")
+
+    def is_writable(self, path):
+        if isinstance(path, int):  # already-open file descriptor
+            return True
+        resolved = real_path(path)
+        if resolved == os.devnull:
+            return True
+        return any(resolved == root or resolved.startswith(root + os.sep) for root in self.writable_roots)
+
+    def program_allowed(self, program):
+        name = os.path.basename(os.fsdecode(program)).lower()
+        if name.endswith(".exe"):
+            name = name[:-4]
+        return name in self.allowed_executables
+
+    def check_command(self, event, args):
+        if isinstance(args, (str, bytes)):
+            command = os.fsdecode(args)
+            if SHELL_METACHARACTERS & set(command):
+                self.violation(event, f"shell command '{command}'")
+            args = shlex.split(command)
+
+        args = list(args or [])
+        if not args or not self.program_allowed(args[0]):
+            self.violation(event, f"starting '{args[0] if args else ''}'")
+
+    def hook(self, event, args):
+        if event == "open":
+            path, mode, flags = args
+            writing = (isinstance(mode, str) and any(c in mode for c in "wax+")) or \
+                (isinstance(flags, int) and flags & WRITE_FLAGS)
+            if path is not None and writing and not self.is_writable(path):
+                self.violation(event, f"writing '{os.fsdecode(path)}'")
+        elif event in FILESYSTEM_EVENTS:
+            for index in FILESYSTEM_EVENTS[event]:
+                if index < len(args) and args[index] is not None and not self.is_writable(args[index]):
+                    self.violation(event, f"modifying '{os.fsdecode(args[index])}'")
+        elif event == "subprocess.Popen":
+            executable, popen_args = args[0], args[1]
+            self.check_command(event, [executable] if executable else popen_args)
+        elif event == "os.system":
+            self.check_command(event, args[0])
+        elif event in ("os.exec", "os.posix_spawn"):
+            self.check_command(event, [args[0]])
+        elif event == "os.spawn":
+            self.check_command(event, [args[1]])
+        elif event in PROCESS_EVENTS:
+            self.violation(event, "forking")
+        elif event in NETWORK_EVENTS:
+            self.violation(event, "network access")
+
+
+def main():
+    if len(sys.argv) < 2 or (sys.argv[1] == "-m" and len(sys.argv) < 3):
+        sys.exit("usage: sandbox_runner.py -m <module> [args...] | <script.py> [args...]")
+
+    sandbox = Sandbox(os.environ)
+    sandbox.apply_limits()
+
+    # Bytecode caches would be written next to the source, outside the job directory
+    sys.dont_write_bytecode = True
+
+    if sys.argv[1] == "-m":
+        module, args = sys.argv[2], sys.argv[3:]
+        sys.argv = [module, *args]
+        sys.path[0] = os.getcwd()
+        sys.addaudithook(sandbox.hook)
+        runpy.run_module(module, run_name="__main__", alter_sys=True)
+    else:
+        script, args = sys.argv[1], sys.argv[2:]
+        sys.argv = [script, *args]
+        sys.path[0] = os.path.dirname(os.path.abspath(script))
+        sys.addaudithook(sandbox.hook)
+        runpy.run_path(script, run_name="__main__")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,58 @@
+/**
+ * Animation catalog routes
+ */
+
+import express from 'express';
+import { getAnimationCatalog } from '../services/animationCatalog.js';
+import { validateAnimationQuery, asyncHandler } from '../middleware/validation.js';
+import { isAdmin, scopeSessionId, unscopeSessionId, canAccessSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * List cataloged animations, newest first, with filters and pagination
+ * Client API keys only see animations rendered in their own sessions
+ */
+router.get('/', validateAnimationQuery, asyncHandler(async (req, res) => {
+    const query = { ...req.animationQuery };
+    if (!isAdmin(req)) {
+        query.sessionPrefix = scopeSessionId(req, '');
+        if (query.sessionId) {
+            query.sessionId = scopeSessionId(req, query.sessionId);
+        }
+    }
+
+    const { animations, pagination } = getAnimationCatalog().list(query);
+
+    res.json({
+        success: true,
+        animations: animations.map(animation => ({
+            ...animation,
+            sessionId: unscopeSessionId(req, animation.sessionId)
+        })),
+        pagination
+    });
+}));
+
+/**
+ * Get the full catalog record of an animation, including its code and fix history
+ */
+router.get('/:animationId', asyncHandler(async (req, res) => {
+    const { animationId } = req.params;
+    const animation = getAnimationCatalog().get(animationId);
+
+    if (!animation || !canAccessSession(req, animation.sessionId)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Animation not found',
+            animationId
+        });
+    }
+
+    res.json({
+        success: true,
+        animation: { ...animation, sessionId: unscopeSessionId(req, animation.sessionId) }
+    });
+}));
+
+export default router;
@@ -0,0 +1,219 @@
+/**
+ * Background job status routes
+ */
+
+import express from 'express';
+import { getJobManager } from '../services/jobManager.js';
+import { getDebugBundleFiles } from '../utils/jobDiagnostics.js';
+import { createZip } from '../utils/zipUtils.js';
+import { asyncHandler } from '../middleware/validation.js';
+import { isAdmin, unscopeSessionId } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Interval of the comment lines that keep proxies from closing idle event streams
+const getHeartbeatMs = () => parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+/**
+ * Jobs are visible to the API key that submitted them and to admin keys
+ */
+const canAccessJob = (req, job) => isAdmin(req) || job.owner === req.apiKey.id;
+
+/**
+ * Job status with the client's own session IDs instead of the key-scoped internal ones
+ */
+const toClientStatus = (req, status) => ({
+    ...status,
+    sessionId: unscopeSessionId(req, status.sessionId),
+    ...(status.result?.sessionId && {
+        result: { ...status.result, sessionId: unscopeSessionId(req, status.result.sessionId) }
+    })
+});
+
+/**
+ * Job event with client session IDs; steps report `data.sessionId`, the done state `data.result`
+ */
+const toClientEvent = (req, event) => {
+    const { data } = event;
+    if (!data) return event;
+
+    return {
+        ...event,
+        data: {
+            ...data,
+            ...(typeof data.sessionId === 'string' && { sessionId: unscopeSessionId(req, data.sessionId) }),
+            ...(data.result?.sessionId && {
+                result: { ...data.result, sessionId: unscopeSessionId(req, data.result.sessionId) }
+            })
+        }
+    };
+};
+
+const respondJobNotFound = (res, jobId) => res.status(404).json({
+    success: false,
+    error: 'Job not found',
+    jobId
+});
+
+/**
+ * Get the state, result and error of a job
+ */
+router.get('/:jobId', asyncHandler(async (req, res) => {
+    const jobManager = getJobManager();
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+        return respondJobNotFound(res, jobId);
+    }
+
+    res.json({
+        success: true,
+        ...toClientStatus(req, jobManager.getJobStatus(jobId))
+    });
+}));
+
+/**
+ * Cancel a queued or running job: pending LLM calls are aborted, Manim and its
+ * children are killed and the job's temp files removed; listeners see the `cancelled` state
+ */
+const cancelJob = asyncHandler(async (req, res) => {
+    const jobManager = getJobManager();
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+        return respondJobNotFound(res, jobId);
+    }
+
+    if (!jobManager.cancel(jobId, req.body?.reason || 'Cancelled by client')) {
+        return res.status(409).json({
+            success: false,
+            error: `Job already ${job.state}`,
+            jobId,
+            state: job.state
+        });
+    }
+
+    res.json({
+        success: true,
+        jobId,
+        state: job.state,
+        error: job.error,
+        message: 'Job cancelled'
+    });
+});
+
+router.delete('/:jobId', cancelJob);
+router.post('/:jobId/cancel', cancelJob);
+
+/**
+ * Debug logs of a job: every command it ran with exit code and output, each code
+ * version it compiled or rendered, the environment and its events
+ */
+router.get('/:jobId/logs', asyncHandler(async (req, res) => {
+    const jobManager = getJobManager();
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+        return respondJobNotFound(res, jobId);
+    }
+
+    const { environment, commands, codeVersions, dropped } = job.diagnostics;
+
+    res.json({
+        success: true,
+        jobId,
+        state: job.state,
+        error: job.error,
+        environment,
+        commands,
+        codeVersions,
+        dropped,
+        events: job.events.map(event => toClientEvent(req, event))
+    });
+}));
+
+/**
+ * The same logs as a zip, with each command's output and each code version in its own file
+ */
+router.get('/:jobId/logs/bundle', asyncHandler(async (req, res) => {
+    const jobManager = getJobManager();
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+        return respondJobNotFound(res, jobId);
+    }
+
+    const bundle = createZip(getDebugBundleFiles(
+        toClientStatus(req, jobManager.getJobStatus(jobId)),
+        job.diagnostics,
+        job.events.map(event => toClientEvent(req, event))
+    ));
+
+    res.type('application/zip');
+    res.attachment(`taxim-job-${jobId}.zip`);
+    res.send(bundle);
+}));
+
+/**
+ * Server-Sent Events stream of pipeline steps and state changes for a job
+ */
+router.get('/:jobId/events', (req, res) => {
+    const jobManager = getJobManager();
+    const { jobId } = req.params;
+
+    const job = jobManager.getJob(jobId);
+
+    if (!job || !canAccessJob(req, job)) {
+        return respondJobNotFound(res, jobId);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = null;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), getHeartbeatMs());
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        res.end();
+    };
+
+    const send = (event) => {
+        if (closed) return;
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(toClientEvent(req, event))}\n\n`);
+
+        // Terminal state ends the stream
+        if (event.type === 'state' && jobManager.isFinished(jobId)) {
+            setImmediate(close);
+        }
+    };
+
+    // Resume after the last event the client saw, if reconnecting
+    const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+    unsubscribe = jobManager.subscribe(jobId, send, lastEventId);
+
+    if (jobManager.isFinished(jobId)) {
+        setImmediate(close);
+    }
+
+    req.on('close', close);
+});
+
+export default router;
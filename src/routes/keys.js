@@ -0,0 +1,48 @@
+/**
+ * API key and quota routes
+ */
+
+import express from 'express';
+import { getApiKeyStore } from '../services/apiKeyStore.js';
+import { asyncHandler } from '../middleware/validation.js';
+import { requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * The calling key's role, quotas and today's usage
+ */
+router.get('/me', asyncHandler(async (req, res) => {
+    if (!req.apiKey) {
+        return res.json({
+            success: true,
+            authEnabled: false,
+            message: 'API key authentication is disabled'
+        });
+    }
+
+    const { id, name, role } = req.apiKey;
+
+    res.json({
+        success: true,
+        authEnabled: true,
+        key: { id, name, role },
+        usage: getApiKeyStore().getUsage(req.apiKey)
+    });
+}));
+
+/**
+ * All configured keys with today's usage (admin only)
+ */
+router.get('/', requireRole('admin'), asyncHandler(async (req, res) => {
+    const keys = getApiKeyStore().listKeys();
+
+    res.json({
+        success: true,
+        authEnabled: getApiKeyStore().isEnabled(),
+        keys,
+        count: keys.length
+    });
+}));
+
+export default router;
@@ -1,19 +1,42 @@
 import express from 'express';
 import { getManimAgent } from '../services/agentManager.js';
-import { logRequest, asyncHandler } from '../middleware/validation.js';
+import swaggerUi from 'swagger-ui-express';
+import { asyncHandler, validateRequest } from '../middleware/validation.js';
+import { authenticate, enforceQuota, scopeSessionId } from '../middleware/auth.js';
 import { checkSystemRequirements } from '../utils/systemUtils.js';
+import { openApiSpec } from '../openapi/spec.js';
 import sessionRoutes from './sessions.js';
 import renderRoutes from './render.js';
 import statusRoutes from './status.js';
+import jobRoutes from './jobs.js';
+import animationRoutes from './animations.js';
+import keyRoutes from './keys.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('routes');
 
 const router = express.Router();
 
-// Apply logging middleware to all routes
-router.use(logRequest);
+// API description and docs are public
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiSpec);
+});
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec, {
+    customSiteTitle: 'Taxim Backend API'
+}));
+
+// Require an API key once keys are configured (see services/apiKeyStore.js)
+router.use(authenticate);
+
+// Validate parameters and bodies against the OpenAPI document
+router.use(validateRequest);
 
 // Mount modular route handlers
 router.use('/sessions', sessionRoutes);
 router.use('/status', statusRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/animations', animationRoutes);
+router.use('/keys', keyRoutes);
 
 // Mount render routes at root level (they define their own sub-paths)
 router.use('/', renderRoutes);
@@ -22,11 +45,10 @@ router.use('/', renderRoutes);
 router.get('/status', asyncHandler(async (req, res) => {
     const requirements = await checkSystemRequirements();
     
-    // Check if API key is available for AI features
+    // Check if the configured LLM provider is usable for AI features
     let aiStatus;
     try {
-        getManimAgent(); // Just test if we can create the agent
-        aiStatus = { available: true, error: null };
+        aiStatus = getManimAgent().getLLMStatus();
     } catch (error) {
         aiStatus = { available: false, error: error.message };
     }
@@ -51,7 +73,7 @@ router.get('/status', asyncHandler(async (req, res) => {
             ...(requirements.manim.installed ? [] : ['Install Manim Community Edition']),
             ...(requirements.ffmpeg.installed ? [] : ['Install FFmpeg']),
             ...(requirements.latex.installed ? [] : ['Install LaTeX (MiKTeX or TeX Live)']),
-            ...(aiStatus.available ? [] : ['Set GEMINI_API_KEY environment variable for AI features'])
+            ...(aiStatus.available ? [] : [`Configure the ${aiStatus.provider || 'LLM'} provider for AI features: ${aiStatus.error}`])
         ],
         timestamp: new Date().toISOString()
     });
@@ -78,17 +100,17 @@ router.get('/health', asyncHandler(async (req, res) => {
 
 // Legacy compatibility routes (redirected to modular handlers)
 router.get('/session/:sessionId?', (req, res, next) => {
-    req.url = `/sessions/session/${req.params.sessionId || ''}`;
+    req.url = `/session/${req.params.sessionId || ''}`;
     sessionRoutes(req, res, next);
 });
 
 router.delete('/session/:sessionId', (req, res, next) => {
-    req.url = `/sessions/session/${req.params.sessionId}`;
+    req.url = `/session/${req.params.sessionId}`;
     sessionRoutes(req, res, next);
 });
 
 router.post('/session/:sessionId/preference', (req, res, next) => {
-    req.url = `/sessions/session/${req.params.sessionId}/preference`;
+    req.url = `/session/${req.params.sessionId}/preference`;
     sessionRoutes(req, res, next);
 });
 
@@ -103,20 +125,18 @@ router.post('/improve', (req, res, next) => {
 });
 
 // Test generation only (no rendering)
-router.post('/test', asyncHandler(async (req, res) => {
+router.post('/test', enforceQuota('generations'), asyncHandler(async (req, res) => {
     const agent = getManimAgent();
-    const { prompt, sessionId = 'default' } = req.body;
+    const { prompt, sessionId = 'default', provider, model } = req.body;
+    const scopedSessionId = scopeSessionId(req, sessionId);
 
-    if (!prompt?.trim()) {
-        return res.status(400).json({
-            success: false,
-            error: 'Prompt is required'
-        });
-    }
+    log.info(`Testing Manim code generation for session ${scopedSessionId}, prompt:`, prompt);
 
-    console.log(`Testing Manim code generation for session ${sessionId}, prompt:`, prompt);
+    if (provider || model) {
+        agent.setSessionLLM(scopedSessionId, { provider, model });
+    }
 
-    const code = await agent.generateManimCode(prompt, sessionId);
+    const code = await agent.generateManimCode(prompt, scopedSessionId);
     const isValid = agent.isValidManimCode(code);
 
     res.json({
@@ -125,7 +145,7 @@ router.post('/test', asyncHandler(async (req, res) => {
         isValid,
         message: 'Code generated and tested successfully',
         sessionId: sessionId,
-        sessionInfo: agent.getSessionInfo(sessionId)
+        sessionInfo: agent.getSessionInfo(scopedSessionId)
     });
 }));
 
@@ -4,162 +4,197 @@
 
 import express from 'express';
 import { getManimAgent } from '../services/agentManager.js';
-import { validatePrompt, validateCode, logRequest, asyncHandler } from '../middleware/validation.js';
+import { getJobManager } from '../services/jobManager.js';
+import { runGenerationPipeline, recordEnvironment } from '../services/generationPipeline.js';
+import {
+    validatePrompt,
+    validateCode,
+    validateSceneSelection,
+    validateCodePolicy,
+    validateRenderSettings,
+    asyncHandler
+} from '../middleware/validation.js';
+import { enforceQuota, scopeSessionId } from '../middleware/auth.js';
+import { listScenes, getDefaultSceneName } from '../utils/sceneUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('routes');
 
 const router = express.Router();
 
-// Apply logging middleware
-router.use(logRequest);
+// Generate jobs only depend on their payload, so they can be resumed after a restart
+getJobManager().registerRunner('generate', (job) => {
+    const { prompt, sessionId, renderSettings, fixPolicyViolations } = job.payload;
+    return runGenerationPipeline(getManimAgent(), { prompt, sessionId, renderSettings, fixPolicyViolations });
+});
 
 /**
- * Generate Manim animation with retry-on-error support
+ * Queue a Manim animation generation job and return its ID immediately
  */
-router.post('/generate', validatePrompt, asyncHandler(async (req, res) => {
+router.post('/generate', validatePrompt, validateRenderSettings, enforceQuota('generations'), asyncHandler(async (req, res) => {
     const agent = getManimAgent();
+    const jobManager = getJobManager();
     
-    const { prompt, sessionId = 'default', userPreferences = {} } = req.body;
+    const { prompt, sessionId = 'default', userPreferences = {}, provider, model, fixPolicyViolations = false } = req.body;
+    // Agent sessions are namespaced by API key; responses use the client's session ID
+    const scopedSessionId = scopeSessionId(req, sessionId);
 
-    console.log(`Generating Manim code for session ${sessionId}, prompt:`, prompt);
+    log.info(`Queueing Manim generation for session ${scopedSessionId}, prompt:`, prompt);
 
     // Set user preferences if provided
     if (Object.keys(userPreferences).length > 0) {
         Object.entries(userPreferences).forEach(([key, value]) => {
-            agent.setUserPreference(sessionId, key, value);
+            agent.setUserPreference(scopedSessionId, key, value);
         });
     }
 
-    let result;
-    let attempts = 0;
-    const maxAttempts = 3;
-
-    // Retry generation with error handling
-    while (attempts < maxAttempts) {
-        try {
-            // Generate Manim code with session context and error handling
-            const generationResult = await agent.generateAndFixManimCode(prompt, sessionId, 3);
-            
-            console.log('Generated code result:', {
-                success: generationResult.success,
-                attempts: generationResult.attempts,
-                wasFixed: generationResult.wasFixed,
-                sessionId: generationResult.sessionId
-            });
-
-            // Render animation with session context and error handling
-            const renderResult = await agent.renderAnimationWithErrorHandling(generationResult.code, sessionId, 3);
-
-            console.log('Animation rendered successfully:', renderResult.videoPath);
-
-            result = {
-                success: true,
-                code: renderResult.code,
-                videoPath: renderResult.videoPath,
-                videoFileName: renderResult.videoFileName,
-                message: 'Animation generated successfully',
-                sessionId: sessionId,
-                sessionInfo: agent.getSessionInfo(sessionId),
-                metadata: {
-                    generationAttempts: generationResult.attempts,
-                    wasCodeFixed: renderResult.wasCodeFixed,
-                    wasImproved: renderResult.wasImproved || false,
-                    renderAttempts: renderResult.attempts
-                }
-            };
-            break; // Success, exit retry loop
-
-        } catch (error) {
-            attempts++;
-            console.error(`Generation attempt ${attempts} failed:`, error.message);
-
-            if (attempts >= maxAttempts) {
-                // If all attempts failed, try to improve the code and return a simple variant
-                try {
-                    console.log('All generation attempts failed, trying code improvement...');
-                    const simpleCode = await agent.improveManimCode(
-                        'from manim import *\n\nclass SimpleAnimation(Scene):\n    def construct(self):\n        circle = Circle()\n        self.play(Create(circle))\n        self.wait(1)',
-                        `Generate a simple animation for: ${prompt}`,
-                        sessionId
-                    );
-                    
-                    const fallbackResult = await agent.renderAnimationWithErrorHandling(simpleCode, sessionId, 1);
-                    
-                    result = {
-                        success: true,
-                        code: fallbackResult.code,
-                        videoPath: fallbackResult.videoPath,
-                        videoFileName: fallbackResult.videoFileName,
-                        message: 'Generated fallback animation after errors',
-                        sessionId: sessionId,
-                        sessionInfo: agent.getSessionInfo(sessionId),
-                        warning: 'Original generation failed, this is a simplified version',
-                        metadata: {
-                            usedFallback: true,
-                            originalError: error.message
-                        }
-                    };
-                    break;
-                } catch (fallbackError) {
-                    console.error('Even fallback generation failed:', fallbackError.message);
-                    throw error; // Throw original error
-                }
-            } else {
-                console.log(`Retrying in 2 seconds... (${attempts}/${maxAttempts})`);
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-        }
+    // Per-request LLM selection sticks to the session
+    if (provider || model) {
+        agent.setSessionLLM(scopedSessionId, { provider, model });
     }
 
-    res.json(result);
+    const job = jobManager.submit('generate', {
+        prompt,
+        sessionId: scopedSessionId,
+        owner: req.apiKey?.id,
+        renderSettings: req.renderSettings,
+        fixPolicyViolations
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        message: 'Animation generation queued',
+        sessionId: sessionId
+    });
 }));
 
 /**
- * Render existing code
+ * Render existing code: the first scene, `sceneName`, or each of `scenes`
  */
-router.post('/render', validateCode, asyncHandler(async (req, res) => {
+router.post('/render', validateCode, validateSceneSelection, validateRenderSettings, validateCodePolicy, enforceQuota('renders'), asyncHandler(async (req, res) => {
     const agent = getManimAgent();
+    const jobManager = getJobManager();
     
-    const { code, sessionId = 'default' } = req.body;
+    const { code, sessionId = 'default', provider, model } = req.body;
+    const scopedSessionId = scopeSessionId(req, sessionId);
+    const { requested, available } = req.sceneSelection;
+
+    log.info(`Rendering Manim code for session ${scopedSessionId}`, { scenes: requested || 'default' });
 
-    console.log(`Rendering Manim code for session ${sessionId}`);
+    if (provider || model) {
+        agent.setSessionLLM(scopedSessionId, { provider, model });
+    }
+
+    // Client code becomes a version of the session unless it is the current one
+    agent.recordCodeVersion(scopedSessionId, code, 'manual');
+
+    // The render runs as an attached job, so it gets a job context, a cancel signal and job logs
+    const renderOptions = { renderSettings: req.renderSettings };
+    const { job, result } = jobManager.runAttached('render', {
+        sessionId: scopedSessionId,
+        owner: req.apiKey?.id,
+        renderSettings: req.renderSettings,
+        scenes: requested
+    }, async () => {
+        await recordEnvironment(agent, scopedSessionId, req.renderSettings);
+        return requested && requested.length > 1
+            ? agent.renderScenesWithErrorHandling(code, scopedSessionId, 3, { ...renderOptions, scenes: requested })
+            : [await agent.renderAnimationWithErrorHandling(code, scopedSessionId, 3, { ...renderOptions, sceneName: requested?.[0] })];
+    });
+
+    // A client that hangs up cancels the render, which kills its Manim process group
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            jobManager.cancel(job.id, 'Client disconnected');
+        }
+    });
 
-    const renderResult = await agent.renderAnimationWithErrorHandling(code, sessionId, 3);
+    let sceneResults;
+    try {
+        sceneResults = await result;
+    } catch (error) {
+        // Failed renders point at their logs too
+        error.details = { ...error.details, jobId: job.id };
+        throw error;
+    }
+    const renderResult = sceneResults[0];
+    const lastResult = sceneResults[sceneResults.length - 1];
 
-    console.log('Animation rendered successfully:', renderResult.videoPath);
+    log.info(`Rendered ${sceneResults.length} scene(s):`, sceneResults.map(result => result.videoPath).join(', '));
 
     res.json({
         success: true,
-        code: renderResult.code,
+        jobId: job.id,
+        logsUrl: `${req.baseUrl}/jobs/${job.id}/logs`,
+        code: lastResult.code,
         videoPath: renderResult.videoPath,
+        posterPath: renderResult.posterPath,
+        previewPath: renderResult.previewPath,
         videoFileName: renderResult.videoFileName,
-        message: 'Animation rendered successfully',
+        format: renderResult.format,
+        contentType: renderResult.contentType,
+        animationId: renderResult.animationId,
+        sceneName: renderResult.className,
+        scenes: sceneResults.map(result => ({
+            sceneName: result.className,
+            videoPath: result.videoPath,
+            posterPath: result.posterPath,
+            previewPath: result.previewPath,
+            videoFileName: result.videoFileName,
+            format: result.format,
+            contentType: result.contentType,
+            animationId: result.animationId,
+            cached: result.cached || false,
+            wasCodeFixed: result.wasCodeFixed,
+            wasImproved: result.wasImproved || false
+        })),
+        availableScenes: available,
+        message: sceneResults.length > 1 ? `Rendered ${sceneResults.length} scenes successfully` : 'Animation rendered successfully',
         sessionId: sessionId,
-        sessionInfo: agent.getSessionInfo(sessionId),
+        sessionInfo: agent.getSessionInfo(scopedSessionId),
         metadata: {
-            wasCodeFixed: renderResult.wasCodeFixed,
-            wasImproved: renderResult.wasImproved || false,
-            renderAttempts: renderResult.attempts
+            wasCodeFixed: sceneResults.some(result => result.wasCodeFixed),
+            wasImproved: sceneResults.some(result => result.wasImproved),
+            cached: sceneResults.every(result => result.cached),
+            renderAttempts: sceneResults.reduce((sum, result) => sum + (result.attempts || 0), 0),
+            renderSettings: renderResult.renderSettings,
+            // Violations that were let through because CODE_POLICY=warn
+            policyWarnings: req.codePolicy.violations
         }
     });
 }));
 
+/**
+ * List the Scene subclasses defined in code
+ */
+router.post('/scenes', validateCode, (req, res) => {
+    res.json({
+        success: true,
+        scenes: listScenes(req.body.code),
+        defaultScene: getDefaultSceneName(req.body.code)
+    });
+});
+
 /**
  * Improve existing code
  */
-router.post('/improve', validateCode, asyncHandler(async (req, res) => {
+router.post('/improve', validateCode, enforceQuota('generations'), asyncHandler(async (req, res) => {
     const agent = getManimAgent();
     
-    const { code, feedback, sessionId = 'default' } = req.body;
+    const { code, feedback, sessionId = 'default', provider, model } = req.body;
+    const scopedSessionId = scopeSessionId(req, sessionId);
 
-    if (!feedback) {
-        return res.status(400).json({
-            success: false,
-            error: 'Feedback is required for code improvement'
-        });
-    }
+    log.info(`Improving Manim code for session ${scopedSessionId}, feedback:`, feedback);
 
-    console.log(`Improving Manim code for session ${sessionId}, feedback:`, feedback);
+    if (provider || model) {
+        agent.setSessionLLM(scopedSessionId, { provider, model });
+    }
 
-    const improvedCode = await agent.improveManimCode(code, feedback, sessionId);
+    agent.recordCodeVersion(scopedSessionId, code, 'manual');
+    const improvedCode = await agent.improveManimCode(code, feedback, scopedSessionId);
 
     res.json({
         success: true,
@@ -167,7 +202,7 @@ router.post('/improve', validateCode, asyncHandler(async (req, res) => {
         improvedCode,
         feedback,
         sessionId: sessionId,
-        sessionInfo: agent.getSessionInfo(sessionId),
+        sessionInfo: agent.getSessionInfo(scopedSessionId),
         message: 'Code improved successfully'
     });
 }));
@@ -3,20 +3,26 @@
  */
 
 import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
 import { getManimAgent } from '../services/agentManager.js';
-import { logRequest, asyncHandler } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/validation.js';
+import { requireRole, scopeSessionId, unscopeSessionId, getSessionOwner } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Apply logging middleware
-router.use(logRequest);
+const respondVersionNotFound = (res, sessionId, versionId) => res.status(404).json({
+    success: false,
+    error: versionId ? `Code version ${versionId} not found` : 'Session not found',
+    sessionId,
+    ...(versionId && { versionId })
+});
 
 // Get session information
 router.get('/session/:sessionId?', asyncHandler(async (req, res) => {
     const agent = getManimAgent();
     const sessionId = req.params.sessionId || 'default';
     
-    const sessionInfo = agent.getSessionInfo(sessionId);
+    const sessionInfo = agent.getSessionInfo(scopeSessionId(req, sessionId));
     
     res.json({
         success: true,
@@ -25,14 +31,15 @@ router.get('/session/:sessionId?', asyncHandler(async (req, res) => {
     });
 }));
 
-// Get all active sessions
-router.get('/sessions', asyncHandler(async (req, res) => {
+// Get all active sessions (across API keys, so admin only)
+router.get('/sessions', requireRole('admin'), asyncHandler(async (req, res) => {
     const agent = getManimAgent();
     const activeSessions = agent.getActiveSessions();
     
     res.json({
         success: true,
         activeSessions,
+        owners: Object.fromEntries(activeSessions.map(sessionId => [sessionId, getSessionOwner(sessionId)])),
         count: activeSessions.length
     });
 }));
@@ -42,7 +49,7 @@ router.delete('/session/:sessionId', asyncHandler(async (req, res) => {
     const agent = getManimAgent();
     const { sessionId } = req.params;
     
-    const cleared = agent.clearSession(sessionId);
+    const cleared = agent.clearSession(scopeSessionId(req, sessionId));
     
     res.json({
         success: true,
@@ -58,14 +65,7 @@ router.post('/session/:sessionId/preference', asyncHandler(async (req, res) => {
     const { sessionId } = req.params;
     const { key, value } = req.body;
     
-    if (!key || value === undefined) {
-        return res.status(400).json({
-            success: false,
-            error: 'Both key and value are required'
-        });
-    }
-    
-    agent.setUserPreference(sessionId, key, value);
+    agent.setUserPreference(scopeSessionId(req, sessionId), key, value);
     
     res.json({
         success: true,
@@ -75,4 +75,107 @@ router.post('/session/:sessionId/preference', asyncHandler(async (req, res) => {
     });
 }));
 
+// List the code versions of a session (without their code)
+router.get('/session/:sessionId/versions', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const history = getManimAgent().listCodeVersions(scopeSessionId(req, sessionId));
+
+    if (!history) {
+        return respondVersionNotFound(res, sessionId);
+    }
+
+    res.json({
+        success: true,
+        sessionId,
+        ...history,
+        forkedFrom: history.forkedFrom && {
+            ...history.forkedFrom,
+            sessionId: unscopeSessionId(req, history.forkedFrom.sessionId)
+        },
+        count: history.versions.length
+    });
+}));
+
+// Get a code version with its code
+router.get('/session/:sessionId/versions/:versionId', asyncHandler(async (req, res) => {
+    const { sessionId, versionId } = req.params;
+    const version = getManimAgent().getCodeVersion(scopeSessionId(req, sessionId), versionId);
+
+    if (!version) {
+        return respondVersionNotFound(res, sessionId, versionId);
+    }
+
+    res.json({ success: true, sessionId, version });
+}));
+
+// Unified diff between two code versions (default: the current version against its parent)
+router.get('/session/:sessionId/diff', asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { from, to } = req.query;
+    const diff = getManimAgent().diffCodeVersions(scopeSessionId(req, sessionId), from, to);
+
+    if (!diff) {
+        return res.status(404).json({
+            success: false,
+            error: 'Session or code versions to compare not found',
+            sessionId,
+            ...(from && { from }),
+            ...(to && { to })
+        });
+    }
+
+    res.json({ success: true, sessionId, ...diff });
+}));
+
+// Make an earlier code version current again
+router.post('/session/:sessionId/versions/:versionId/revert', asyncHandler(async (req, res) => {
+    const { sessionId, versionId } = req.params;
+    const version = getManimAgent().revertToVersion(scopeSessionId(req, sessionId), versionId);
+
+    if (!version) {
+        return respondVersionNotFound(res, sessionId, versionId);
+    }
+
+    res.json({
+        success: true,
+        sessionId,
+        version,
+        message: `Reverted to code version ${versionId}`
+    });
+}));
+
+// Start a new session from a code version (default: the current one)
+router.post('/session/:sessionId/fork', asyncHandler(async (req, res) => {
+    const agent = getManimAgent();
+    const { sessionId } = req.params;
+    const scopedSessionId = scopeSessionId(req, sessionId);
+    const {
+        versionId = agent.listCodeVersions(scopedSessionId)?.currentVersionId,
+        newSessionId = `${sessionId.slice(0, 80)}-fork-${uuidv4().slice(0, 8)}`
+    } = req.body || {};
+    const scopedNewSessionId = scopeSessionId(req, newSessionId);
+
+    if (agent.getSessionInfo(scopedNewSessionId).exists) {
+        return res.status(409).json({
+            success: false,
+            error: `Session ${newSessionId} already exists`,
+            sessionId: newSessionId
+        });
+    }
+
+    const version = versionId && agent.forkSession(scopedSessionId, versionId, scopedNewSessionId);
+    if (!version) {
+        return respondVersionNotFound(res, sessionId, versionId);
+    }
+
+    res.status(201).json({
+        success: true,
+        sessionId: newSessionId,
+        forkedFrom: { sessionId, versionId },
+        version,
+        sessionInfo: agent.getSessionInfo(scopedNewSessionId),
+        message: `Forked session ${newSessionId} from ${sessionId} at ${versionId}`
+    });
+}));
+
 export default router;
@@ -6,6 +6,7 @@ import express from 'express';
 import { getManimAgent } from '../services/agentManager.js';
 import { createBasicHealthChecker } from '../utils/monitoringUtils.js';
 import { checkSystemRequirements } from '../utils/systemUtils.js';
+import { requireRole, getSessionOwner } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -144,9 +145,9 @@ router.get('/performance', async (req, res) => {
 });
 
 /**
- * GET /status/sessions - Active session information
+ * GET /status/sessions - Active session information (admin only)
  */
-router.get('/sessions', async (req, res) => {
+router.get('/sessions', requireRole('admin'), async (req, res) => {
   try {
     const agent = getManimAgent();
     const activeSessions = agent.getActiveSessions();
@@ -155,6 +156,7 @@ router.get('/sessions', async (req, res) => {
       const info = agent.getSessionInfo(sessionId);
       return {
         sessionId,
+        owner: getSessionOwner(sessionId),
         ...info
       };
     });
@@ -175,9 +177,9 @@ router.get('/sessions', async (req, res) => {
 });
 
 /**
- * POST /status/reset-errors - Reset error tracking
+ * POST /status/reset-errors - Reset error tracking (admin only)
  */
-router.post('/reset-errors', async (req, res) => {
+router.post('/reset-errors', requireRole('admin'), async (req, res) => {
   try {
     const agent = getManimAgent();
     agent.resetErrorTracking();
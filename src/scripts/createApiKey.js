@@ -0,0 +1,45 @@
+/**
+ * Create an API key and add it to the key file (API_KEYS_FILE)
+ *
+ * Usage:
+ *   npm run create-api-key -- --id web-frontend [--role client|admin] [--name "Web frontend"]
+ *                             [--generations 100] [--renders 300]
+ *
+ * The key is printed once; only its SHA-256 hash is stored.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { ApiKeyStore } from '../services/apiKeyStore.js';
+
+const { values } = parseArgs({
+    options: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        role: { type: 'string', default: 'client' },
+        generations: { type: 'string' },
+        renders: { type: 'string' }
+    }
+});
+
+const quotas = {};
+for (const [option, quota] of [['generations', 'generationsPerDay'], ['renders', 'rendersPerDay']]) {
+    if (values[option] === undefined) continue;
+    const limit = Number(values[option]);
+    if (!Number.isInteger(limit) || limit < 0) {
+        console.error(`--${option} must be a non-negative integer`);
+        process.exit(1);
+    }
+    quotas[quota] = limit;
+}
+
+try {
+    const store = new ApiKeyStore();
+    const key = store.createKey({ id: values.id, name: values.name, role: values.role, quotas });
+
+    console.log(`Created ${values.role} key "${values.id}" in ${store.keysFile}`);
+    console.log(`API key (shown only once): ${key}`);
+} catch (error) {
+    console.error(`Could not create API key: ${error.message}`);
+    process.exit(1);
+}
@@ -4,6 +4,9 @@
  */
 
 import ManimAgent from '../services/manimAgent.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('agentManager');
 
 // Singleton instance
 let manimAgentInstance = null;
@@ -15,9 +18,9 @@ export function getManimAgent() {
   if (!manimAgentInstance) {
     try {
       manimAgentInstance = new ManimAgent();
-      console.log('Created shared ManimAgent instance');
+      log.info('Created shared ManimAgent instance');
     } catch (error) {
-      console.error('Failed to create ManimAgent:', error.message);
+      log.error('Failed to create ManimAgent:', error.message);
       throw error; // Re-throw for proper error handling
     }
   }
@@ -29,7 +32,26 @@ export function getManimAgent() {
  */
 export function resetManimAgent() {
   manimAgentInstance = null;
-  console.log('Reset ManimAgent instance');
+  log.info('Reset ManimAgent instance');
+}
+
+/**
+ * Write pending session changes to the session store, if the agent exists
+ */
+export function flushAgentSessions() {
+  if (manimAgentInstance) {
+    manimAgentInstance.flushSessions();
+  }
+}
+
+/**
+ * Shut the agent down (stops monitoring, saves sessions) and drop the instance
+ */
+export function shutdownAgent() {
+  if (manimAgentInstance) {
+    manimAgentInstance.shutdown();
+    manimAgentInstance = null;
+  }
 }
 
 /**
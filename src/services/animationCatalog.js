@@ -0,0 +1,206 @@
+/**
+ * Catalog of rendered animations
+ *
+ * Every successful render stores a record (prompt, final code, session, render
+ * flags and settings, fix history, duration, file size, timestamps) as one JSON
+ * file under ANIMATION_CATALOG_DIR. Records follow their video: when the cleanup
+ * scheduler deletes a video, pruneMissing() drops its record.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('animationCatalog');
+
+/**
+ * How long rendered videos are kept before the cleanup scheduler deletes them
+ */
+export const getAnimationRetentionHours = () =>
+  parseFloat(process.env.ANIMATION_RETENTION_HOURS) || 24;
+
+export class AnimationCatalog {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.ANIMATION_CATALOG_DIR || 'data/animations');
+    this.outputDir = path.resolve(options.outputDir || process.env.ANIMATION_OUTPUT_DIR || 'public/animations');
+    this.records = new Map();
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this._load();
+  }
+
+  _filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  _load() {
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const record = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        if (record && record.id) {
+          this.records.set(record.id, record);
+        }
+      } catch (error) {
+        log.warn(`Skipping unreadable catalog record ${file}:`, error.message);
+      }
+    }
+
+    const pruned = this.pruneMissing();
+    log.info(`Loaded ${this.records.size} animation catalog records (${pruned} without videos removed)`);
+  }
+
+  _write(record) {
+    const filePath = this._filePath(record.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Store a record for a finished render and return it
+   */
+  add(entry) {
+    const createdAt = new Date();
+    const videoFile = path.join(this.outputDir, entry.videoFileName);
+    let fileSize = null;
+    try {
+      fileSize = fs.statSync(videoFile).size;
+    } catch (error) {
+      log.warn(`Could not stat rendered video ${entry.videoFileName}:`, error.message);
+    }
+
+    const record = {
+      id: uuidv4(),
+      videoFileName: entry.videoFileName,
+      videoPath: entry.videoPath,
+      posterPath: entry.posterPath || null,
+      previewPath: entry.previewPath || null,
+      format: entry.format || 'mp4',
+      contentType: entry.contentType || 'video/mp4',
+      className: entry.className || null,
+      prompt: entry.prompt || null,
+      code: entry.code,
+      sessionId: entry.sessionId || 'default',
+      jobId: entry.jobId || null,
+      source: entry.source || 'render',
+      llm: entry.llm || null,
+      renderFlags: {
+        wasCodeFixed: Boolean(entry.wasCodeFixed),
+        wasImproved: Boolean(entry.wasImproved),
+        usedFallback: Boolean(entry.usedFallback),
+        generationAttempts: entry.generationAttempts ?? null,
+        renderAttempts: entry.renderAttempts ?? null
+      },
+      fixHistory: entry.fixHistory || [],
+      renderSettings: entry.renderSettings || null,
+      renderDurationMs: entry.renderDurationMs ?? null,
+      // Render cache keys of the rendered and the submitted code, and the record whose video a cache hit reused
+      cacheKey: entry.cacheKey || null,
+      sourceCacheKey: entry.sourceCacheKey || null,
+      cachedFrom: entry.cachedFrom || null,
+      fileSize,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + getAnimationRetentionHours() * 60 * 60 * 1000).toISOString()
+    };
+
+    try {
+      this._write(record);
+    } catch (error) {
+      // The render itself succeeded, so keep serving the record from memory
+      log.warn(`Failed to persist catalog record ${record.id}:`, error.message);
+    }
+
+    this.records.set(record.id, record);
+    log.info(`Cataloged animation ${record.id} (${record.videoFileName})`);
+    return record;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Filter and paginate records, newest first
+   */
+  list({ sessionId, sessionPrefix, className, source, format, q, wasFixed, since, until, limit = 20, offset = 0 } = {}) {
+    const query = q ? q.toLowerCase() : null;
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+
+    const matches = Array.from(this.records.values())
+      .filter(record => !sessionId || record.sessionId === sessionId)
+      .filter(record => !sessionPrefix || (record.sessionId || '').startsWith(sessionPrefix))
+      .filter(record => !className || record.className === className)
+      .filter(record => !source || record.source === source)
+      .filter(record => !format || (record.format || 'mp4') === format)
+      .filter(record => !query || (record.prompt || '').toLowerCase().includes(query))
+      .filter(record => wasFixed === undefined ||
+        (record.renderFlags.wasCodeFixed || record.renderFlags.wasImproved) === wasFixed)
+      .filter(record => sinceTime === null || new Date(record.createdAt).getTime() >= sinceTime)
+      .filter(record => untilTime === null || new Date(record.createdAt).getTime() <= untilTime)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      animations: matches.slice(offset, offset + limit).map(AnimationCatalog.summarize),
+      pagination: {
+        total: matches.length,
+        limit,
+        offset,
+        hasMore: offset + limit < matches.length
+      }
+    };
+  }
+
+  /**
+   * Listing view of a record (without the code and fix history)
+   */
+  static summarize(record) {
+    const { code, fixHistory, ...summary } = record;
+    return { ...summary, fixCount: fixHistory.length };
+  }
+
+  remove(id) {
+    if (!this.records.delete(id)) {
+      return false;
+    }
+    fs.rmSync(this._filePath(id), { force: true });
+    return true;
+  }
+
+  /**
+   * Drop records whose video file no longer exists (e.g. after scheduled cleanup)
+   */
+  pruneMissing() {
+    let pruned = 0;
+
+    for (const record of Array.from(this.records.values())) {
+      if (!fs.existsSync(path.join(this.outputDir, record.videoFileName))) {
+        this.remove(record.id);
+        pruned++;
+      }
+    }
+
+    return pruned;
+  }
+
+  getStats() {
+    return { records: this.records.size, directory: this.directory };
+  }
+}
+
+// Singleton instance
+let animationCatalogInstance = null;
+
+/**
+ * Get or create the shared AnimationCatalog instance
+ */
+export function getAnimationCatalog() {
+  if (!animationCatalogInstance) {
+    animationCatalogInstance = new AnimationCatalog();
+  }
+  return animationCatalogInstance;
+}
@@ -0,0 +1,263 @@
+/**
+ * API keys, roles and daily quotas
+ *
+ * Keys are configured in a JSON key file (API_KEYS_FILE, default data/api-keys.json):
+ *   { "keys": [{ "id": "web", "role": "client", "keyHash": "<sha256 hex>",
+ *                "quotas": { "generationsPerDay": 100, "rendersPerDay": 300 } }] }
+ * Only SHA-256 hashes of the keys are stored; `npm run create-api-key` adds entries.
+ * The file is re-read when it changes, so keys can be added without a restart.
+ *
+ * Usage counters are kept per UTC day in API_KEY_USAGE_FILE and written
+ * atomically (temp file + rename), so a restart does not reset the quotas.
+ *
+ * With no keys configured the API stays anonymous, unless API_AUTH_REQUIRED=true.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('apiKeyStore');
+
+export const API_KEY_ROLES = ['admin', 'client'];
+
+export const QUOTA_TYPES = {
+  generations: 'generationsPerDay',
+  renders: 'rendersPerDay'
+};
+
+const KEY_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * New random API key, e.g. "tx_3f9c..."
+ */
+export const generateApiKey = () => `tx_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Quotas for client keys that do not set their own; null means unlimited
+ */
+export function getDefaultQuotas(role = 'client') {
+  if (role === 'admin') {
+    return { generationsPerDay: null, rendersPerDay: null };
+  }
+  return {
+    generationsPerDay: parseInt(process.env.API_KEY_DEFAULT_GENERATIONS_PER_DAY) || 100,
+    rendersPerDay: parseInt(process.env.API_KEY_DEFAULT_RENDERS_PER_DAY) || 300
+  };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const writeJsonAtomic = (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Validate and normalize one key file entry; returns null for unusable entries
+ */
+function normalizeKeyEntry(entry) {
+  if (!entry || !KEY_ID_PATTERN.test(entry.id || '')) {
+    log.warn(`Skipping API key with invalid id: ${JSON.stringify(entry?.id)}`);
+    return null;
+  }
+  if (!/^[a-f0-9]{64}$/.test(entry.keyHash || '')) {
+    log.warn(`Skipping API key ${entry.id}: keyHash must be a SHA-256 hex digest`);
+    return null;
+  }
+  const role = entry.role || 'client';
+  if (!API_KEY_ROLES.includes(role)) {
+    log.warn(`Skipping API key ${entry.id}: role must be one of ${API_KEY_ROLES.join(', ')}`);
+    return null;
+  }
+
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    role,
+    keyHash: entry.keyHash,
+    disabled: entry.disabled === true,
+    quotas: { ...getDefaultQuotas(role), ...entry.quotas }
+  };
+}
+
+export class ApiKeyStore {
+  constructor(options = {}) {
+    this.keysFile = path.resolve(options.keysFile || process.env.API_KEYS_FILE || 'data/api-keys.json');
+    this.usageFile = path.resolve(options.usageFile || process.env.API_KEY_USAGE_FILE || 'data/api-key-usage.json');
+    this.authRequired = options.authRequired ?? process.env.API_AUTH_REQUIRED === 'true';
+    this.keys = new Map(); // key hash -> key entry
+    this.keysMtime = null;
+    this.usage = { date: today(), keys: {} };
+
+    this._loadKeys();
+    this._loadUsage();
+  }
+
+  _loadKeys() {
+    let mtime = null;
+    try {
+      mtime = fs.statSync(this.keysFile).mtimeMs;
+    } catch {
+      // No key file: anonymous access (unless API_AUTH_REQUIRED)
+    }
+    if (mtime === this.keysMtime) return;
+
+    this.keysMtime = mtime;
+    this.keys.clear();
+    if (mtime === null) return;
+
+    try {
+      const { keys = [] } = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+      for (const entry of keys.map(normalizeKeyEntry).filter(Boolean)) {
+        this.keys.set(entry.keyHash, entry);
+      }
+      log.info(`Loaded ${this.keys.size} API keys from ${this.keysFile}`);
+    } catch (error) {
+      log.error(`Could not read API key file ${this.keysFile}:`, error.message);
+    }
+  }
+
+  _loadUsage() {
+    try {
+      const usage = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+      if (usage?.date === today() && usage.keys) {
+        this.usage = usage;
+      }
+    } catch {
+      // No usage recorded yet
+    }
+  }
+
+  /**
+   * Whether requests must present a valid key
+   */
+  isEnabled() {
+    this._loadKeys();
+    return this.authRequired || this.keys.size > 0;
+  }
+
+  /**
+   * Look up the key entry for a presented API key; null if unknown or disabled
+   */
+  authenticate(key) {
+    if (typeof key !== 'string' || key.length === 0) return null;
+    this._loadKeys();
+
+    const entry = this.keys.get(hashApiKey(key));
+    return entry && !entry.disabled ? entry : null;
+  }
+
+  _usageFor(keyId) {
+    if (this.usage.date !== today()) {
+      this.usage = { date: today(), keys: {} };
+    }
+    if (!this.usage.keys[keyId]) {
+      this.usage.keys[keyId] = { generations: 0, renders: 0 };
+    }
+    return this.usage.keys[keyId];
+  }
+
+  /**
+   * Count one use of a quota; returns { allowed, limit, used, resetsAt }
+   * Uses past the limit are refused and not counted
+   */
+  consume(keyEntry, type) {
+    const limit = keyEntry.quotas[QUOTA_TYPES[type]] ?? null;
+    const usage = this._usageFor(keyEntry.id);
+    const resetsAt = new Date(`${this.usage.date}T00:00:00.000Z`);
+    resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+
+    if (limit !== null && usage[type] >= limit) {
+      return { allowed: false, limit, used: usage[type], resetsAt: resetsAt.toISOString() };
+    }
+
+    usage[type]++;
+    try {
+      writeJsonAtomic(this.usageFile, this.usage);
+    } catch (error) {
+      log.warn('Could not persist API key usage:', error.message);
+    }
+
+    return { allowed: true, limit, used: usage[type], resetsAt: resetsAt.toISOString() };
+  }
+
+  /**
+   * Today's usage and quotas of a key
+   */
+  getUsage(keyEntry) {
+    const usage = this._usageFor(keyEntry.id);
+    return {
+      date: this.usage.date,
+      generations: { used: usage.generations, limit: keyEntry.quotas.generationsPerDay ?? null },
+      renders: { used: usage.renders, limit: keyEntry.quotas.rendersPerDay ?? null }
+    };
+  }
+
+  /**
+   * Configured keys (without hashes) with today's usage
+   */
+  listKeys() {
+    this._loadKeys();
+    return Array.from(this.keys.values()).map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      role: entry.role,
+      disabled: entry.disabled,
+      usage: this.getUsage(entry)
+    }));
+  }
+
+  /**
+   * Append a new key to the key file and return the plaintext key (shown once)
+   */
+  createKey({ id, name, role = 'client', quotas = {} }) {
+    if (!KEY_ID_PATTERN.test(id || '')) {
+      throw new Error('Key id must be 1-64 letters, numbers, dashes or underscores');
+    }
+    if (!API_KEY_ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${API_KEY_ROLES.join(', ')}`);
+    }
+
+    let file = { keys: [] };
+    if (fs.existsSync(this.keysFile)) {
+      file = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+      file.keys = file.keys || [];
+    }
+    if (file.keys.some(entry => entry.id === id)) {
+      throw new Error(`A key with id "${id}" already exists`);
+    }
+
+    const key = generateApiKey();
+    file.keys.push({
+      id,
+      name: name || id,
+      role,
+      keyHash: hashApiKey(key),
+      ...(Object.keys(quotas).length > 0 && { quotas }),
+      createdAt: new Date().toISOString()
+    });
+    writeJsonAtomic(this.keysFile, file);
+    this._loadKeys();
+
+    return key;
+  }
+}
+
+// Singleton instance
+let apiKeyStoreInstance = null;
+
+/**
+ * Get or create the shared ApiKeyStore instance
+ */
+export function getApiKeyStore() {
+  if (!apiKeyStoreInstance) {
+    apiKeyStoreInstance = new ApiKeyStore();
+  }
+  return apiKeyStoreInstance;
+}
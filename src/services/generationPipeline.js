@@ -0,0 +1,164 @@
+/**
+ * Prompt-to-video generation pipeline used by background generate jobs
+ */
+
+import { reportProgress, throwIfJobCancelled } from '../utils/jobContext.js';
+import { recordJobEnvironment } from '../utils/jobDiagnostics.js';
+import { isCodePolicyError } from '../utils/errorUtils.js';
+import { getEnvironmentSummary } from '../utils/systemUtils.js';
+import { getRenderPool } from './renderPool.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('generationPipeline');
+
+const FALLBACK_SCENE_CODE = 'from manim import *\n\nclass SimpleAnimation(Scene):\n    def construct(self):\n        circle = Circle()\n        self.play(Create(circle))\n        self.wait(1)';
+
+// The version checks are started at boot; a job waits this long for them at most
+const ENVIRONMENT_TIMEOUT_MS = 2000;
+
+/**
+ * Record what the job runs with for its debug logs; a failed or slow check must not fail the job
+ */
+export async function recordEnvironment(agent, sessionId, renderSettings) {
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`version checks took over ${ENVIRONMENT_TIMEOUT_MS}ms`)), ENVIRONMENT_TIMEOUT_MS);
+    });
+
+    try {
+        recordJobEnvironment({
+            ...await Promise.race([getEnvironmentSummary(), timedOut]),
+            renderSlots: getRenderPool().maxConcurrent,
+            llm: agent.getSessionInfo(sessionId).llm || agent.defaultLLM,
+            renderSettings
+        });
+    } catch (error) {
+        log.warn('Failed to record job environment:', error.message);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Generate, fix and render an animation with retry-on-error support
+ * Code breaking the execution policy fails the job unless fixPolicyViolations sends it to the fixer
+ */
+export async function runGenerationPipeline(agent, { prompt, sessionId = 'default', maxAttempts = 3, renderSettings = null, fixPolicyViolations = false }) {
+    let attempts = 0;
+
+    await recordEnvironment(agent, sessionId, renderSettings);
+
+    // Retry generation with error handling
+    while (attempts < maxAttempts) {
+        try {
+            reportProgress('generation-started', { attempt: attempts + 1, maxAttempts });
+
+            // Generate Manim code with session context and error handling
+            const generationResult = await agent.generateAndFixManimCode(prompt, sessionId, 3, { fixPolicyViolations });
+
+            log.info('Generated code result:', {
+                success: generationResult.success,
+                attempts: generationResult.attempts,
+                wasFixed: generationResult.wasFixed,
+                sessionId: generationResult.sessionId
+            });
+
+            // Render animation with session context and error handling
+            const renderResult = await agent.renderAnimationWithErrorHandling(generationResult.code, sessionId, 3, {
+                renderSettings,
+                fixPolicyViolations,
+                prompt,
+                source: 'generate',
+                generation: generationResult,
+                fixHistory: generationResult.wasFixed ? [{
+                    stage: 'generation',
+                    error: generationResult.originalError || null,
+                    fixType: generationResult.usedFallback ? 'regenerate' : 'ai',
+                    attempts: generationResult.attempts - 1
+                }] : []
+            });
+
+            log.info('Animation rendered successfully:', renderResult.videoPath);
+
+            return {
+                success: true,
+                code: renderResult.code,
+                videoPath: renderResult.videoPath,
+                posterPath: renderResult.posterPath,
+                previewPath: renderResult.previewPath,
+                videoFileName: renderResult.videoFileName,
+                format: renderResult.format,
+                contentType: renderResult.contentType,
+                animationId: renderResult.animationId,
+                message: 'Animation generated successfully',
+                sessionId: sessionId,
+                sessionInfo: agent.getSessionInfo(sessionId),
+                metadata: {
+                    generationAttempts: generationResult.attempts,
+                    wasCodeFixed: renderResult.wasCodeFixed,
+                    wasImproved: renderResult.wasImproved || false,
+                    cached: renderResult.cached || false,
+                    renderAttempts: renderResult.attempts,
+                    renderSettings: renderResult.renderSettings
+                }
+            };
+        } catch (error) {
+            // A cancelled job neither retries nor falls back, nor does one stopped by the code policy
+            throwIfJobCancelled();
+            if (isCodePolicyError(error)) throw error;
+            attempts++;
+            log.error(`Generation attempt ${attempts} failed:`, error.message);
+
+            if (attempts < maxAttempts) {
+                log.info(`Retrying in 2 seconds... (${attempts}/${maxAttempts})`);
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                continue;
+            }
+
+            // If all attempts failed, try to improve the code and return a simple variant
+            try {
+                log.info('All generation attempts failed, trying code improvement...');
+                reportProgress('generation-started', { fallback: true });
+
+                const simpleCode = await agent.improveManimCode(
+                    FALLBACK_SCENE_CODE,
+                    `Generate a simple animation for: ${prompt}`,
+                    sessionId
+                );
+
+                const fallbackResult = await agent.renderAnimationWithErrorHandling(simpleCode, sessionId, 1, {
+                    renderSettings,
+                    fixPolicyViolations,
+                    prompt,
+                    source: 'fallback',
+                    generation: { usedFallback: true, attempts: maxAttempts },
+                    fixHistory: [{ stage: 'generation', error: error.message, fixType: 'fallback', attempts: maxAttempts }]
+                });
+
+                return {
+                    success: true,
+                    code: fallbackResult.code,
+                    videoPath: fallbackResult.videoPath,
+                    posterPath: fallbackResult.posterPath,
+                    previewPath: fallbackResult.previewPath,
+                    videoFileName: fallbackResult.videoFileName,
+                    format: fallbackResult.format,
+                    contentType: fallbackResult.contentType,
+                    animationId: fallbackResult.animationId,
+                    message: 'Generated fallback animation after errors',
+                    sessionId: sessionId,
+                    sessionInfo: agent.getSessionInfo(sessionId),
+                    warning: 'Original generation failed, this is a simplified version',
+                    metadata: {
+                        usedFallback: true,
+                        originalError: error.message,
+                        renderSettings: fallbackResult.renderSettings
+                    }
+                };
+            } catch (fallbackError) {
+                log.error('Even fallback generation failed:', fallbackError.message);
+                throw error; // Throw original error
+            }
+        }
+    }
+}
@@ -0,0 +1,469 @@
+/**
+ * Asynchronous job tracking for long-running generation and render work
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { runWithJobContext } from '../utils/jobContext.js';
+import { createJobDiagnostics } from '../utils/jobDiagnostics.js';
+import { getRenderPool } from './renderPool.js';
+import { createLogger } from '../utils/logger.js';
+import { JobCancelledError, ServiceUnavailableError } from '../utils/errorUtils.js';
+
+const log = createLogger('jobManager');
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  GENERATING: 'generating',
+  FIXING: 'fixing',
+  RENDERING: 'rendering',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATES = [JOB_STATES.DONE, JOB_STATES.FAILED, JOB_STATES.CANCELLED];
+
+/**
+ * Pipeline steps that move a job into a new state
+ */
+const STEP_STATES = {
+  'generation-started': JOB_STATES.GENERATING,
+  'fix-started': JOB_STATES.FIXING,
+  'improve-started': JOB_STATES.FIXING,
+  'render-started': JOB_STATES.RENDERING,
+  'render-queued': JOB_STATES.QUEUED,
+  'render-slot-acquired': JOB_STATES.RENDERING
+};
+
+/**
+ * In-memory job registry that runs submitted work in the background
+ */
+export class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.jobs = new Map();
+    this.jobRetention = options.jobRetention || parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000; // 1 hour
+    this.maxJobs = options.maxJobs || parseInt(process.env.MAX_JOBS) || 500;
+    this.maxEventsPerJob = options.maxEventsPerJob || 500;
+    // Unfinished jobs are saved here on shutdown and resumed on the next start
+    this.pendingJobsFile = path.resolve(options.pendingJobsFile || process.env.PENDING_JOBS_FILE || 'data/pending-jobs.json');
+
+    this.runners = new Map();
+    this.runs = new Set();
+    this.accepting = true;
+  }
+
+  /**
+   * Register the runner for a job type, so its jobs can be submitted by type and resumed after a restart
+   * The runner receives the job and must only depend on its JSON-serializable payload
+   */
+  registerRunner(type, runner) {
+    this.runners.set(type, runner);
+  }
+
+  /**
+   * Submit a job; the runner starts on the next tick and its result is stored on the job
+   * `options.id` keeps the ID of a job resumed after a restart
+   */
+  submit(type, payload, runner = this.runners.get(type), options = {}) {
+    if (!runner) {
+      throw new Error(`No runner registered for ${type} jobs`);
+    }
+
+    const job = this._createJob(type, payload, options);
+    setImmediate(() => this._track(this._run(job, runner)));
+    return job;
+  }
+
+  /**
+   * Run a job for a request that waits on it; returns the job and a promise of the runner's result
+   *
+   * The job is listed, logged and cancellable like a submitted one, but the promise
+   * rejects with the runner's own error (or the cancellation error) so the route can
+   * answer with it. Attached jobs are not saved on shutdown: their client is gone by then.
+   */
+  runAttached(type, payload, runner) {
+    const job = this._createJob(type, payload, { attached: true });
+    const result = this._run(job, runner);
+    this._track(result.catch(() => {}));
+    return { job, result };
+  }
+
+  _createJob(type, payload, options = {}) {
+    if (!this.accepting) {
+      throw new ServiceUnavailableError('Server is shutting down and not accepting new jobs');
+    }
+
+    this.cleanupExpiredJobs();
+
+    const now = Date.now();
+    const job = {
+      id: options.id || uuidv4(),
+      type,
+      state: JOB_STATES.QUEUED,
+      sessionId: payload.sessionId || 'default',
+      owner: payload.owner || null, // API key ID, when authentication is enabled
+      payload,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      renderWaitMs: 0,
+      events: [],
+      eventSeq: 0,
+      subscribers: new Set(),
+      // Aborted by cancel(); the pipeline stops its LLM calls, renders and retries on it
+      abortController: new AbortController(),
+      tempFiles: new Set(),
+      // Commands, code versions and environment, served by GET /jobs/:id/logs
+      diagnostics: createJobDiagnostics(),
+      attached: options.attached || false
+    };
+
+    this.jobs.set(job.id, job);
+    this._recordEvent(job, 'state', { state: job.state });
+    log.info(`Queued ${type} job ${job.id} for session ${job.sessionId}`, { jobId: job.id, jobType: type });
+    return job;
+  }
+
+  _track(run) {
+    this.runs.add(run);
+    run.finally(() => this.runs.delete(run));
+  }
+
+  async _run(job, runner) {
+    // Cancelled before it started
+    if (job.state === JOB_STATES.CANCELLED) return this._cancelled(job);
+
+    job.startedAt = Date.now();
+
+    const context = {
+      jobId: job.id,
+      sessionId: job.sessionId,
+      signal: job.abortController.signal,
+      tempFiles: job.tempFiles,
+      diagnostics: job.diagnostics,
+      report: (step, data) => this._handleStep(job, step, data)
+    };
+
+    try {
+      const result = await runWithJobContext(context, () => runner(job));
+      if (job.state === JOB_STATES.CANCELLED) return this._cancelled(job);
+
+      job.result = result;
+      this._setState(job, JOB_STATES.DONE);
+      log.info(`Job ${job.id} completed in ${job.finishedAt - job.startedAt}ms`, { durationMs: job.finishedAt - job.startedAt });
+      return result;
+    } catch (error) {
+      if (job.state === JOB_STATES.CANCELLED) return this._cancelled(job);
+
+      job.error = {
+        message: error.message,
+        code: error.code || 'JOB_FAILED',
+        // Exception type and failing line of the scene code, when the error came from Python
+        ...(error.details?.pythonError && { pythonError: error.details.pythonError }),
+        // Constructs that broke the code policy
+        ...(error.details?.violations && { violations: error.details.violations })
+      };
+      this._setState(job, JOB_STATES.FAILED);
+      log.error(`Job ${job.id} failed:`, error.message, { code: job.error.code });
+      if (job.attached) throw error;
+    } finally {
+      if (job.state === JOB_STATES.CANCELLED) {
+        this._removeTempFiles(job);
+      }
+      job.tempFiles.clear();
+    }
+  }
+
+  /**
+   * Outcome of a cancelled run: attached jobs reject with the cancellation error
+   */
+  _cancelled(job) {
+    if (job.attached) {
+      throw job.abortController.signal.reason;
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   *
+   * The job is marked cancelled right away; its abort signal then stops pending LLM
+   * calls, kills running Manim process groups and takes it out of the render queue.
+   * Temp files of the job are removed once the pipeline has unwound.
+   * Returns false when the job is unknown or already finished.
+   */
+  cancel(jobId, reason = 'Cancelled by client') {
+    const job = this.getJob(jobId);
+    if (!job || TERMINAL_STATES.includes(job.state)) {
+      return false;
+    }
+
+    const error = new JobCancelledError(reason, { jobId });
+    job.error = { message: error.message, code: error.code };
+    this._setState(job, JOB_STATES.CANCELLED);
+    job.abortController.abort(error);
+
+    log.info(`Cancelled job ${job.id}: ${reason}`, { jobId: job.id });
+    return true;
+  }
+
+  /**
+   * Refuse new jobs from now on (server shutdown)
+   */
+  stopAccepting() {
+    this.accepting = false;
+  }
+
+  /**
+   * Resolve true once every started runner has settled, or false after `timeoutMs`
+   */
+  async waitForRuns(timeoutMs) {
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([Promise.allSettled([...this.runs]).then(() => true), timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Save unfinished jobs to the pending jobs file and cancel them; returns how many were saved
+   * Their runners are aborted like a cancel, so child processes die and temp files go away.
+   * Attached jobs are cancelled without being saved.
+   */
+  suspendUnfinished() {
+    const unfinished = Array.from(this.jobs.values()).filter(job => !TERMINAL_STATES.includes(job.state));
+    const resumable = unfinished.filter(job => !job.attached);
+
+    for (const job of unfinished.filter(job => job.attached)) {
+      this.cancel(job.id, 'Server is shutting down');
+    }
+    if (resumable.length === 0) return 0;
+
+    const records = resumable.map(job => ({
+      id: job.id,
+      type: job.type,
+      payload: job.payload,
+      createdAt: new Date(job.createdAt).toISOString()
+    }));
+
+    // Written atomically (temp file + rename) like the session store
+    fs.mkdirSync(path.dirname(this.pendingJobsFile), { recursive: true });
+    const tempPath = `${this.pendingJobsFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+    fs.renameSync(tempPath, this.pendingJobsFile);
+
+    for (const job of resumable) {
+      this.cancel(job.id, 'Server is shutting down; the job resumes after the restart');
+    }
+
+    log.info(`Saved ${records.length} unfinished jobs to ${this.pendingJobsFile}`, { jobs: records.length });
+    return records.length;
+  }
+
+  /**
+   * Resubmit the jobs saved by suspendUnfinished() under their original IDs; returns how many resumed
+   */
+  resumePendingJobs() {
+    if (!fs.existsSync(this.pendingJobsFile)) return 0;
+
+    let records = [];
+    try {
+      records = JSON.parse(fs.readFileSync(this.pendingJobsFile, 'utf8'));
+    } catch (error) {
+      log.warn(`Ignoring unreadable pending jobs file ${this.pendingJobsFile}:`, error.message);
+    }
+    fs.rmSync(this.pendingJobsFile, { force: true });
+
+    let resumed = 0;
+    for (const record of Array.isArray(records) ? records : []) {
+      if (!this.runners.has(record.type) || this.jobs.has(record.id)) {
+        log.warn(`Skipping pending ${record.type} job ${record.id}`);
+        continue;
+      }
+      this.submit(record.type, record.payload, this.runners.get(record.type), { id: record.id });
+      resumed++;
+    }
+
+    if (resumed > 0) {
+      log.info(`Resumed ${resumed} jobs left unfinished by the last shutdown`, { jobs: resumed });
+    }
+    return resumed;
+  }
+
+  _removeTempFiles(job) {
+    for (const filePath of job.tempFiles) {
+      try {
+        fs.rmSync(filePath, { recursive: true, force: true });
+      } catch (error) {
+        log.warn(`Failed to remove temp file ${filePath} of cancelled job ${job.id}:`, error.message);
+      }
+    }
+    if (job.tempFiles.size > 0) {
+      log.info(`Removed ${job.tempFiles.size} temp files of cancelled job ${job.id}`);
+    }
+  }
+
+  _handleStep(job, step, data = {}) {
+    const nextState = STEP_STATES[step];
+    if (nextState && !TERMINAL_STATES.includes(job.state)) {
+      this._setState(job, nextState);
+    }
+    if (step === 'render-slot-acquired') {
+      job.renderWaitMs += data.waitMs || 0;
+    }
+    this._recordEvent(job, 'step', { step, ...data });
+    this.emit('step', { jobId: job.id, step, data });
+  }
+
+  /**
+   * Append an event to the job history and push it to live subscribers
+   */
+  _recordEvent(job, type, data) {
+    const event = {
+      id: ++job.eventSeq,
+      type,
+      jobId: job.id,
+      state: job.state,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    job.events.push(event);
+    if (job.events.length > this.maxEventsPerJob) {
+      job.events.shift();
+    }
+
+    for (const listener of job.subscribers) {
+      try {
+        listener(event);
+      } catch (error) {
+        log.warn(`Job ${job.id} subscriber failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Replay past events after `lastEventId` and subscribe to new ones; returns an unsubscribe function
+   */
+  subscribe(jobId, listener, lastEventId = 0) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    job.events
+      .filter(event => event.id > lastEventId)
+      .forEach(event => listener(event));
+
+    job.subscribers.add(listener);
+    return () => job.subscribers.delete(listener);
+  }
+
+  _setState(job, state) {
+    if (job.state === state) return;
+
+    const previous = job.state;
+    job.state = state;
+    job.updatedAt = Date.now();
+    if (TERMINAL_STATES.includes(state)) {
+      job.finishedAt = job.updatedAt;
+    }
+
+    this._recordEvent(job, 'state', {
+      state,
+      previous,
+      ...(state === JOB_STATES.DONE && { result: job.result }),
+      ...((state === JOB_STATES.FAILED || state === JOB_STATES.CANCELLED) && { error: job.error })
+    });
+    this.emit('state', { jobId: job.id, state, previous });
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Public view of a job for API responses
+   */
+  getJobStatus(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) return null;
+
+    return {
+      jobId: job.id,
+      type: job.type,
+      state: job.state,
+      sessionId: job.sessionId,
+      owner: job.owner,
+      result: job.result,
+      error: job.error,
+      renderQueue: getRenderPool().getQueueInfo(job.id),
+      renderWaitMs: job.renderWaitMs,
+      createdAt: new Date(job.createdAt).toISOString(),
+      updatedAt: new Date(job.updatedAt).toISOString(),
+      startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+      finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null
+    };
+  }
+
+  isFinished(jobId) {
+    const job = this.getJob(jobId);
+    return !!job && TERMINAL_STATES.includes(job.state);
+  }
+
+  /**
+   * Drop finished jobs past their retention and enforce the job limit
+   */
+  cleanupExpiredJobs() {
+    const now = Date.now();
+
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - job.finishedAt > this.jobRetention) {
+        this.jobs.delete(jobId);
+      }
+    }
+
+    if (this.jobs.size >= this.maxJobs) {
+      const finishedJobs = Array.from(this.jobs.values())
+        .filter(job => job.finishedAt)
+        .sort((a, b) => a.finishedAt - b.finishedAt);
+
+      for (const job of finishedJobs.slice(0, this.jobs.size - this.maxJobs + 1)) {
+        this.jobs.delete(job.id);
+      }
+    }
+  }
+
+  getStats() {
+    const byState = {};
+    for (const job of this.jobs.values()) {
+      byState[job.state] = (byState[job.state] || 0) + 1;
+    }
+    return { total: this.jobs.size, byState };
+  }
+}
+
+// Singleton instance
+let jobManagerInstance = null;
+
+/**
+ * Get or create the shared JobManager instance
+ */
+export function getJobManager() {
+  if (!jobManagerInstance) {
+    jobManagerInstance = new JobManager();
+  }
+  return jobManagerInstance;
+}
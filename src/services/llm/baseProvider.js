@@ -0,0 +1,154 @@
+/**
+ * Base LLM provider interface and provider-agnostic chat session
+ *
+ * Messages use the shape { role: 'user' | 'assistant', content: string }.
+ * Providers implement complete() and streamComplete(); chat sessions,
+ * single-shot generation and streaming are built on top of those.
+ * An optional AbortSignal (`signal`) cancels a pending completion.
+ */
+
+export class LLMProviderError extends Error {
+  constructor(message, provider, details = {}) {
+    super(message);
+    this.name = 'LLMProviderError';
+    this.code = 'LLM_PROVIDER_ERROR';
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+/**
+ * Settle with `promise`, or reject with the abort reason as soon as `signal` aborts
+ * (providers that cannot cancel their request still return control right away)
+ */
+export function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Multi-turn chat that keeps its own history, so any provider can back it
+ * and a session can be rebuilt from stored turns
+ */
+export class ChatSession {
+  constructor(provider, { model, systemInstruction, generationConfig = {}, history = [], onHistoryChange = null } = {}) {
+    this.provider = provider;
+    this.model = model;
+    this.systemInstruction = systemInstruction;
+    this.generationConfig = generationConfig;
+    this.history = history.map(({ role, content }) => ({ role, content }));
+    // Called after every completed turn, e.g. to persist the session
+    this.onHistoryChange = onHistoryChange;
+  }
+
+  _setHistory(history) {
+    this.history = history;
+    if (this.onHistoryChange) {
+      this.onHistoryChange(this.getHistory());
+    }
+  }
+
+  async sendMessage(text, { signal } = {}) {
+    const messages = [...this.history, { role: 'user', content: text }];
+    const reply = await raceAbort(this.provider.complete({
+      model: this.model,
+      systemInstruction: this.systemInstruction,
+      generationConfig: this.generationConfig,
+      messages,
+      signal
+    }), signal);
+
+    this._setHistory([...messages, { role: 'assistant', content: reply }]);
+    return reply;
+  }
+
+  async *sendMessageStream(text) {
+    const messages = [...this.history, { role: 'user', content: text }];
+    let reply = '';
+
+    for await (const chunk of this.provider.streamComplete({
+      model: this.model,
+      systemInstruction: this.systemInstruction,
+      generationConfig: this.generationConfig,
+      messages
+    })) {
+      reply += chunk;
+      yield chunk;
+    }
+
+    this._setHistory([...messages, { role: 'assistant', content: reply }]);
+  }
+
+  getHistory() {
+    return this.history.map(message => ({ ...message }));
+  }
+}
+
+export class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.defaultModel = options.model;
+  }
+
+  /**
+   * Check configuration without making a network call
+   */
+  getStatus() {
+    return { available: true, error: null };
+  }
+
+  /**
+   * Complete a conversation and return the assistant reply text
+   */
+  async complete({ model, systemInstruction, generationConfig, messages, signal }) {
+    throw new LLMProviderError(`${this.name} provider does not implement complete()`, this.name);
+  }
+
+  /**
+   * Stream the assistant reply text in chunks; defaults to a single chunk
+   */
+  async *streamComplete(params) {
+    yield await this.complete(params);
+  }
+
+  createChat({ model, systemInstruction, generationConfig, history = [], onHistoryChange } = {}) {
+    return new ChatSession(this, {
+      model: model || this.defaultModel,
+      systemInstruction,
+      generationConfig,
+      history,
+      onHistoryChange
+    });
+  }
+
+  /**
+   * Single-shot completion of one prompt
+   */
+  async generate({ model, prompt, systemInstruction, generationConfig, signal } = {}) {
+    return raceAbort(this.complete({
+      model: model || this.defaultModel,
+      systemInstruction,
+      generationConfig,
+      messages: [{ role: 'user', content: prompt }],
+      signal
+    }), signal);
+  }
+
+  /**
+   * Single-shot streaming completion of one prompt
+   */
+  async *stream({ model, prompt, systemInstruction, generationConfig } = {}) {
+    yield* this.streamComplete({
+      model: model || this.defaultModel,
+      systemInstruction,
+      generationConfig,
+      messages: [{ role: 'user', content: prompt }]
+    });
+  }
+}
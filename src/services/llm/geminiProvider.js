@@ -0,0 +1,61 @@
+/**
+ * Google Gemini provider backed by @google/genai
+ */
+
+import { GoogleGenAI } from "@google/genai";
+import { LLMProvider, LLMProviderError } from "./baseProvider.js";
+
+export class GeminiProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('gemini', { model: options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash' });
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.client = null;
+  }
+
+  getStatus() {
+    if (!this.apiKey) {
+      return { available: false, error: 'GEMINI_API_KEY environment variable is required' };
+    }
+    return { available: true, error: null };
+  }
+
+  _getClient() {
+    if (!this.apiKey) {
+      throw new LLMProviderError('GEMINI_API_KEY environment variable is required', this.name);
+    }
+    if (!this.client) {
+      this.client = new GoogleGenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  _buildRequest({ model, systemInstruction, generationConfig = {}, messages, signal }) {
+    return {
+      model: model || this.defaultModel,
+      contents: messages.map(({ role, content }) => ({
+        role: role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: content }]
+      })),
+      config: {
+        ...(systemInstruction && { systemInstruction }),
+        ...(generationConfig.maxOutputTokens && { maxOutputTokens: generationConfig.maxOutputTokens }),
+        ...(generationConfig.temperature !== undefined && { temperature: generationConfig.temperature }),
+        ...(signal && { abortSignal: signal })
+      }
+    };
+  }
+
+  async complete(params) {
+    const response = await this._getClient().models.generateContent(this._buildRequest(params));
+    return response.text || response.candidates?.[0]?.content?.parts?.[0]?.text || "";
+  }
+
+  async *streamComplete(params) {
+    const stream = await this._getClient().models.generateContentStream(this._buildRequest(params));
+    for await (const chunk of stream) {
+      if (chunk.text) {
+        yield chunk.text;
+      }
+    }
+  }
+}
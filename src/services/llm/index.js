@@ -0,0 +1,46 @@
+/**
+ * LLM provider registry
+ *
+ * The deployment default comes from LLM_PROVIDER / LLM_MODEL; requests may
+ * override both per session.
+ */
+
+import { GeminiProvider } from "./geminiProvider.js";
+import { OpenAICompatibleProvider } from "./openaiCompatibleProvider.js";
+import { MockProvider } from "./mockProvider.js";
+import { LLMProviderError } from "./baseProvider.js";
+
+export { LLMProvider, LLMProviderError, ChatSession } from "./baseProvider.js";
+export { MockProvider, MOCK_DEFAULT_CODE } from "./mockProvider.js";
+
+const PROVIDER_FACTORIES = {
+  gemini: (options) => new GeminiProvider(options),
+  openai: (options) => new OpenAICompatibleProvider(options),
+  mock: (options) => new MockProvider(options)
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * Deployment-wide default provider and model
+ */
+export function getDefaultLLMSelection() {
+  return {
+    provider: (process.env.LLM_PROVIDER || 'gemini').toLowerCase(),
+    model: process.env.LLM_MODEL || null
+  };
+}
+
+/**
+ * Create a provider instance by name
+ */
+export function createLLMProvider(name, options = {}) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new LLMProviderError(
+      `Unknown LLM provider '${name}' (available: ${LLM_PROVIDER_NAMES.join(', ')})`,
+      name
+    );
+  }
+  return factory(options);
+}
@@ -0,0 +1,111 @@
+/**
+ * Deterministic offline provider for development and tests
+ * Returns canned Manim code without any network access
+ *
+ * A JSON script (options.scriptPath or MOCK_LLM_SCRIPT) can map prompt patterns to responses:
+ *   {
+ *     "defaultResponse": "from manim import * ...",
+ *     "rules": [{ "pattern": "Fix the following error", "response": ["broken code", "working code"] }]
+ *   }
+ * Rules are checked in order and the first match wins.
+ */
+
+import fs from "fs";
+import { LLMProvider, LLMProviderError } from "./baseProvider.js";
+import { createLogger } from "../../utils/logger.js";
+
+const log = createLogger("llm");
+
+export const MOCK_DEFAULT_CODE = `from manim import *
+
+class MockAnimation(Scene):
+    def construct(self):
+        circle = Circle(color=BLUE)
+        self.play(Create(circle))
+        self.wait(1)`;
+
+export class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('mock', { model: options.model || 'mock-manim' });
+    this.defaultResponse = options.defaultResponse || MOCK_DEFAULT_CODE;
+    this.rules = [];
+    this.calls = [];
+
+    (options.rules || []).forEach(rule => this.addRule(rule.pattern, rule.response));
+
+    const scriptPath = options.scriptPath || process.env.MOCK_LLM_SCRIPT;
+    if (scriptPath) {
+      this.loadScript(scriptPath);
+    }
+  }
+
+  /**
+   * Load canned responses from a JSON script file
+   */
+  loadScript(scriptPath) {
+    let script;
+    try {
+      script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    } catch (error) {
+      throw new LLMProviderError(`Failed to load mock LLM script ${scriptPath}: ${error.message}`, this.name);
+    }
+
+    if (script.defaultResponse) {
+      this.defaultResponse = script.defaultResponse;
+    }
+    (script.rules || []).forEach(rule => this.addRule(rule.pattern, rule.response));
+
+    log.info(`Loaded mock LLM script ${scriptPath} (${this.rules.length} rules)`);
+    return this;
+  }
+
+  /**
+   * Answer prompts matching `pattern` with `response`:
+   * a string, an array served in order (the last entry repeats), or a function (prompt, callIndex) => string
+   */
+  addRule(pattern, response) {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+    this.rules.push({ pattern: regex, response, hits: 0 });
+    return this;
+  }
+
+  clearRules() {
+    this.rules = [];
+    this.calls = [];
+  }
+
+  _resolveResponse(prompt) {
+    for (const rule of this.rules) {
+      if (!rule.pattern.test(prompt)) continue;
+
+      const callIndex = rule.hits++;
+      if (typeof rule.response === 'function') {
+        return rule.response(prompt, callIndex);
+      }
+      if (Array.isArray(rule.response)) {
+        return rule.response[Math.min(callIndex, rule.response.length - 1)];
+      }
+      return rule.response;
+    }
+    return this.defaultResponse;
+  }
+
+  async complete({ model, messages, signal }) {
+    signal?.throwIfAborted();
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    const response = this._resolveResponse(prompt);
+
+    this.calls.push({ model: model || this.defaultModel, prompt, response, timestamp: Date.now() });
+    return response;
+  }
+
+  async *streamComplete(params) {
+    const response = await this.complete(params);
+
+    // Emit line by line to mimic incremental output
+    const lines = response.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      yield i < lines.length - 1 ? `${lines[i]}\n` : lines[i];
+    }
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * OpenAI-compatible chat completions provider
+ * Works with OpenAI and local servers exposing /v1/chat/completions (Ollama, llama.cpp, vLLM, LM Studio)
+ */
+
+import fetch from "node-fetch";
+import { LLMProvider, LLMProviderError } from "./baseProvider.js";
+import { createLogger } from "../../utils/logger.js";
+
+const log = createLogger("llm");
+
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai', { model: options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini' });
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+  }
+
+  getStatus() {
+    // Local servers usually need no key, so only the hosted API requires one
+    if (!this.apiKey && this.baseUrl.includes('api.openai.com')) {
+      return { available: false, error: 'OPENAI_API_KEY environment variable is required for api.openai.com' };
+    }
+    return { available: true, error: null };
+  }
+
+  _buildBody({ model, systemInstruction, generationConfig = {}, messages }, stream) {
+    return {
+      model: model || this.defaultModel,
+      messages: [
+        ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+        ...messages.map(({ role, content }) => ({ role, content }))
+      ],
+      ...(generationConfig.maxOutputTokens && { max_tokens: generationConfig.maxOutputTokens }),
+      ...(generationConfig.temperature !== undefined && { temperature: generationConfig.temperature }),
+      stream
+    };
+  }
+
+  async _post(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new LLMProviderError(
+        `OpenAI-compatible request failed with status ${response.status}: ${errorText.substring(0, 500)}`,
+        this.name,
+        { status: response.status }
+      );
+    }
+
+    return response;
+  }
+
+  async complete(params) {
+    const response = await this._post(this._buildBody(params, false), params.signal);
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || "";
+  }
+
+  async *streamComplete(params) {
+    const response = await this._post(this._buildBody(params, true), params.signal);
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+
+        try {
+          const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch (error) {
+          log.warn('Skipping malformed stream chunk:', error.message);
+        }
+      }
+    }
+  }
+}
@@ -1,9 +1,6 @@
-import { GoogleGenAI  } from "@google/genai";
 import { v4 as uuidv4 } from 'uuid';
 import fs from "fs";
 import path from "path";
-import { exec } from "child_process";
-import { promisify } from "util";
 import { 
   MANIM_SYSTEM_PROMPT, 
   MANIM_ERROR_FIX_PROMPT,
@@ -15,17 +12,21 @@ import {
   isLatexError 
 } from "../utils/latexUtils.js";
 import { 
-  findLatestMP4File, 
   findVideoInMediaDir, 
   listDirectoryRecursive,
   generateTempFilename,
   getTimestamp,
-  safeFileCleanup
+  safeFileCleanup,
+  createRenderWorkspace,
+  removeRenderWorkspace,
+  cleanupStaleRenderWorkspaces
 } from "../utils/fileSearch.js";
 import { 
   checkSystemRequirements,
-  getManimCommands
+  getManimCommands,
+  parseManimProgress
 } from "../utils/systemUtils.js";
+import { runProcess, formatCommand } from "../utils/processRunner.js";
 import {
   executeWithRetry,
   createRetryCondition,
@@ -33,6 +34,13 @@ import {
 } from "../utils/retryUtils.js";
 import {
   ManimError,
+  ManimCodeError,
+  ManimRenderError,
+  CodePolicyError,
+  SandboxViolationError,
+  SceneNotFoundError,
+  JobCancelledError,
+  isCodePolicyError,
   createTypedError,
   ErrorAggregator
 } from "../utils/errorUtils.js";
@@ -45,21 +53,65 @@ import {
   applyProgressiveErrorHandling,
   generateErrorExplanation
 } from "../utils/enhancedErrorHandling.js";
-
-const execAsync = promisify(exec);
+import {
+  reportProgress,
+  getJobContext,
+  getJobSignal,
+  throwIfJobCancelled,
+  trackJobFile
+} from "../utils/jobContext.js";
+import { recordJobCode } from "../utils/jobDiagnostics.js";
+import { getRequestId } from "../utils/requestContext.js";
+import { createLogger } from "../utils/logger.js";
+import { getRenderPool } from "./renderPool.js";
+import { createLLMProvider, getDefaultLLMSelection } from "./llm/index.js";
+import { createSessionStore } from "./sessionStore.js";
+import { getAnimationCatalog } from "./animationCatalog.js";
+import { getRenderCache, renderCacheEnabled, computeRenderCacheKey, normalizeCode } from "./renderCache.js";
+import {
+  resolveRenderSettings,
+  describeRenderSettings,
+  getQualityDirName
+} from "../utils/renderSettings.js";
+import { generateThumbnails, thumbnailsEnabled, THUMBNAIL_DIR_NAME } from "../utils/thumbnailUtils.js";
+import { checkCodePolicy, formatPolicyViolations, getCodePolicyMode } from "../utils/codePolicy.js";
+import { listScenes, getDefaultSceneName } from "../utils/sceneUtils.js";
+import { createUnifiedDiff } from "../utils/diffUtils.js";
+import { parsePythonError, formatPythonError } from "../utils/tracebackUtils.js";
+import {
+  createVersionHistory,
+  addVersion,
+  findVersion,
+  getCurrentVersion,
+  summarizeVersion,
+  forkVersionHistory
+} from "../utils/codeVersions.js";
+import {
+  sandboxEnabled,
+  createSandboxEnv,
+  getSandboxLauncher,
+  throwOnSandboxViolation
+} from "../utils/sandbox.js";
+
+const log = createLogger("manimAgent");
+const manimLog = createLogger("manim");
+
+const createSessionContext = () => ({
+  previousCodes: [],
+  previousErrors: [],
+  userPreferences: {},
+  conversationHistory: [],
+  ...createVersionHistory(),
+});
 
 class ManimAgent {
   constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error("GEMINI_API_KEY environment variable is required");
-    }
-
-    // Initialize GoogleAI client
-    this.genai = new GoogleGenAI(process.env.GEMINI_API_KEY);
+    // LLM providers are created lazily; the deployment default can be overridden per session
+    this.llmProviders = new Map();
+    this.defaultLLM = getDefaultLLMSelection();
 
     // Model configuration
     this.modelConfig = {
-      model: "gemini-2.5-flash",
       generationConfig: {
         maxOutputTokens: 4096,
         temperature: 0.7,
@@ -68,8 +120,14 @@ class ManimAgent {
 
     // Store chat sessions for multi-turn conversations
     this.chatSessions = new Map();
-    this.sessionTimeout = 30 * 60 * 1000; // 30 minutes
+    this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT_MS) || 30 * 60 * 1000; // 30 minutes
     this.maxSessions = PROMPT_CONFIG.MAX_SESSIONS;
+
+    // Sessions are written through to the store (debounced) so they survive restarts
+    this.sessionStore = createSessionStore();
+    this.dirtySessions = new Set();
+    this.sessionSaveTimer = null;
+    this.sessionSaveDelay = 1000;
     
     // Logging state to debounce cleanup logs
     this.lastCleanupLog = 0;
@@ -78,7 +136,8 @@ class ManimAgent {
     // Initialize monitoring and error handling
     this.performanceMonitor = new PerformanceMonitor({
       enabled: process.env.NODE_ENV !== 'test',
-      collectInterval: 10000 // 10 seconds
+      collectInterval: 10000, // 10 seconds
+      histograms: ['generation.duration', 'render.duration', 'render.queue_wait']
     });
     
     this.errorAggregator = new ErrorAggregator();
@@ -93,7 +152,9 @@ class ManimAgent {
       /rendering.*failed/i
     ], 3);
     
-    console.log("ManimAgent initialized with enhanced monitoring and error handling");
+    this._rehydrateSessions();
+
+    log.info(`ManimAgent initialized with enhanced monitoring and error handling (LLM provider: ${this.defaultLLM.provider})`);
   }
   /**
    * Create or get a conversation session for multi-turn interactions
@@ -103,32 +164,96 @@ class ManimAgent {
     this.cleanupExpiredSessions();
 
     if (!this.chatSessions.has(sessionId)) {
-      // Create chat session using @google/genai API
-      const chatSession = this.genai.chats.create({
-        model: this.modelConfig.model,
-        systemInstruction: MANIM_SYSTEM_PROMPT,
-        generationConfig: this.modelConfig.generationConfig,
-      });
+      const llm = { ...this.defaultLLM };
 
       this.chatSessions.set(sessionId, {
-        chat: chatSession,
+        chat: this._createChat(llm, [], sessionId),
+        llm,
+        createdAt: Date.now(),
         lastActivity: Date.now(),
-        context: {
-          previousCodes: [],
-          previousErrors: [],
-          userPreferences: {},
-          conversationHistory: [],
-        },
+        context: createSessionContext(),
       });
 
-      console.log(`Created new chat session: ${sessionId}`);
+      log.info(`Created new chat session: ${sessionId}`);
     } else {
       // Update last activity
       this.chatSessions.get(sessionId).lastActivity = Date.now();
     }
 
+    this._markSessionDirty(sessionId);
     return this.chatSessions.get(sessionId);
   }
+  /**
+   * Get (or lazily create) a provider instance by name
+   */
+  getLLMProvider(name = this.defaultLLM.provider) {
+    if (!this.llmProviders.has(name)) {
+      this.llmProviders.set(name, createLLMProvider(name));
+    }
+    return this.llmProviders.get(name);
+  }
+
+  /**
+   * Create a chat session on the given provider/model, optionally seeded with history
+   */
+  _createChat(llm, history = [], sessionId = null) {
+    return this.getLLMProvider(llm.provider).createChat({
+      model: llm.model || undefined,
+      systemInstruction: MANIM_SYSTEM_PROMPT,
+      generationConfig: this.modelConfig.generationConfig,
+      history,
+      onHistoryChange: sessionId ? () => this._markSessionDirty(sessionId) : undefined,
+    });
+  }
+
+  /**
+   * Select the LLM provider and/or model for a session; the chat history carries over
+   */
+  setSessionLLM(sessionId, { provider, model } = {}) {
+    const session = this.getOrCreateSession(sessionId);
+    const nextProvider = provider || session.llm.provider;
+    // Keep the session model only when staying on the same provider
+    const nextModel = model || (nextProvider === session.llm.provider ? session.llm.model : null);
+
+    if (nextProvider === session.llm.provider && nextModel === session.llm.model) {
+      return session.llm;
+    }
+
+    const llm = { provider: nextProvider, model: nextModel };
+    session.chat = this._createChat(llm, session.chat.getHistory(), sessionId);
+    session.llm = llm;
+    this._markSessionDirty(sessionId);
+
+    log.info(`Session ${sessionId} now uses LLM ${llm.provider}${llm.model ? `/${llm.model}` : ''}`);
+    return llm;
+  }
+
+  /**
+   * Single-shot completion using the session's provider and model
+   */
+  async _generateSingleShot(sessionId, prompt) {
+    const llm = this.chatSessions.get(sessionId)?.llm || this.defaultLLM;
+    return this.getLLMProvider(llm.provider).generate({
+      model: llm.model || undefined,
+      prompt,
+      generationConfig: this.modelConfig.generationConfig,
+      signal: getJobSignal(),
+    });
+  }
+
+  /**
+   * Report whether the deployment default (or a named) provider is configured
+   */
+  getLLMStatus(name = this.defaultLLM.provider) {
+    try {
+      const provider = this.getLLMProvider(name);
+      const model = (name === this.defaultLLM.provider && this.defaultLLM.model) || provider.defaultModel;
+      return { provider: name, model, ...provider.getStatus() };
+    } catch (error) {
+      return { provider: name, model: null, available: false, error: error.message };
+    }
+  }
+
   /**
    * Clean up expired conversation sessions and enforce size limits
    */
@@ -139,7 +264,7 @@ class ManimAgent {
     // Clean up expired sessions
     for (const [sessionId, session] of this.chatSessions.entries()) {
       if (now - session.lastActivity > this.sessionTimeout) {
-        this.chatSessions.delete(sessionId);
+        this._removeSession(sessionId);
         cleanedCount++;
       }
     }
@@ -151,18 +276,121 @@ class ManimAgent {
       
       const sessionsToRemove = sortedSessions.slice(0, this.chatSessions.size - this.maxSessions);
       for (const [sessionId] of sessionsToRemove) {
-        this.chatSessions.delete(sessionId);
+        this._removeSession(sessionId);
         cleanedCount++;
       }
     }
     
     // Debounced logging
     if (cleanedCount > 0 && (now - this.lastCleanupLog) > this.cleanupLogInterval) {
-      console.log(`Cleaned up ${cleanedCount} sessions (${this.chatSessions.size}/${this.maxSessions} remaining)`);
+      log.info(`Cleaned up ${cleanedCount} sessions (${this.chatSessions.size}/${this.maxSessions} remaining)`);
       this.lastCleanupLog = now;
     }
   }
 
+  /**
+   * Drop a session from memory and from the session store
+   */
+  _removeSession(sessionId) {
+    this.chatSessions.delete(sessionId);
+    this.dirtySessions.delete(sessionId);
+    this.sessionStore.delete(sessionId);
+  }
+
+  /**
+   * Schedule a debounced write of a changed session
+   */
+  _markSessionDirty(sessionId) {
+    this.dirtySessions.add(sessionId);
+
+    if (!this.sessionSaveTimer) {
+      this.sessionSaveTimer = setTimeout(() => this.flushSessions(), this.sessionSaveDelay);
+      this.sessionSaveTimer.unref();
+    }
+  }
+
+  /**
+   * Write all changed sessions to the session store now
+   */
+  flushSessions() {
+    if (this.sessionSaveTimer) {
+      clearTimeout(this.sessionSaveTimer);
+      this.sessionSaveTimer = null;
+    }
+
+    for (const sessionId of this.dirtySessions) {
+      const session = this.chatSessions.get(sessionId);
+      if (session) {
+        this.sessionStore.save(this._serializeSession(sessionId, session));
+      }
+    }
+    this.dirtySessions.clear();
+  }
+
+  _serializeSession(sessionId, session) {
+    return {
+      id: sessionId,
+      llm: session.llm,
+      createdAt: session.createdAt,
+      lastActivity: session.lastActivity,
+      context: session.context,
+      chatHistory: session.chat.getHistory(),
+    };
+  }
+
+  /**
+   * Load stored sessions and rebuild their chats from the stored turns
+   */
+  _rehydrateSessions() {
+    let records;
+    try {
+      records = this.sessionStore.loadAll();
+    } catch (error) {
+      log.warn('Failed to load stored sessions:', error.message);
+      return;
+    }
+
+    const now = Date.now();
+    const live = records
+      .filter(record => now - record.lastActivity <= this.sessionTimeout)
+      .sort((a, b) => b.lastActivity - a.lastActivity);
+
+    // Expired sessions and anything over the session limit are dropped from the store
+    const kept = live.slice(0, this.maxSessions);
+    const keptIds = new Set(kept.map(record => record.id));
+    records
+      .filter(record => !keptIds.has(record.id))
+      .forEach(record => this.sessionStore.delete(record.id));
+
+    for (const record of kept) {
+      let llm = record.llm || { ...this.defaultLLM };
+      let chat;
+      try {
+        chat = this._createChat(llm, record.chatHistory || [], record.id);
+      } catch (error) {
+        // The stored provider is no longer available; keep the history on the default one
+        log.warn(`Session ${record.id} LLM ${llm.provider} unavailable, using default:`, error.message);
+        llm = { ...this.defaultLLM };
+        chat = this._createChat(llm, record.chatHistory || [], record.id);
+      }
+
+      this.chatSessions.set(record.id, {
+        chat,
+        llm,
+        createdAt: record.createdAt || record.lastActivity,
+        lastActivity: record.lastActivity,
+        context: {
+          ...createSessionContext(),
+          ...record.context,
+        },
+      });
+    }
+
+    if (records.length > 0) {
+      log.info(`Rehydrated ${kept.length} sessions from ${this.sessionStore.type} store (${records.length - kept.length} expired)`);
+    }
+  }
+
   /**
    * Add context to a conversation session
    */
@@ -211,6 +439,8 @@ class ManimAgent {
         }
         break;
     }
+
+    this._markSessionDirty(sessionId);
   }  /**
    * Generate context-aware prompt based on session history
    */
@@ -285,7 +515,7 @@ class ManimAgent {
 
     // Validate prompt length before returning
     if (contextualPrompt.length > PROMPT_CONFIG.MAX_PROMPT_LENGTH) {
-      console.warn(`Prompt length ${contextualPrompt.length} exceeds limit, truncating context...`);
+      log.warn(`Prompt length ${contextualPrompt.length} exceeds limit, truncating context...`);
       // Truncate conversation history and previous codes to fit within limit
       const basePrompt = `${MANIM_SYSTEM_PROMPT}\n\nUser Request: ${userPrompt}\n\nIMPORTANT: Create a UNIQUE animation (ID: ${uniqueId}, Time: ${timestamp}).`;
       if (basePrompt.length > PROMPT_CONFIG.MAX_PROMPT_LENGTH) {
@@ -310,23 +540,20 @@ class ManimAgent {
         content: userPrompt,
       });
 
-      console.log(`Generating Manim code for session ${sessionId}`);
-      console.log(
-        "Prompt preview:",
-        contextualPrompt.substring(0, PROMPT_CONFIG.CONTEXT_PREVIEW_LENGTH) + "..."
-      );
+      log.info(`Generating Manim code for session ${sessionId}`);
+      log.debug("Prompt preview:", contextualPrompt.substring(0, PROMPT_CONFIG.CONTEXT_PREVIEW_LENGTH) + "...");
 
       timer.checkpoint('prompt-prepared');
+      reportProgress('prompt-prepared', { sessionId, promptLength: contextualPrompt.length });
 
       // Use enhanced retry logic for AI generation
       const result = await executeWithRetry(
         async () => {
-          const response = await withTimeout(
-            session.chat.sendMessage(contextualPrompt),
+          return await withTimeout(
+            session.chat.sendMessage(contextualPrompt, { signal: getJobSignal() }),
             30000, // 30 second timeout
             'AI generation timed out'
           );
-          return response.text();
         },
         3, // max retries
         1000, // initial delay
@@ -342,6 +569,7 @@ class ManimAgent {
       const extractedCode = this.extractPythonCode(generatedCode);
 
       timer.checkpoint('code-generated');
+      reportProgress('code-generated', { sessionId, codeLength: extractedCode.length });
 
       // Add to conversation history
       this.addSessionContext(sessionId, "conversation", {
@@ -354,30 +582,27 @@ class ManimAgent {
       this.performanceMonitor.addMetric('generation.duration', timing.totalTime);
       this.performanceMonitor.addMetric('generation.success', 1);
 
+      this.recordCodeVersion(sessionId, extractedCode, 'generate', { prompt: userPrompt });
       return extractedCode;
     } catch (error) {
       const timing = timer.end();
       this.performanceMonitor.addMetric('generation.duration', timing.totalTime);
       this.performanceMonitor.addMetric('generation.failure', 1);
+      throwIfJobCancelled();
       this.errorAggregator.add(error, { operation: 'generateManimCode', sessionId });
 
-      console.error("Session-based generation failed, falling back to single-shot:", error.message);
+      log.warn("Session-based generation failed, falling back to single-shot:", error.message);
 
       // Fallback to single-shot generation with enhanced error handling
       try {
         const fallbackResult = await executeWithRetry(
           async () => {
             const fullPrompt = `${MANIM_SYSTEM_PROMPT}\n\nUser Request: ${userPrompt}`;
-            const result = await withTimeout(
-              this.genai.models.generateContentInternal({
-                model: this.modelConfig.model,
-                generationConfig: this.modelConfig.generationConfig,
-                contents: [{ parts: [{ text: fullPrompt }] }],
-              }),
+            return await withTimeout(
+              this._generateSingleShot(sessionId, fullPrompt),
               30000,
               'Fallback AI generation timed out'
             );
-            return result.text || result.candidates?.[0]?.content?.parts?.[0]?.text || "";
           },
           2, // fewer retries for fallback
           1000,
@@ -390,7 +615,10 @@ class ManimAgent {
         }
 
         this.performanceMonitor.addMetric('generation.fallback_success', 1);
-        return this.extractPythonCode(fallbackResult.result);
+        const fallbackCode = this.extractPythonCode(fallbackResult.result);
+        reportProgress('code-generated', { sessionId, codeLength: fallbackCode.length, fallback: true });
+        this.recordCodeVersion(sessionId, fallbackCode, 'generate', { prompt: userPrompt });
+        return fallbackCode;
       } catch (fallbackError) {
         this.performanceMonitor.addMetric('generation.fallback_failure', 1);
         const typedError = createTypedError(fallbackError, { operation: 'generateManimCode-complete-failure', sessionId });
@@ -401,8 +629,8 @@ class ManimAgent {
   }  /**
    * Enhanced LaTeX-specific fixes using progressive error handling
    */
-  async _tryLatexFix(code, errorMessage, sessionId) {
-    console.log('Checking for LaTeX-specific fixes...');
+  async _tryLatexFix(code, errorMessage, sessionId, testOptions = {}) {
+    log.debug('Checking for LaTeX-specific fixes...');
     
     // Categorize the error first
     const errorInfo = categorizeError(errorMessage);
@@ -412,21 +640,26 @@ class ManimAgent {
       return null;
     }
     
-    console.log(`Detected ${errorInfo.type} error - applying progressive LaTeX fixes...`);
+    log.info(`Detected ${errorInfo.type} error - applying progressive LaTeX fixes...`);
     
     // Generate user-friendly error explanation
     const explanation = generateErrorExplanation(errorInfo, 1);
-    console.log('Error explanation:', explanation);
+    log.debug('Error explanation:', explanation);
     
     // Try progressive error handling levels
     for (let level = 1; level <= 3; level++) {
-      console.log(`Attempting LaTeX fix level ${level}...`);
+      log.info(`Attempting LaTeX fix level ${level}...`);
       
       const fixResult = applyProgressiveErrorHandling(code, errorInfo, level);
-      const testResult = await this.testManimCode(fixResult.code);
+      const testResult = await this.testManimCode(fixResult.code, testOptions);
+      reportProgress('latex-fix-applied', {
+        level,
+        appliedFixes: fixResult.appliedFixes,
+        success: testResult.success
+      });
       
       if (testResult.success) {
-        console.log(`LaTeX fix level ${level} successful!`);
+        log.info(`LaTeX fix level ${level} successful!`);
         return {
           success: true,
           code: fixResult.code,
@@ -440,15 +673,15 @@ class ManimAgent {
         };
       }
       
-      console.log(`LaTeX fix level ${level} failed, trying next level...`);
+      log.info(`LaTeX fix level ${level} failed, trying next level...`);
     }
     
     // If all levels failed, try the legacy LaTeX fix as fallback
     const legacyFix = await handleLatexError(code, errorMessage);
     if (legacyFix) {
-      const testResult = await this.testManimCode(legacyFix);
+      const testResult = await this.testManimCode(legacyFix, testOptions);
       if (testResult.success) {
-        console.log('Legacy LaTeX fix successful!');
+        log.info('Legacy LaTeX fix successful!');
         return {
           success: true,
           code: legacyFix,
@@ -460,7 +693,7 @@ class ManimAgent {
       }
       
       if (testResult.suggestedFix) {
-        console.log('Legacy LaTeX fix provided suggestion...');
+        log.info('Legacy LaTeX fix provided suggestion...');
         return { suggestedCode: testResult.suggestedFix };
       }
     }
@@ -470,39 +703,34 @@ class ManimAgent {
 
   /**
    * Attempt to fix code using AI models (session-based or single-shot)
+   * A parsed Python error that locates the failing line replaces the full error output in the prompt
    */
-  async _attemptAIFix(currentCode, lastError, sessionId) {
+  async _attemptAIFix(currentCode, lastError, sessionId, pythonError = null) {
+    const error = pythonError?.line ? formatPythonError(pythonError) : lastError;
     try {
       // Try session-based fixing first
       const session = this.getOrCreateSession(sessionId);
       const contextualFixPrompt =
         this.buildContextualPrompt(
-          `Fix the following error: ${lastError}`,
+          `Fix the following error: ${error}`,
           sessionId,
           true
         ) +
-        `\n\nCode to fix:\n${currentCode}\n\nError details: ${lastError}\n\nPlease provide the corrected code only.`;
+        `\n\nCode to fix:\n${currentCode}\n\nError details: ${error}\n\nPlease provide the corrected code only.`;
 
-      const response = await session.chat.sendMessage(contextualFixPrompt);
-      return this.extractPythonCode(response.text());
+      const response = await session.chat.sendMessage(contextualFixPrompt, { signal: getJobSignal() });
+      return this.extractPythonCode(response);
     } catch (sessionError) {
-      console.log(
-        "Session-based fixing failed, using single-shot model:",
-        sessionError.message
-      );
+      log.warn("Session-based fixing failed, using single-shot model:", sessionError.message);
 
       // Fallback to single-shot fixing
       const fixPrompt = MANIM_ERROR_FIX_PROMPT.replace(
         "{error}",
-        lastError
+        error
       ).replace("{code}", currentCode);
 
-      const result = await this.genai.models.generateContentInternal({
-        model: this.modelConfig.model,
-        generationConfig: this.modelConfig.generationConfig,
-        contents: [{ parts: [{ text: fixPrompt }] }],
-      });
-      return this.extractPythonCode(result.text || result.candidates?.[0]?.content?.parts?.[0]?.text || "");
+      const result = await this._generateSingleShot(sessionId, fixPrompt);
+      return this.extractPythonCode(result);
     }
   }
 
@@ -511,25 +739,31 @@ class ManimAgent {
    */  /**
    * Enhanced LaTeX fallback using progressive error handling
    */
-  async _tryLatexFallback(currentCode, lastError, errorMessage, maxRetries, sessionId) {
+  async _tryLatexFallback(currentCode, lastError, errorMessage, maxRetries, sessionId, testOptions = {}) {
     // Check if this is a LaTeX-related error
     const errorInfo = categorizeError(lastError || errorMessage);
     if (errorInfo.category !== 'LaTeX' && !isLatexError(lastError) && !isLatexError(errorMessage)) {
       return null;
     }
 
-    console.log('All fixes failed, trying enhanced LaTeX fallback...');
+    log.info('All fixes failed, trying enhanced LaTeX fallback...');
     
     // Generate user-friendly explanation for fallback
     const explanation = generateErrorExplanation(errorInfo, maxRetries + 1);
-    console.log('Fallback explanation:', explanation);
+    log.debug('Fallback explanation:', explanation);
     
     // Try level 3 (most aggressive) progressive error handling
     const fallbackResult = applyProgressiveErrorHandling(currentCode, errorInfo, 3);
-    const fallbackTest = await this.testManimCode(fallbackResult.code);
+    const fallbackTest = await this.testManimCode(fallbackResult.code, testOptions);
+    reportProgress('latex-fix-applied', {
+      level: 3,
+      fallback: true,
+      appliedFixes: fallbackResult.appliedFixes,
+      success: fallbackTest.success
+    });
     
     if (fallbackTest.success) {
-      console.log('Enhanced LaTeX fallback successful!');
+      log.info('Enhanced LaTeX fallback successful!');
       return {
         success: true,
         code: fallbackResult.code,
@@ -545,12 +779,12 @@ class ManimAgent {
     }
     
     // If enhanced fallback fails, try legacy fallback
-    console.log('Enhanced fallback failed, trying legacy fallback...');
+    log.info('Enhanced fallback failed, trying legacy fallback...');
     const legacyFallbackCode = createLatexFallback(currentCode);
-    const legacyTest = await this.testManimCode(legacyFallbackCode);
+    const legacyTest = await this.testManimCode(legacyFallbackCode, testOptions);
     
     if (legacyTest.success) {
-      console.log('Legacy LaTeX fallback successful!');
+      log.info('Legacy LaTeX fallback successful!');
       return {
         success: true,
         code: legacyFallbackCode,
@@ -568,14 +802,19 @@ class ManimAgent {
     code,
     errorMessage,
     sessionId = "default",
-    maxRetries = 3
+    maxRetries = 3,
+    pythonError = null,
+    testOptions = {}
   ) {
+    reportProgress('fix-started', { sessionId, error: errorMessage });
+
     // First try LaTeX-specific fixes
-    const latexResult = await this._tryLatexFix(code, errorMessage, sessionId);
-    if (latexResult?.success) return latexResult;
+    const latexResult = await this._tryLatexFix(code, errorMessage, sessionId, testOptions);
+    if (latexResult?.success) return this._recordFixVersion(sessionId, latexResult);
     
     let currentCode = latexResult?.suggestedCode || code;
     let lastError = errorMessage;
+    let lastPythonError = pythonError;
     let attempts = 0;
 
     // Add error context to session
@@ -583,14 +822,17 @@ class ManimAgent {
 
     // Main retry loop
     while (attempts < maxRetries) {
+      throwIfJobCancelled();
       try {
-        console.log(`Attempting to fix code (attempt ${attempts + 1}/${maxRetries}) for session ${sessionId}`);
+        log.info(`Attempting to fix code (attempt ${attempts + 1}/${maxRetries}) for session ${sessionId}`);
+        reportProgress('fix-attempt', { attempt: attempts + 1, maxRetries, error: lastError });
+        this.errorAggregator.add(lastError, { operation: 'fixManimCode', sessionId });
 
-        const fixedCode = await this._attemptAIFix(currentCode, lastError, sessionId);
-        const testResult = await this.testManimCode(fixedCode);
+        const fixedCode = await this._attemptAIFix(currentCode, lastError, sessionId, lastPythonError);
+        const testResult = await this.testManimCode(fixedCode, testOptions);
 
         if (testResult.success) {
-          console.log(`Code fixed successfully after ${attempts + 1} attempts`);
+          log.info(`Code fixed successfully after ${attempts + 1} attempts`);
           
           // Add successful fix to context
           this.addSessionContext(sessionId, "code", { code: fixedCode, success: true });
@@ -599,18 +841,19 @@ class ManimAgent {
             content: `Successfully fixed code after ${attempts + 1} attempts`,
           });
 
-          return {
+          return this._recordFixVersion(sessionId, {
             success: true,
             code: fixedCode,
             attempts: attempts + 1,
             originalError: errorMessage,
             sessionId: sessionId,
-          };
+          });
         }
 
         // Prepare for next attempt
         currentCode = fixedCode;
         lastError = testResult.error;
+        lastPythonError = testResult.pythonError;
         attempts++;
 
         // Add failed attempt to context
@@ -622,24 +865,27 @@ class ManimAgent {
         
         // Add retry delay between attempts
         if (attempts < maxRetries) {
-          console.log(`Waiting 1 second before retry attempt ${attempts + 1}...`);
+          log.info(`Waiting 1 second before retry attempt ${attempts + 1}...`);
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       } catch (error) {
-        console.error(`Error in fix attempt ${attempts + 1}:`, error.message);
+        throwIfJobCancelled();
+        if (isCodePolicyError(error)) throw error;
+        log.error(`Error in fix attempt ${attempts + 1}:`, error.message);
         attempts++;
         lastError = error.message;
+        lastPythonError = null;
         
         if (attempts < maxRetries) {
-          console.log(`Waiting 1 second before retry attempt ${attempts + 1}...`);
+          log.info(`Waiting 1 second before retry attempt ${attempts + 1}...`);
           await new Promise(resolve => setTimeout(resolve, 1000));
         }
       }
     }
 
     // Try LaTeX fallback as last resort
-    const fallbackResult = await this._tryLatexFallback(currentCode, lastError, errorMessage, maxRetries, sessionId);
-    if (fallbackResult) return fallbackResult;
+    const fallbackResult = await this._tryLatexFallback(currentCode, lastError, errorMessage, maxRetries, sessionId, testOptions);
+    if (fallbackResult) return this._recordFixVersion(sessionId, fallbackResult);
 
     return {
       success: false,
@@ -649,30 +895,59 @@ class ManimAgent {
       originalError: errorMessage,
       sessionId: sessionId,
     };
-  }async testManimCode(code) {
+  }
+
+  /**
+   * Compile (and for LaTeX, dry-run) code, resolving to { success, error?, pythonError?, ... }
+   * Policy violations reject with CodePolicyError unless options.fixPolicyViolations, which
+   * returns them as a failure for the fixer; an unavailable analyzer always rejects.
+   */
+  async testManimCode(code, { fixPolicyViolations = false } = {}) {
+    // Nothing is compiled or run until the code passes the static policy check
+    const policy = await checkCodePolicy(code);
+    if (!policy.allowed) {
+      const error = `Code policy violation (remove these constructs):\n${formatPolicyViolations(policy.violations)}`;
+      reportProgress('code-tested', { success: false, error, policyViolations: policy.violations });
+      if (!fixPolicyViolations) {
+        throw new CodePolicyError(
+          `Code violates the execution policy:\n${formatPolicyViolations(policy.violations)}`,
+          { violations: policy.violations }
+        );
+      }
+      return {
+        success: false,
+        error,
+        policyViolations: policy.violations
+      };
+    }
+
+    let testFilePath = null;
     try {
       const testFilename = generateTempFilename("test_animation", ".py");
-      const testFilePath = await this.savePythonFile(code, testFilename);
+      testFilePath = await this.savePythonFile(code, testFilename);
 
       // First try Python compilation
-      const compileCommand = `python -m py_compile "${testFilePath}"`;
-      await execAsync(compileCommand, { timeout: 10000 });
+      await runProcess("python", ["-m", "py_compile", testFilePath], { timeoutMs: 10000, signal: getJobSignal() });
 
       // If code uses LaTeX, test with a quick Manim dry run
       if (code.includes('MathTex') || code.includes('Tex') || code.includes('NumberPlane') || code.includes('Axes')) {
         try {
-          console.log('Code contains LaTeX elements, testing with Manim dry run...');
-          const dryRunCommand = `manim --dry_run "${testFilePath}"`;
-          await execAsync(dryRunCommand, { timeout: 30000 });
-          console.log('LaTeX dry run successful');        } catch (dryRunError) {
-          console.log('Manim dry run failed:', dryRunError.message);
+          log.debug('Code contains LaTeX elements, testing with Manim dry run...');
+          await this._runDryRun(testFilePath);
+          log.info('LaTeX dry run successful');        } catch (dryRunError) {
+          log.info('Manim dry run failed:', dryRunError.message);
+          if (dryRunError instanceof SandboxViolationError) {
+            throw dryRunError;
+          }
           // Check if it's a LaTeX error
           const latexFix = await handleLatexError(code, dryRunError.message);
           if (latexFix) {
-            await this.cleanup(testFilePath);
+            const pythonError = this._locatePythonError(dryRunError, testFilePath, code);
+            reportProgress('code-tested', { success: false, error: dryRunError.message, isLatexError: true, pythonError });
             return { 
               success: false, 
               error: dryRunError.message, 
+              pythonError,
               suggestedFix: latexFix,
               isLatexError: true
             };
@@ -681,32 +956,87 @@ class ManimAgent {
         }
       }
 
-      await this.cleanup(testFilePath);
+      reportProgress('code-tested', { success: true });
       return { success: true };
     } catch (error) {
+      const sandboxViolations = error instanceof SandboxViolationError ? error.details.violations : undefined;
+      const pythonError = this._locatePythonError(error, testFilePath, code);
+      reportProgress('code-tested', { success: false, error: error.message, pythonError, sandboxViolations });
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        pythonError,
+        sandboxViolations
       };
+    } finally {
+      // Failed compiles used to leave the test file behind
+      if (testFilePath) {
+        await this.cleanup(testFilePath);
+      }
     }
   }
+
+  /**
+   * Run `manim --dry_run` on a file; sandboxed like a render since it executes the scene code
+   * Dry runs still write Tex and partial media, so each gets its own workspace as renders do
+   */
+  async _runDryRun(testFilePath) {
+    const workspace = createRenderWorkspace("dryrun");
+    trackJobFile(workspace.dir);
+    const dryRunArgs = ["--dry_run", "--media_dir", workspace.mediaDir, testFilePath];
+
+    try {
+      if (!sandboxEnabled()) {
+        return await runProcess("manim", dryRunArgs, { timeoutMs: 30000, signal: getJobSignal() });
+      }
+
+      const { command, args } = getSandboxLauncher("manim");
+      const { stdout, stderr } = await runProcess(command, [...args, ...dryRunArgs], {
+        timeoutMs: 30000,
+        env: createSandboxEnv(workspace.dir, 30000),
+        signal: getJobSignal(),
+      });
+      throwOnSandboxViolation({ stderr });
+      return { stdout, stderr };
+    } catch (error) {
+      if (sandboxEnabled()) {
+        throwOnSandboxViolation(error);
+      }
+      throw error;
+    } finally {
+      removeRenderWorkspace(workspace.dir);
+    }
+  }
+
+  /**
+   * Exception type, message and location in `code` of a failed compile or render (null if none)
+   * Frames outside the file at `filePath` are skipped; the code is read from the file when not given.
+   */
+  _locatePythonError(error, filePath, code = null) {
+    const source = code ?? (filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null);
+    return parsePythonError(error.stderr || error.message, {
+      code: source,
+      fileName: filePath ? path.basename(filePath) : null,
+    });
+  }
+
   async generateAndFixManimCode(
     userPrompt,
     sessionId = "default",
-    maxAttempts = 3
+    maxAttempts = 3,
+    options = {}
   ) {
+    const testOptions = { fixPolicyViolations: options.fixPolicyViolations };
     try {
       // First attempt: Generate initial code with session context
       let code = await this.generateManimCode(userPrompt, sessionId);
-      console.log(
-        `Initial code generated for session ${sessionId}, testing...`
-      );
+      log.info(`Initial code generated for session ${sessionId}, testing...`);
 
       // Test the initial code
-      const testResult = await this.testManimCode(code);
+      const testResult = await this.testManimCode(code, testOptions);
 
       if (testResult.success) {
-        console.log("Initial code is valid");
+        log.info("Initial code is valid");
 
         // Add successful code to context
         this.addSessionContext(sessionId, "code", {
@@ -723,14 +1053,16 @@ class ManimAgent {
         };
       }
 
-      console.log("Initial code has errors, attempting to fix...");
+      log.info("Initial code has errors, attempting to fix...");
 
       // If initial code fails, try to fix it with session context
       const fixResult = await this.fixManimCode(
         code,
         testResult.error,
         sessionId,
-        maxAttempts - 1
+        maxAttempts - 1,
+        testResult.pythonError,
+        testOptions
       );
 
       if (fixResult.success) {
@@ -744,16 +1076,14 @@ class ManimAgent {
         };
       } else {
         // If fixing fails, generate completely new code with enhanced context
-        console.log(
-          "Fixing failed, generating new code with enhanced context..."
-        );
+        log.info("Fixing failed, generating new code with enhanced context...");
 
         const session = this.getOrCreateSession(sessionId);
         const enhancedPrompt = `${userPrompt}\n\nIMPORTANT: Previous attempts failed with these errors: ${fixResult.finalError}. Generate working code that avoids these specific issues. Consider simpler alternatives if needed.`;
 
-        const result = await session.chat.sendMessage(enhancedPrompt);
-        const response = await result.response;
-        const newCode = this.extractPythonCode(response.text());
+        const response = await session.chat.sendMessage(enhancedPrompt, { signal: getJobSignal() });
+        const newCode = this.extractPythonCode(response);
+        this.recordCodeVersion(sessionId, newCode, 'generate', { prompt: userPrompt });
 
         // Add conversation context
         this.addSessionContext(sessionId, "conversation", {
@@ -772,6 +1102,8 @@ class ManimAgent {
         };
       }
     } catch (error) {
+      // Policy errors reach the caller as they are, so the request fails instead of retrying
+      if (isCodePolicyError(error)) throw error;
       throw new Error(
         `Failed to generate working Manim code: ${error.message}`
       );
@@ -816,10 +1148,22 @@ class ManimAgent {
     const cleanedText = uniqueLines.join('\n').trim();
 
     // Debug logging to check for uniqueness
-    console.log("Generated code length:", cleanedText.length);
-    console.log("Code preview:", cleanedText.substring(0, 100) + "...");
+    log.debug("Extracted generated code", { codeLength: cleanedText.length, preview: cleanedText.substring(0, 100) });
     return cleanedText;
   }
+  /**
+   * Throw a CodePolicyError if code breaks the execution policy (utils/codePolicy.js)
+   */
+  async _enforceCodePolicy(code) {
+    const policy = await checkCodePolicy(code);
+    if (!policy.allowed) {
+      throw new CodePolicyError(
+        `Code violates the execution policy:\n${formatPolicyViolations(policy.violations)}`,
+        { violations: policy.violations }
+      );
+    }
+  }
+
   async savePythonFile(code, filename = null) {
     const tempDir = process.env.TEMP_DIR || "temp";
     const actualFilename = filename || generateTempFilename("animation", ".py");
@@ -832,46 +1176,81 @@ class ManimAgent {
     }
 
     fs.writeFileSync(filePath, code);
+    trackJobFile(filePath);
+    recordJobCode(filePath, code);
     return filePath;
   }  /**
-   * Extract class name from Python file content
+   * Scene class to render from a Python file: `sceneName` when given, else the first Scene subclass
    */
-  _extractClassName(pythonFilePath) {
+  _extractClassName(pythonFilePath, sceneName = null) {
     const fileContent = fs.readFileSync(pythonFilePath, "utf8");
-    console.log("File content preview:", fileContent.substring(0, 200) + "...");
-
-    const classMatch = fileContent.match(/class\s+(\w+)\s*\(/);
-    const className = classMatch ? classMatch[1] : "Animation";
+    const scenes = listScenes(fileContent).map(scene => scene.name);
 
-    console.log("Extracted class name:", className);
-    console.log("Class match result:", classMatch);
-
-    if (!classMatch) {
-      console.error("No class found in file! Full content:", fileContent);
+    if (scenes.length === 0) {
+      log.error("No Scene subclass found in file", { fileContent });
       throw new Error("No valid Manim Scene class found in generated code");
     }
+    if (sceneName && !scenes.includes(sceneName)) {
+      throw new SceneNotFoundError(`Scene ${sceneName} not found (available: ${scenes.join(", ")})`, { scenes });
+    }
 
+    const className = sceneName || scenes[0];
+    log.debug("Extracted class name:", className, { scenes });
     return className;
   }
 
   /**
    * Execute Manim rendering command with error handling
    */
-  async _executeManimCommand(pythonFilePath, className, attemptNumber, maxRetries) {
-    const commands = getManimCommands(pythonFilePath, className);
-    let command = commands[attemptNumber] || commands[0];
+  async _executeManimCommand(pythonFilePath, className, attemptNumber, maxRetries, mediaDir, renderSettings) {
+    const sandbox = sandboxEnabled();
+    const commands = getManimCommands(pythonFilePath, className, { mediaDir, renderSettings, sandbox });
+    const { command, args } = commands[attemptNumber] || commands[0];
     
-    console.log(`Executing Manim command (attempt ${attemptNumber + 1}/${maxRetries}):`, command);
+    // Wait for a free render slot so bursts of traffic cannot spawn unbounded manim processes
+    const jobContext = getJobContext();
+    const { stdout, stderr } = await getRenderPool().run(async (waitMs) => {
+      throwIfJobCancelled();
+      this.performanceMonitor.addMetric('render.queue_wait', waitMs);
+      if (waitMs > 0) {
+        reportProgress('render-slot-acquired', { waitMs });
+      }
+
+      log.info(`Executing Manim command (attempt ${attemptNumber + 1}/${maxRetries})`, { command: formatCommand(command, args), waitMs });
 
-    const { stdout, stderr } = await execAsync(command, {
-      timeout: 180000, // 3 minute timeout
-      cwd: process.cwd(),
-      env: { ...process.env, PYTHONPATH: process.cwd() },
+      const renderTimer = new OperationTimer(`manim-render-${className}`);
+      try {
+        return await this._runWithProgress(command, args, {
+          timeoutMs: renderSettings.timeoutMs, // 3 minutes at low quality, longer for larger presets
+          cwd: process.cwd(),
+          // The render workspace (parent of the media dir) is the only place sandboxed code may write
+          env: {
+            ...(sandbox
+              ? createSandboxEnv(path.dirname(mediaDir), renderSettings.timeoutMs)
+              : { ...process.env, PYTHONPATH: process.cwd() }),
+            // Correlates anything the child process logs itself with this request
+            TAXIM_REQUEST_ID: getRequestId() || "",
+          },
+        });
+      } catch (error) {
+        if (sandbox) {
+          throwOnSandboxViolation(error);
+        }
+        throw error;
+      } finally {
+        this.performanceMonitor.addMetric('render.duration', renderTimer.end().totalTime);
+      }
+    }, {
+      jobId: jobContext?.jobId,
+      signal: jobContext?.signal,
+      onQueued: (position) => reportProgress('render-queued', { position })
     });
 
-    console.log("Manim stdout:", stdout);
-    if (stderr) {
-      console.log("Manim stderr:", stderr);
+    log.debug("Manim finished", { stdoutBytes: stdout.length, stderrBytes: stderr?.length || 0 });
+
+    // Blocked operations count even when the scene code caught the PermissionError
+    if (sandbox) {
+      throwOnSandboxViolation({ stderr });
     }
 
     // Check for actual errors (Manim often outputs warnings as stderr)
@@ -891,113 +1270,238 @@ class ManimAgent {
   }
 
   /**
-   * Search for generated video file using multiple strategies
+   * Run a Manim command, reporting progress bar updates as they stream
+   * A cancelled job kills the command's whole process group
+   */
+  _runWithProgress(command, args, options) {
+    let lastReported = null;
+
+    return runProcess(command, args, {
+      ...options,
+      signal: getJobSignal(),
+      onLine: (line, stream) => {
+        if (manimLog.isLevelEnabled("debug")) {
+          manimLog.debug(line, { stream });
+        }
+
+        for (const { animation, percent } of parseManimProgress(line)) {
+          const key = `${animation}:${percent}`;
+          if (key !== lastReported) {
+            lastReported = key;
+            reportProgress('render-progress', { animation, percent });
+          }
+        }
+      },
+    });
+  }
+
+  /**
+   * Search for the generated video inside this render's isolated media directory
    */
-  async _findGeneratedVideo(pythonFilePath, className) {
-    let foundVideoPath = null;
+  async _findGeneratedVideo(pythonFilePath, className, mediaDir, qualityDir = null, extension = ".mp4") {
     const baseFileName = path.basename(pythonFilePath, ".py");
-    const mediaDir = path.join(process.cwd(), "media");
 
     // Wait a moment for file system to update
     await new Promise((resolve) => setTimeout(resolve, 1000));
 
-    // Primary search: Look in standard Manim output locations
-    if (fs.existsSync(mediaDir)) {
-      console.log("Searching for video in media directory...");
-      foundVideoPath = findVideoInMediaDir(mediaDir, className, baseFileName);
+    if (!mediaDir || !fs.existsSync(mediaDir)) {
+      return null;
     }
 
-    // Secondary search: Look for any recent MP4 file
-    if (!foundVideoPath) {
-      console.log("Searching for latest MP4 file...");
-      foundVideoPath = findLatestMP4File(process.cwd());
-    }
+    // Look in standard Manim output locations, then anywhere in the media dir
+    log.debug("Searching for video in render media directory...");
+    return findVideoInMediaDir(mediaDir, className, baseFileName, qualityDir, extension) || null;
+  }
 
-    // Tertiary search: Check current directory for common patterns
-    if (!foundVideoPath) {
-      const timestamp = getTimestamp();
-      const possibleNames = [
-        `${className}.mp4`,
-        `${baseFileName}.mp4`,
-        `${className}_${timestamp}.mp4`,
-        `${baseFileName}_${timestamp}.mp4`,
-      ];
-
-      for (const name of possibleNames) {
-        const possiblePath = path.join(process.cwd(), name);
-        if (fs.existsSync(possiblePath)) {
-          foundVideoPath = possiblePath;
-          console.log(`Found video with pattern search: ${possiblePath}`);
-          break;
-        }
+  /**
+   * Log debugging information when video is not found
+   */
+  _logVideoNotFoundDebug(className, baseFileName, mediaDir) {
+    const hasMediaDir = mediaDir && fs.existsSync(mediaDir);
+    log.warn("No video found in render media directory", {
+      mediaDir,
+      className,
+      baseFileName,
+      mediaFiles: hasMediaDir ? listDirectoryRecursive(mediaDir) : null
+    });
+  }
+
+  /**
+   * Record a finished render in the animation catalog; cataloging never fails the render
+   */
+  _catalogAnimation(renderResult, info) {
+    try {
+      const cacheKey = computeRenderCacheKey(info.code, renderResult.className, renderResult.renderSettings);
+      const record = getAnimationCatalog().add({
+        videoFileName: renderResult.videoFileName,
+        videoPath: renderResult.videoPath,
+        posterPath: renderResult.posterPath,
+        previewPath: renderResult.previewPath,
+        format: renderResult.format,
+        contentType: renderResult.contentType,
+        className: renderResult.className,
+        prompt: info.prompt,
+        code: info.code,
+        sessionId: info.sessionId,
+        jobId: getJobContext()?.jobId,
+        source: info.source,
+        llm: this.chatSessions.get(info.sessionId)?.llm || this.defaultLLM,
+        wasCodeFixed: info.wasCodeFixed || info.generation?.wasFixed,
+        wasImproved: info.wasImproved,
+        usedFallback: info.generation?.usedFallback,
+        generationAttempts: info.generation?.attempts,
+        renderAttempts: renderResult.attempts,
+        fixHistory: info.fixHistory,
+        renderSettings: renderResult.renderSettings,
+        renderDurationMs: renderResult.renderDurationMs,
+        cacheKey,
+        // Key of the submitted code, when it was fixed or improved before it rendered
+        sourceCacheKey: info.sourceCacheKey !== cacheKey ? info.sourceCacheKey : null,
+        cachedFrom: info.cachedFrom,
+      });
+      if (renderCacheEnabled()) {
+        getRenderCache().store(record);
       }
+      return record;
+    } catch (error) {
+      log.warn("Failed to catalog animation:", error.message);
+      return null;
     }
+  }
 
-    return foundVideoPath || null;
+  /**
+   * Render cache key of code and settings
+   */
+  _renderCacheKey(code, settings, sceneName = null) {
+    // Same scene as _extractClassName picks, so keys agree with cataloged renders
+    const className = sceneName || getDefaultSceneName(code);
+    return computeRenderCacheKey(code, className, describeRenderSettings(settings));
   }
 
   /**
-   * Log debugging information when video is not found
+   * Look up a previous render for a cache key, recording the hit or miss
    */
-  _logVideoNotFoundDebug(className, baseFileName) {
-    console.log("=== DEBUGGING: No video found ===");
-    console.log("Working directory:", process.cwd());
-    console.log("Expected class name:", className);
-    console.log("Python file base name:", baseFileName);
-
-    console.log("\nFiles in working directory:");
-    const workingDirFiles = fs.readdirSync(process.cwd());
-    workingDirFiles.forEach((file) => {
-      const filePath = path.join(process.cwd(), file);
-      const stat = fs.statSync(filePath);
-      if (stat.isFile() && file.endsWith(".mp4")) {
-        console.log(`  VIDEO: ${file} (${stat.size} bytes, ${stat.mtime})`);
-      } else if (stat.isFile()) {
-        console.log(`  FILE: ${file} (${stat.size} bytes)`);
-      } else {
-        console.log(`  DIR:  ${file}/`);
-      }
+  _lookupRenderCache(key) {
+    if (!renderCacheEnabled()) {
+      return null;
+    }
+
+    const record = getRenderCache().lookup(key);
+
+    this.performanceMonitor.addMetric(record ? "render.cache_hit" : "render.cache_miss", 1);
+    return record;
+  }
+
+  /**
+   * Answer a render from the cache: catalog the reuse for this session and return the existing files
+   * A hit on code that needed fixing answers with the code that rendered, as a fix of the submitted code.
+   */
+  _reuseCachedRender(record, code, sessionId, catalogInfo) {
+    log.info(`Render cache hit for session ${sessionId}: reusing ${record.videoFileName}`);
+    reportProgress("render-cache-hit", { animationId: record.id, videoPath: record.videoPath });
+
+    const renderResult = {
+      success: true,
+      videoPath: record.videoPath,
+      videoFileName: record.videoFileName,
+      posterPath: record.posterPath,
+      previewPath: record.previewPath,
+      format: record.format,
+      contentType: record.contentType,
+      className: record.className,
+      renderSettings: record.renderSettings,
+      renderDurationMs: 0,
+      attempts: 0,
+    };
+
+    this.addSessionContext(sessionId, "conversation", {
+      type: "assistant",
+      content: `Reused cached animation: ${record.videoFileName}`,
     });
 
-    const mediaDir = path.join(process.cwd(), "media");
-    if (fs.existsSync(mediaDir)) {
-      console.log("\nMedia directory structure:");
-      listDirectoryRecursive(mediaDir);
-    } else {
-      console.log("\nNo media directory found");
+    const wasCodeFixed = normalizeCode(record.code) !== normalizeCode(code);
+    const wasImproved = wasCodeFixed && Boolean(record.renderFlags?.wasImproved);
+    if (wasCodeFixed) {
+      this.recordCodeVersion(sessionId, record.code, wasImproved ? "improve" : "fix", { cachedFrom: record.id });
     }
 
-    console.log("=== END DEBUGGING ===\n");
+    const animation = this._catalogAnimation(renderResult, {
+      ...catalogInfo,
+      code: record.code,
+      sessionId,
+      fixHistory: catalogInfo.fixHistory || [],
+      wasCodeFixed,
+      wasImproved,
+      cachedFrom: record.id,
+    });
+
+    return {
+      ...renderResult,
+      animationId: animation?.id || null,
+      code: record.code,
+      wasCodeFixed,
+      wasImproved,
+      cached: true,
+      sessionId,
+    };
   }
 
   /**
-   * Move/copy video to final output directory
+   * Generate the poster frame and animated preview for a finalized render
+   * Thumbnail failures never fail the render; their paths are null instead
+   */
+  async _createThumbnails(finalVideoPath, finalVideoName, settings) {
+    // A still image is its own poster
+    if (settings.format === 'png') {
+      return { posterPath: `/animations/${finalVideoName}`, previewPath: null };
+    }
+    if (!thumbnailsEnabled()) {
+      return { posterPath: null, previewPath: null };
+    }
+
+    const { posterFileName, previewFileName } = await generateThumbnails(finalVideoPath, { format: settings.format });
+    const thumbnails = {
+      posterPath: posterFileName ? `/animations/${THUMBNAIL_DIR_NAME}/${posterFileName}` : null,
+      previewPath: previewFileName ? `/animations/${THUMBNAIL_DIR_NAME}/${previewFileName}` : null
+    };
+
+    reportProgress('thumbnails-generated', thumbnails);
+    return thumbnails;
+  }
+
+  /**
+   * Move/copy the rendered output (video, GIF or still) to the final output directory, keeping its extension
    */
   _finalizeVideo(foundVideoPath, className, outputDir) {
     const timestamp = getTimestamp();
-    const finalVideoName = `${className}_${timestamp}.mp4`;
+    const finalVideoName = `${className}_${timestamp}${path.extname(foundVideoPath) || ".mp4"}`;
     const finalVideoPath = path.join(outputDir, finalVideoName);
 
     if (foundVideoPath !== finalVideoPath) {
       fs.copyFileSync(foundVideoPath, finalVideoPath);
-      console.log(`Copied video from ${foundVideoPath} to ${finalVideoPath}`);
+      log.info(`Copied video from ${foundVideoPath} to ${finalVideoPath}`);
 
       // Clean up the original file
       try {
         fs.unlinkSync(foundVideoPath);
       } catch (cleanupError) {
-        console.warn("Could not clean up original video file:", cleanupError.message);
+        log.warn("Could not clean up original video file:", cleanupError.message);
       }
     }
 
     return { finalVideoName, finalVideoPath };
   }
 
-  async renderAnimation(pythonFilePath, outputDir = null, maxRetries = 2) {
+  async renderAnimation(pythonFilePath, outputDir = null, maxRetries = 2, renderSettings = null, sceneName = null) {
+    const settings = renderSettings || resolveRenderSettings();
+    const startTime = Date.now();
     let attempts = 0;
     let lastError = null;
 
     while (attempts < maxRetries) {
+      throwIfJobCancelled();
+      let workspace = null;
+
       try {
         const animationOutputDir = outputDir || process.env.ANIMATION_OUTPUT_DIR || "public/animations";
         const fullOutputDir = path.join(process.cwd(), animationOutputDir);
@@ -1008,33 +1512,58 @@ class ManimAgent {
         }
 
         // Extract class name from Python file
-        const className = this._extractClassName(pythonFilePath);
+        const className = this._extractClassName(pythonFilePath, sceneName);
 
-        // Clean media directory before rendering to avoid confusion
-        await this.cleanupMediaFolder();
+        // Render into an isolated scratch directory so concurrent renders never collide
+        workspace = createRenderWorkspace();
+        trackJobFile(workspace.dir);
+
+        reportProgress('render-started', {
+          className,
+          attempt: attempts + 1,
+          maxRetries,
+          renderSettings: describeRenderSettings(settings)
+        });
 
         // Execute Manim command
-        const { stdout, stderr } = await this._executeManimCommand(pythonFilePath, className, attempts, maxRetries);
+        const { stdout, stderr } = await this._executeManimCommand(pythonFilePath, className, attempts, maxRetries, workspace.mediaDir, settings);
 
         // Search for generated video file
-        const foundVideoPath = await this._findGeneratedVideo(pythonFilePath, className);
+        const foundVideoPath = await this._findGeneratedVideo(
+          pythonFilePath,
+          className,
+          workspace.mediaDir,
+          getQualityDirName(settings),
+          settings.extension
+        );
         
         if (!foundVideoPath) {
           const baseFileName = path.basename(pythonFilePath, ".py");
-          this._logVideoNotFoundDebug(className, baseFileName);
-          throw new Error(`No video file was generated by Manim. Class: ${className}, Base: ${baseFileName}`);
+          this._logVideoNotFoundDebug(className, baseFileName, workspace.mediaDir);
+          throw new Error(`No ${settings.format} file was generated by Manim. Class: ${className}, Base: ${baseFileName}`);
         }
 
         // Move/copy video to final output directory
-        const { finalVideoName } = this._finalizeVideo(foundVideoPath, className, fullOutputDir);
+        const { finalVideoName, finalVideoPath } = this._finalizeVideo(foundVideoPath, className, fullOutputDir);
+        reportProgress('video-finalized', {
+          videoPath: `/animations/${finalVideoName}`,
+          videoFileName: finalVideoName
+        });
 
-        // Clean up media folder after successful rendering
-        await this.cleanupMediaFolder();
+        const { posterPath, previewPath } = await this._createThumbnails(finalVideoPath, finalVideoName, settings);
+        this.performanceMonitor.addMetric('render.success', 1);
 
         return {
           success: true,
           videoPath: `/animations/${finalVideoName}`,
           videoFileName: finalVideoName,
+          posterPath,
+          previewPath,
+          format: settings.format,
+          contentType: settings.contentType,
+          className,
+          renderSettings: describeRenderSettings(settings),
+          renderDurationMs: Date.now() - startTime,
           stdout,
           stderr,
           attempts: attempts + 1,
@@ -1042,43 +1571,94 @@ class ManimAgent {
       } catch (error) {
         attempts++;
         lastError = error;
-        console.error(`Rendering attempt ${attempts} failed:`, error.message);
+        log.error(`Rendering attempt ${attempts} failed:`, error.message);
 
-        if (attempts < maxRetries) {
-          console.log(`Retrying rendering in 2 seconds... (${attempts}/${maxRetries})`);
-          await new Promise((resolve) => setTimeout(resolve, 2000));
+        // The same code would trip the sandbox again, and would still lack the scene
+        if (error instanceof SandboxViolationError || error instanceof SceneNotFoundError || error instanceof JobCancelledError) {
+          this.performanceMonitor.addMetric('render.failure', 1);
+          throw error;
+        }
+      } finally {
+        // Only this render's scratch directory is removed
+        if (workspace) {
+          removeRenderWorkspace(workspace.dir);
         }
       }
+
+      if (attempts < maxRetries) {
+        log.info(`Retrying rendering in 2 seconds... (${attempts}/${maxRetries})`);
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+      }
     }
     
-    throw new Error(`Failed to render animation after ${maxRetries} attempts: ${lastError.message}`);
+    this.performanceMonitor.addMetric('render.failure', 1);
+    throw new ManimRenderError(`Failed to render animation after ${maxRetries} attempts: ${lastError.message}`, {
+      pythonError: this._locatePythonError(lastError, pythonFilePath),
+    });
   }
 
+  /**
+   * Test, fix and render code, improving it once if rendering fails
+   *
+   * options.renderSettings - resolved quality/resolution/fps (see utils/renderSettings.js)
+   * options.sceneName      - Scene subclass to render (default: the first one in the code)
+   * options.fixPolicyViolations - send policy violations to the LLM fixer instead of failing
+   * The remaining options ({ prompt, source, generation, fixHistory }) are stored with the animation catalog record
+   */
   async renderAnimationWithErrorHandling(
     code,
     sessionId = "default",
-    maxRetries = 3
+    maxRetries = 3,
+    options = {}
   ) {
+    const { renderSettings = null, sceneName = null, fixPolicyViolations = false, ...catalogInfo } = options;
+    const testOptions = { fixPolicyViolations };
+    const fixHistory = [...(catalogInfo.fixHistory || [])];
+
+    // Identical code and settings were rendered before, possibly after fixing: skip testing and rendering
+    const sourceCacheKey = this._renderCacheKey(code, renderSettings || resolveRenderSettings(), sceneName);
+    const cached = this._lookupRenderCache(sourceCacheKey);
+    if (cached) {
+      return this._reuseCachedRender(cached, code, sessionId, { ...catalogInfo, sourceCacheKey });
+    }
+
     try {
       // First, test if the code compiles
-      const testResult = await this.testManimCode(code);
+      const testResult = await this.testManimCode(code, testOptions);
+
+      if (testResult.sandboxViolations) {
+        throw new SandboxViolationError(testResult.error, { violations: testResult.sandboxViolations });
+      }
 
       if (!testResult.success) {
-        console.log("Code has compilation errors, attempting to fix...");
+        log.info("Code has compilation errors, attempting to fix...");
         const fixResult = await this.fixManimCode(
           code,
           testResult.error,
           sessionId,
-          2
+          2,
+          testResult.pythonError,
+          testOptions
         );
 
         if (!fixResult.success) {
-          throw new Error(`Code compilation failed: ${fixResult.finalError}`);
+          throw new ManimCodeError(`Code compilation failed: ${fixResult.finalError}`, { pythonError: testResult.pythonError });
         }
 
+        fixHistory.push({
+          stage: "compile",
+          error: testResult.error,
+          fixType: fixResult.fixType || "ai",
+          attempts: fixResult.attempts,
+        });
         code = fixResult.code;
-        console.log("Code fixed successfully, proceeding with rendering...");
-      }      // Save the (possibly fixed) code
+        log.info("Code fixed successfully, proceeding with rendering...");
+      }      // Fixed code comes from the LLM, so re-check it before it runs
+      if (!testResult.success) {
+        await this._enforceCodePolicy(code);
+      }
+
+      // Save the (possibly fixed) code
       const filename = generateTempFilename("animation", ".py");
       const filePath = await this.savePythonFile(code, filename);
       // Attempt to render
@@ -1086,7 +1666,9 @@ class ManimAgent {
         const renderResult = await this.renderAnimation(
           filePath,
           null,
-          maxRetries
+          maxRetries,
+          renderSettings,
+          this._sceneInCode(code, sceneName)
         );
 
         // Add successful render to session context
@@ -1098,17 +1680,38 @@ class ManimAgent {
         // Cleanup Python file and temp files
         await this.cleanup(filePath);
         await this.cleanupTempFiles();
+
+        const animation = this._catalogAnimation(renderResult, {
+          ...catalogInfo,
+          code,
+          sourceCacheKey,
+          sessionId,
+          fixHistory,
+          wasCodeFixed: !testResult.success,
+          wasImproved: false,
+        });
+
         return {
           success: true,
           ...renderResult,
+          animationId: animation?.id || null,
           code: code,
           wasCodeFixed: !testResult.success,
           sessionId: sessionId,
         };
       } catch (renderError) {
+        // Code that tripped the sandbox or lacks the scene is not sent back for improvement, nor is a cancelled render
+        if (renderError instanceof SandboxViolationError || renderError instanceof SceneNotFoundError || renderError instanceof JobCancelledError) {
+          await this.cleanup(filePath);
+          await this.cleanupTempFiles();
+          throw renderError;
+        }
+
         // If rendering fails, it might be a code logic issue
-        console.log("Rendering failed, attempting to improve code...");
-        console.log("Render error:", renderError.message);
+        log.info("Rendering failed, attempting to improve code...");
+        log.info("Render error:", renderError.message);
+        // The job leaves the rendering state for the LLM call, so a shutdown drain does not wait for it
+        reportProgress("improve-started", { error: renderError.message });
 
         try {
           const session = this.getOrCreateSession(sessionId);
@@ -1119,17 +1722,14 @@ class ManimAgent {
             throw new Error("Empty improvement prompt generated");
           }
 
-          console.log(
-            "Sending improvement prompt:",
-            improvePrompt.substring(0, 100) + "..."
-          );
-          const result = await session.chat.sendMessage(improvePrompt);
-          const response = await result.response;
-          const improvedCode = this.extractPythonCode(response.text());
+          log.debug("Sending improvement prompt:", improvePrompt.substring(0, 100) + "...");
+          const response = await session.chat.sendMessage(improvePrompt, { signal: getJobSignal() });
+          const improvedCode = this.extractPythonCode(response);
 
           if (!improvedCode || improvedCode.trim().length === 0) {
             throw new Error("Empty improved code received");
           }          // Try rendering the improved code
+          await this._enforceCodePolicy(improvedCode);
           const improvedFilePath = await this.savePythonFile(
             improvedCode,
             generateTempFilename("improved", ".py")
@@ -1137,7 +1737,9 @@ class ManimAgent {
           const improvedResult = await this.renderAnimation(
             improvedFilePath,
             null,
-            1
+            1,
+            renderSettings,
+            this._sceneInCode(improvedCode, sceneName)
           );
 
           // Add improvement context
@@ -1145,37 +1747,100 @@ class ManimAgent {
             type: "assistant",
             content: `Improved and successfully rendered animation after initial failure`,
           });
+          this.recordCodeVersion(sessionId, improvedCode, "improve", { error: renderError.message });
 
           // Cleanup both files and temp files
           await this.cleanup(filePath);
           await this.cleanup(improvedFilePath);
           await this.cleanupTempFiles();
 
+          const animation = this._catalogAnimation(improvedResult, {
+            ...catalogInfo,
+            code: improvedCode,
+            sourceCacheKey,
+            sessionId,
+            fixHistory: [...fixHistory, { stage: "render", error: renderError.message, fixType: "improve", attempts: 1 }],
+            wasCodeFixed: true,
+            wasImproved: true,
+          });
+
           return {
             success: true,
             ...improvedResult,
+            animationId: animation?.id || null,
             code: improvedCode,
             wasCodeFixed: true,
             wasImproved: true,
             sessionId: sessionId,
           };
         } catch (improveError) {
-          console.error("Failed to improve code:", improveError.message);
+          if (isCodePolicyError(improveError)) {
+            await this.cleanup(filePath);
+            await this.cleanupTempFiles();
+            throw improveError;
+          }
+          log.error("Failed to improve code:", improveError.message);
 
           // If improvement fails, return the original render error
           await this.cleanup(filePath);
           await this.cleanupTempFiles();
 
-          throw new Error(
-            `Rendering failed: ${renderError.message}. Code improvement also failed: ${improveError.message}`
+          // Lines of a render error only match the submitted code when it was rendered unchanged
+          throw new ManimRenderError(
+            `Rendering failed: ${renderError.message}. Code improvement also failed: ${improveError.message}`,
+            { pythonError: testResult.success ? renderError.details?.pythonError || null : null }
           );
         }
       }
     } catch (error) {
-      throw new Error(
-        `Failed to render animation with error handling: ${error.message}`
-      );
+      // Policy, sandbox and scene selection errors keep their own error category
+      if (isCodePolicyError(error) || error instanceof SandboxViolationError || error instanceof SceneNotFoundError) {
+        throw error;
+      }
+      throwIfJobCancelled();
+      const message = `Failed to render animation with error handling: ${error.message}`;
+      // Clients can point at the failing line of the code they submitted
+      if (error.details?.pythonError) {
+        throw new ManimCodeError(message, { pythonError: error.details.pythonError });
+      }
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Render several scenes of the same code, one artifact each, in order
+   *
+   * Code fixed or improved while rendering one scene is used for the following ones.
+   * Takes the options of renderAnimationWithErrorHandling, with `scenes` instead of `sceneName`.
+   */
+  async renderScenesWithErrorHandling(code, sessionId = "default", maxRetries = 3, options = {}) {
+    const { scenes, ...renderOptions } = options;
+    const results = [];
+    let currentCode = code;
+
+    for (const sceneName of scenes) {
+      throwIfJobCancelled();
+      reportProgress("scene-started", { sceneName, index: results.length + 1, total: scenes.length });
+      const result = await this.renderAnimationWithErrorHandling(currentCode, sessionId, maxRetries, {
+        ...renderOptions,
+        sceneName,
+      });
+      results.push(result);
+      currentCode = result.code;
     }
+
+    return results;
+  }
+
+  /**
+   * The requested scene when the code still defines it (LLM fixes may rename classes), else the default
+   */
+  _sceneInCode(code, sceneName) {
+    if (!sceneName || listScenes(code).some(scene => scene.name === sceneName)) {
+      return sceneName;
+    }
+    log.warn(`Scene ${sceneName} is no longer defined after fixing the code, rendering the first scene instead`);
+    return null;
   }
 
  async improveManimCode(code, feedback, sessionId = 'default') {
@@ -1196,11 +1861,11 @@ class ManimAgent {
                 throw new Error('Empty contextual prompt generated');
             }
 
-            console.log('Sending contextual improvement prompt, length:', contextualPrompt.length);
-            const response = await session.chat.sendMessage(contextualPrompt);
-            improvedCode = this.extractPythonCode(response.text());
+            log.debug('Sending contextual improvement prompt', { promptLength: contextualPrompt.length });
+            const response = await session.chat.sendMessage(contextualPrompt, { signal: getJobSignal() });
+            improvedCode = this.extractPythonCode(response);
         } catch (sessionError) {
-            console.log('Session-based improvement failed, using single-shot model:', sessionError.message);            // Fallback to single-shot improvement
+            log.info('Session-based improvement failed, using single-shot model:', sessionError.message);            // Fallback to single-shot improvement
             const improvePrompt = `${MANIM_SYSTEM_PROMPT}\n\nImprove the following Manim code based on this feedback: ${feedback}\n\nOriginal code:\n${code}\n\nProvide only the improved code:`;
 
             // Validate fallback prompt is not empty
@@ -1208,13 +1873,13 @@ class ManimAgent {
                 throw new Error('Empty fallback improvement prompt generated');
             }
 
-            console.log('Sending fallback improvement prompt, length:', improvePrompt.length);
-            const result = await this.genai.models.generateContentInternal({
-              model: this.modelConfig.model,
-              generationConfig: this.modelConfig.generationConfig,
-              contents: [{ parts: [{ text: improvePrompt }] }],
-            });
-            improvedCode = this.extractPythonCode(result.text || result.candidates?.[0]?.content?.parts?.[0]?.text || "");
+            log.debug('Sending fallback improvement prompt', { promptLength: improvePrompt.length });
+            const result = await this._generateSingleShot(sessionId, improvePrompt);
+            improvedCode = this.extractPythonCode(result);
+        }
+
+        if (improvedCode !== code) {
+            this.recordCodeVersion(sessionId, improvedCode, 'improve', { feedback });
         }
 
         // Add improvement to context if session exists
@@ -1224,12 +1889,12 @@ class ManimAgent {
                 content: `Improved code based on feedback: ${feedback.substring(0, 100)}...`
             });
         } catch (contextError) {
-            console.warn('Failed to add context, but improvement succeeded:', contextError.message);
+            log.warn('Failed to add context, but improvement succeeded:', contextError.message);
         }
 
         return improvedCode;
     } catch (error) {
-        console.warn('Failed to improve code, returning original:', error.message);
+        log.warn('Failed to improve code, returning original:', error.message);
         return code;
     }
 }
@@ -1247,18 +1912,126 @@ class ManimAgent {
         exists: true,
         lastActivity: new Date(session.lastActivity),
         codeHistory: session.context.previousCodes.length,
+        codeVersions: session.context.codeVersions.length,
+        currentVersionId: session.context.currentVersionId,
         errorHistory: session.context.previousErrors.length,
         conversationLength: session.context.conversationHistory.length,
-        userPreferences: Object.keys(session.context.userPreferences)
+        userPreferences: Object.keys(session.context.userPreferences),
+        llm: session.llm
     };
 }
 
+  /**
+   * Store a code version in the session history and make it current
+   * Returns the current version (the existing one when the code is unchanged)
+   */
+  recordCodeVersion(sessionId, code, reason, details = {}) {
+    if (!code) return null;
+
+    const session = this.getOrCreateSession(sessionId);
+    const version = addVersion(session.context, code, reason, details, PROMPT_CONFIG.MAX_CODE_VERSIONS);
+    this._markSessionDirty(sessionId);
+    return version;
+  }
+
+  /**
+   * Record the code of a successful fix and return the fix result with its version ID
+   */
+  _recordFixVersion(sessionId, fixResult) {
+    const version = this.recordCodeVersion(sessionId, fixResult.code, "fix", {
+      fixType: fixResult.fixType || "ai",
+      error: fixResult.originalError,
+    });
+    return { ...fixResult, versionId: version?.id || null };
+  }
+
+  /**
+   * Code versions of a session without their code, oldest first (null for unknown sessions)
+   */
+  listCodeVersions(sessionId) {
+    const session = this.chatSessions.get(sessionId);
+    if (!session) return null;
+
+    const { context } = session;
+    return {
+      currentVersionId: context.currentVersionId,
+      forkedFrom: context.forkedFrom || null,
+      versions: context.codeVersions.map(version => summarizeVersion(version, context)),
+    };
+  }
+
+  /**
+   * A code version with its code, or null
+   */
+  getCodeVersion(sessionId, versionId) {
+    const session = this.chatSessions.get(sessionId);
+    return session ? findVersion(session.context, versionId) : null;
+  }
+
+  /**
+   * Unified diff between two versions of a session
+   * `toId` defaults to the current version and `fromId` to the parent of `toId`;
+   * returns null when the session or a version is unknown
+   */
+  diffCodeVersions(sessionId, fromId = null, toId = null) {
+    const session = this.chatSessions.get(sessionId);
+    if (!session) return null;
+
+    const to = toId ? findVersion(session.context, toId) : getCurrentVersion(session.context);
+    const fromVersionId = fromId || to?.parentId;
+    const from = fromVersionId ? findVersion(session.context, fromVersionId) : null;
+    if (!to || !from) return null;
+
+    return {
+      from: from.id,
+      to: to.id,
+      ...createUnifiedDiff(from.code, to.code, { oldLabel: `${from.id}/scene.py`, newLabel: `${to.id}/scene.py` }),
+    };
+  }
+
+  /**
+   * Make an earlier version current again by adding a copy of it as a new "revert" version
+   */
+  revertToVersion(sessionId, versionId) {
+    const target = this.getCodeVersion(sessionId, versionId);
+    if (!target) return null;
+
+    log.info(`Reverting session ${sessionId} to code version ${versionId}`);
+    return this.recordCodeVersion(sessionId, target.code, "revert", { revertedTo: versionId });
+  }
+
+  /**
+   * Start a new session from a version of another one
+   *
+   * The new session gets the LLM selection, preferences and the history up to that
+   * version, with a fresh conversation. Returns its current version, or null when the
+   * source session or version is unknown.
+   */
+  forkSession(sessionId, versionId, newSessionId) {
+    const source = this.chatSessions.get(sessionId);
+    if (!source || !findVersion(source.context, versionId)) return null;
+
+    const session = this.getOrCreateSession(newSessionId);
+    if (source.llm.provider !== session.llm.provider || source.llm.model !== session.llm.model) {
+      this.setSessionLLM(newSessionId, source.llm);
+    }
+    Object.assign(session.context, {
+      userPreferences: { ...source.context.userPreferences },
+      ...forkVersionHistory(source.context, versionId),
+      forkedFrom: { sessionId, versionId },
+    });
+    this._markSessionDirty(newSessionId);
+
+    log.info(`Forked session ${newSessionId} from ${sessionId} at code version ${versionId}`);
+    return getCurrentVersion(session.context);
+  }
+
   /**
    * Set user preferences for a session
    */
   setUserPreference(sessionId, key, value) {
     this.addSessionContext(sessionId, "preference", { key, value });
-    console.log(`Set preference for session ${sessionId}: ${key} = ${value}`);
+    log.info(`Set preference for session ${sessionId}: ${key} = ${value}`);
   }
 
   /**
@@ -1266,8 +2039,8 @@ class ManimAgent {
    */
   clearSession(sessionId = 'default') {
     if (this.chatSessions.has(sessionId)) {
-        this.chatSessions.delete(sessionId);
-        console.log(`Cleared chat session: ${sessionId}`);
+        this._removeSession(sessionId);
+        log.info(`Cleared chat session: ${sessionId}`);
         return true;
     }
     return false;
@@ -1294,10 +2067,10 @@ getActiveSessions() {
     try {
       if (fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
-        console.log("Cleaned up file:", filePath);
+        log.debug("Cleaned up file:", filePath);
       }
     } catch (error) {
-      console.warn("Failed to cleanup file:", error.message);
+      log.warn("Failed to cleanup file:", error.message);
     }
   }
   async cleanupMediaFolder() {
@@ -1331,12 +2104,12 @@ getActiveSessions() {
         
         // Debounced logging for media folder cleanup
         if ((now - this.lastCleanupLog) > this.cleanupLogInterval) {
-          console.log("Media folder cleaned up successfully");
+          log.info("Media folder cleaned up successfully");
           this.lastCleanupLog = now;
         }
       }
     } catch (error) {
-      console.warn("Failed to cleanup media folder:", error.message);
+      log.warn("Failed to cleanup media folder:", error.message);
     }
   }  async cleanupTempFiles() {
     try {
@@ -1345,15 +2118,16 @@ getActiveSessions() {
       
       if (fs.existsSync(tempDir)) {
         const result = await safeFileCleanup(tempDir, 60 * 60 * 1000); // 1 hour
+        cleanupStaleRenderWorkspaces(60 * 60 * 1000); // Workspaces orphaned by crashed renders
         
         // Debounced logging for temp file cleanup
         if (result.cleaned > 0 && (now - this.lastCleanupLog) > this.cleanupLogInterval) {
-          console.log(`Cleaned up ${result.cleaned} temporary files from ${tempDir}`);
+          log.info(`Cleaned up ${result.cleaned} temporary files from ${tempDir}`);
           this.lastCleanupLog = now;
         }
       }
     } catch (error) {
-      console.warn("Failed to cleanup temporary files:", error.message);
+      log.warn("Failed to cleanup temporary files:", error.message);
     }
   }  async checkSystemRequirements() {
     return await checkSystemRequirements();
@@ -1371,8 +2145,11 @@ getActiveSessions() {
       errors: errorSummary,
       sessions: {
         active: this.chatSessions.size,
-        max: this.maxSessions
+        max: this.maxSessions,
+        store: this.sessionStore.getStats()
       },
+      llm: this.getLLMStatus(),
+      codePolicy: getCodePolicyMode(),
       performance: {
         generation: {
           avgDuration: this.performanceMonitor.getMetricStats('generation.duration')?.avg,
@@ -1395,6 +2172,18 @@ getActiveSessions() {
         fallbackSuccess: this.performanceMonitor.getMetricStats('generation.fallback_success', timeRange),
         fallbackFailure: this.performanceMonitor.getMetricStats('generation.fallback_failure', timeRange)
       },
+      render: {
+        duration: this.performanceMonitor.getMetricStats('render.duration', timeRange),
+        success: this.performanceMonitor.getMetricStats('render.success', timeRange),
+        failure: this.performanceMonitor.getMetricStats('render.failure', timeRange),
+        queueWait: this.performanceMonitor.getMetricStats('render.queue_wait', timeRange),
+        pool: getRenderPool().getStats(),
+        cache: {
+          hits: this.performanceMonitor.getMetricStats('render.cache_hit', timeRange)?.count || 0,
+          misses: this.performanceMonitor.getMetricStats('render.cache_miss', timeRange)?.count || 0,
+          store: getRenderCache().getStats()
+        }
+      },
       system: this.performanceMonitor.getHealthStatus(),
       timeRange
     };
@@ -1405,7 +2194,7 @@ getActiveSessions() {
    */
   resetErrorTracking() {
     this.errorAggregator.clear();
-    console.log('Error tracking reset');
+    log.info('Error tracking reset');
   }
 
   /**
@@ -1431,8 +2220,10 @@ getActiveSessions() {
     if (this.performanceMonitor) {
       this.performanceMonitor.stop();
     }
+    // Persist pending changes; stored sessions are rehydrated on the next start
+    this.flushSessions();
     this.chatSessions.clear();
-    console.log('ManimAgent shutdown complete');
+    log.info('ManimAgent shutdown complete');
   }
   
   // Utility methods are now in separate modules
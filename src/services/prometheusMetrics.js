@@ -0,0 +1,94 @@
+/**
+ * Prometheus metrics for GET /metrics, built at scrape time from the agent's
+ * PerformanceMonitor totals, its ErrorAggregator and the job/render services
+ */
+
+import { getManimAgent } from './agentManager.js';
+import { getJobManager, JOB_STATES } from './jobManager.js';
+import { getRenderPool } from './renderPool.js';
+import { getRenderCache } from './renderCache.js';
+import { PrometheusWriter } from '../utils/prometheusUtils.js';
+
+const METRIC_PREFIX = 'taxim_';
+
+/**
+ * Histogram of a millisecond duration metric, exposed in seconds
+ */
+function writeDurationHistogram(writer, monitor, metricName, name, help) {
+  const totals = monitor.getTotals(metricName);
+  writer.histogram(name, help, {
+    buckets: monitor.histogramBuckets.map(bound => bound / 1000),
+    counts: totals.buckets,
+    sum: totals.sum / 1000,
+    count: totals.count
+  });
+}
+
+const outcomeSamples = (monitor, prefix, outcomes) => outcomes.map(outcome => ({
+  labels: { outcome },
+  value: monitor.getTotals(`${prefix}.${outcome}`).count
+}));
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ */
+export function collectPrometheusMetrics() {
+  const agent = getManimAgent();
+  const monitor = agent.performanceMonitor;
+  // A scrape reads the system metrics without adding samples to the monitor's history
+  const system = monitor.readSystemMetrics();
+  const pool = getRenderPool().getStats();
+  const cache = getRenderCache().getStats();
+  const jobs = getJobManager().getStats();
+  const writer = new PrometheusWriter(METRIC_PREFIX);
+
+  writeDurationHistogram(writer, monitor, 'generation.duration',
+    'generation_duration_seconds', 'Time spent generating Manim code with the LLM');
+  writeDurationHistogram(writer, monitor, 'render.duration',
+    'render_duration_seconds', 'Time spent running Manim for one render attempt');
+  writeDurationHistogram(writer, monitor, 'render.queue_wait',
+    'render_queue_wait_seconds', 'Time renders waited for a free render slot');
+
+  writer.counter('generations_total', 'Code generations by outcome',
+    outcomeSamples(monitor, 'generation', ['success', 'failure', 'fallback_success', 'fallback_failure']));
+  writer.counter('renders_total', 'Renders by outcome (after retries)',
+    outcomeSamples(monitor, 'render', ['success', 'failure']));
+  writer.counter('render_cache_lookups_total', 'Render cache lookups by result', [
+    { labels: { result: 'hit' }, value: cache.hits },
+    { labels: { result: 'miss' }, value: cache.misses }
+  ]);
+
+  writer.counter('fix_attempts_total', 'Attempts to fix failing code, by error category',
+    agent.errorAggregator.getCategoryTotals('fixManimCode')
+      .map(({ category, count }) => ({ labels: { category }, value: count })));
+  writer.counter('errors_total', 'Errors recorded by the error aggregator, by operation and category',
+    agent.errorAggregator.getCategoryTotals()
+      .map(({ operation, category, count }) => ({ labels: { operation, category }, value: count })));
+
+  writer.gauge('active_sessions', 'Conversation sessions held in memory', agent.getActiveSessions().length);
+  writer.gauge('max_sessions', 'Maximum number of conversation sessions', agent.maxSessions);
+  writer.gauge('render_queue_depth', 'Renders waiting for a free render slot', pool.queued);
+  writer.gauge('renders_in_progress', 'Renders currently running', pool.active);
+  writer.gauge('render_slots', 'Maximum number of concurrent renders', pool.maxConcurrent);
+  writer.gauge('render_cache_entries', 'Renders stored in the render cache', cache.entries);
+  writer.gauge('jobs', 'Tracked jobs by state', Object.values(JOB_STATES).map(state => ({
+    labels: { state },
+    value: jobs.byState[state] || 0
+  })));
+
+  writer.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', system.processMemory.rss);
+  writer.gauge('process_heap_used_bytes', 'V8 heap used in bytes', system.processMemory.heapUsed);
+  writer.gauge('process_heap_total_bytes', 'V8 heap size in bytes', system.processMemory.heapTotal);
+  writer.counter('process_cpu_seconds_total', 'Process CPU time in seconds by mode', [
+    { labels: { mode: 'user' }, value: system.processCpu.user },
+    { labels: { mode: 'system' }, value: system.processCpu.system }
+  ]);
+  writer.gauge('process_uptime_seconds', 'Seconds since the process started', process.uptime());
+  writer.gauge('system_cpu_usage_ratio', 'Host CPU usage (0-1)', system.cpuUsage);
+  writer.gauge('system_memory_usage_ratio', 'Host memory usage (0-1)', system.memUsage);
+  if (system.load) {
+    writer.gauge('system_load1', 'Host 1-minute load average', system.load.load1);
+  }
+
+  return writer.toString();
+}
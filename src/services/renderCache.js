@@ -0,0 +1,140 @@
+/**
+ * Content-addressed render cache
+ *
+ * Renders are keyed by a hash of the normalized code, scene class, quality
+ * (preset, resolution, fps) and output format. A hit reuses the existing video
+ * without testing or rendering the code again. A render of code that was fixed
+ * or improved first is also keyed by the submitted code (sourceCacheKey), so
+ * submitting that code again skips the fixing too.
+ *
+ * Keys are stored on animation catalog records, so the cache is rebuilt on
+ * startup and follows the catalog: once the cleanup scheduler deletes a video,
+ * evictMissing() drops its entry. Hits refresh the video's modification time,
+ * so frequently reused renders outlive the age-based cleanup.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getAnimationCatalog } from './animationCatalog.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('renderCache');
+
+export const renderCacheEnabled = () => process.env.RENDER_CACHE_ENABLED !== 'false';
+
+/**
+ * Normalize code so that line endings and trailing whitespace do not change the key
+ */
+export function normalizeCode(code) {
+  return code
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+export function computeRenderCacheKey(code, className, settings) {
+  const { quality, width, height, fps, format } = settings;
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ code: normalizeCode(code), className, quality, width, height, fps, format }))
+    .digest('hex');
+}
+
+export class RenderCache {
+  constructor(catalog = getAnimationCatalog()) {
+    this.catalog = catalog;
+    this.entries = new Map(); // cache key -> catalog record ID
+    this.hits = 0;
+    this.misses = 0;
+
+    // Oldest first, so the newest record for a key wins
+    const records = Array.from(catalog.records.values())
+      .filter(record => record.cacheKey)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const record of records) {
+      this.store(record);
+    }
+  }
+
+  _videoFile(record) {
+    return path.join(this.catalog.outputDir, record.videoFileName);
+  }
+
+  /**
+   * Return the catalog record rendered for a key, or null on a miss
+   */
+  lookup(key) {
+    const record = this.catalog.get(this.entries.get(key));
+
+    if (!record || !fs.existsSync(this._videoFile(record))) {
+      this.entries.delete(key);
+      this.misses++;
+      return null;
+    }
+
+    try {
+      const now = new Date();
+      fs.utimesSync(this._videoFile(record), now, now);
+    } catch (error) {
+      log.warn(`Could not refresh cached video ${record.videoFileName}:`, error.message);
+    }
+
+    this.hits++;
+    return record;
+  }
+
+  /**
+   * Remember a cataloged render under its cacheKey and sourceCacheKey
+   */
+  store(record) {
+    for (const key of [record?.cacheKey, record?.sourceCacheKey]) {
+      if (key) {
+        this.entries.set(key, record.id);
+      }
+    }
+  }
+
+  /**
+   * Drop entries whose catalog record or video is gone (run by the cleanup scheduler)
+   */
+  evictMissing() {
+    let evicted = 0;
+
+    for (const [key, recordId] of this.entries) {
+      const record = this.catalog.get(recordId);
+      if (!record || !fs.existsSync(this._videoFile(record))) {
+        this.entries.delete(key);
+        evicted++;
+      }
+    }
+
+    return evicted;
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: renderCacheEnabled(),
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? (this.hits / lookups) * 100 : null
+    };
+  }
+}
+
+// Singleton instance
+let renderCacheInstance = null;
+
+/**
+ * Get or create the shared RenderCache instance
+ */
+export function getRenderCache() {
+  if (!renderCacheInstance) {
+    renderCacheInstance = new RenderCache();
+  }
+  return renderCacheInstance;
+}
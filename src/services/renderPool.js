@@ -0,0 +1,170 @@
+/**
+ * Bounded pool limiting how many Manim renders run at once, with a FIFO wait queue
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('renderPool');
+
+export class RenderPool extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxConcurrent = Math.max(1, options.maxConcurrent || parseInt(process.env.MAX_CONCURRENT_RENDERS) || 2);
+    this.active = new Map();
+    this.queue = [];
+    this.paused = false;
+
+    // Rolling statistics
+    this.totalRuns = 0;
+    this.recentWaits = [];
+    this.maxRecentWaits = 100;
+  }
+
+  /**
+   * Run a task once a render slot is free; `task` receives the time spent waiting in ms
+   *
+   * meta.jobId   - job the render belongs to (for queue position lookups)
+   * meta.onQueued - called with the 1-based queue position when the task has to wait
+   * meta.signal   - AbortSignal; aborting it while the task waits removes it from the queue
+   */
+  async run(task, meta = {}) {
+    const slot = await this._acquire(meta);
+
+    try {
+      return await task(slot.waitMs);
+    } finally {
+      this._release(slot.id);
+    }
+  }
+
+  _acquire(meta) {
+    if (meta.signal?.aborted) {
+      return Promise.reject(meta.signal.reason);
+    }
+
+    const entry = {
+      id: uuidv4(),
+      jobId: meta.jobId || null,
+      enqueuedAt: Date.now()
+    };
+
+    if (!this.paused && this.active.size < this.maxConcurrent) {
+      return Promise.resolve(this._activate(entry));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.queue = this.queue.filter(queued => queued !== entry);
+        log.info(`Render left the queue: ${meta.signal.reason?.message || 'aborted'}`);
+        reject(meta.signal.reason);
+      };
+
+      entry.resolve = (slot) => {
+        meta.signal?.removeEventListener('abort', onAbort);
+        resolve(slot);
+      };
+      entry.reject = (error) => {
+        meta.signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      meta.signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(entry);
+
+      const position = this.queue.length;
+      log.info(`Render queued at position ${position} (${this.active.size}/${this.maxConcurrent} slots busy)`);
+      this.emit('queued', { id: entry.id, jobId: entry.jobId, position });
+
+      if (typeof meta.onQueued === 'function') {
+        meta.onQueued(position);
+      }
+    });
+  }
+
+  _activate(entry) {
+    const waitMs = Date.now() - entry.enqueuedAt;
+
+    this.active.set(entry.id, { jobId: entry.jobId, startedAt: Date.now() });
+    this.totalRuns++;
+    this.recentWaits.push(waitMs);
+    if (this.recentWaits.length > this.maxRecentWaits) {
+      this.recentWaits.shift();
+    }
+
+    this.emit('started', { id: entry.id, jobId: entry.jobId, waitMs });
+    return { id: entry.id, waitMs };
+  }
+
+  _release(id) {
+    this.active.delete(id);
+    this.emit('released', { id });
+
+    // Hand the freed slot to the next waiter in FIFO order
+    while (!this.paused && this.queue.length > 0 && this.active.size < this.maxConcurrent) {
+      const next = this.queue.shift();
+      next.resolve(this._activate(next));
+    }
+  }
+
+  /**
+   * Stop starting renders; running ones finish and new or waiting ones stay queued
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Fail every waiting render with `error`; returns how many were waiting
+   */
+  rejectQueued(error) {
+    const waiting = this.queue;
+    this.queue = [];
+    waiting.forEach(entry => entry.reject(error));
+    return waiting.length;
+  }
+
+  /**
+   * Queue position (1-based) and time waited so far for a job, or null if it is not waiting
+   */
+  getQueueInfo(jobId) {
+    const index = this.queue.findIndex(entry => entry.jobId === jobId);
+    if (index === -1) return null;
+
+    return {
+      position: index + 1,
+      waitMs: Date.now() - this.queue[index].enqueuedAt
+    };
+  }
+
+  getStats() {
+    const now = Date.now();
+    const waits = this.recentWaits;
+    const avgWaitMs = waits.length > 0 ? waits.reduce((a, b) => a + b, 0) / waits.length : 0;
+
+    return {
+      maxConcurrent: this.maxConcurrent,
+      paused: this.paused,
+      active: this.active.size,
+      queued: this.queue.length,
+      totalRuns: this.totalRuns,
+      avgWaitMs: Math.round(avgWaitMs),
+      maxWaitMs: waits.length > 0 ? Math.max(...waits) : 0,
+      oldestQueuedMs: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0
+    };
+  }
+}
+
+// Singleton instance
+let renderPoolInstance = null;
+
+/**
+ * Get or create the shared RenderPool instance
+ */
+export function getRenderPool() {
+  if (!renderPoolInstance) {
+    renderPoolInstance = new RenderPool();
+    log.info(`Render pool initialized (max ${renderPoolInstance.maxConcurrent} concurrent renders)`);
+  }
+  return renderPoolInstance;
+}
@@ -0,0 +1,128 @@
+/**
+ * Session storage backends for ManimAgent conversation sessions
+ *
+ * Stores hold plain session records:
+ *   { id, llm, createdAt, lastActivity, context, chatHistory: [{ role, content }] }
+ * The agent keeps live sessions in memory and writes records through the store,
+ * so a restart can rehydrate them and rebuild each chat from its stored turns.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('sessionStore');
+
+export const SESSION_STORE_TYPES = ['memory', 'file'];
+
+/**
+ * Base store interface; the in-memory store keeps nothing across restarts
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.type = 'memory';
+  }
+
+  /**
+   * Return every stored session record
+   */
+  loadAll() {
+    return [];
+  }
+
+  save(record) {}
+
+  delete(sessionId) {}
+
+  getStats() {
+    return { type: this.type };
+  }
+}
+
+/**
+ * One JSON file per session, written atomically (temp file + rename)
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor(directory) {
+    super();
+    this.type = 'file';
+    this.directory = path.resolve(directory);
+    this.writeErrors = 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  _filePath(sessionId) {
+    // Session IDs come from clients, so hash them into safe file names
+    const hash = crypto.createHash('sha1').update(String(sessionId)).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  loadAll() {
+    const records = [];
+
+    for (const file of fs.readdirSync(this.directory)) {
+      if (!file.endsWith('.json')) continue;
+
+      const filePath = path.join(this.directory, file);
+      try {
+        const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (record && record.id) {
+          records.push(record);
+        }
+      } catch (error) {
+        log.warn(`Skipping unreadable session file ${file}:`, error.message);
+      }
+    }
+
+    return records;
+  }
+
+  save(record) {
+    const filePath = this._filePath(record.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(record));
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      this.writeErrors++;
+      log.warn(`Failed to persist session ${record.id}:`, error.message);
+      try {
+        fs.rmSync(tempPath, { force: true });
+      } catch {
+        // Nothing else to clean up
+      }
+    }
+  }
+
+  delete(sessionId) {
+    try {
+      fs.rmSync(this._filePath(sessionId), { force: true });
+    } catch (error) {
+      log.warn(`Failed to delete stored session ${sessionId}:`, error.message);
+    }
+  }
+
+  getStats() {
+    return { type: this.type, directory: this.directory, writeErrors: this.writeErrors };
+  }
+}
+
+/**
+ * Create the configured store (SESSION_STORE / SESSION_STORE_DIR)
+ * Defaults to the file store, except under NODE_ENV=test
+ */
+export function createSessionStore(type = process.env.SESSION_STORE) {
+  const storeType = (type || (process.env.NODE_ENV === 'test' ? 'memory' : 'file')).toLowerCase();
+
+  switch (storeType) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(path.resolve(process.env.SESSION_STORE_DIR || 'data/sessions'));
+    default:
+      throw new Error(`Unknown session store '${storeType}' (available: ${SESSION_STORE_TYPES.join(', ')})`);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Graceful shutdown: stop taking work, let running renders finish, then save and release everything else
+ */
+
+import { getJobManager, JOB_STATES } from './jobManager.js';
+import { getRenderPool } from './renderPool.js';
+import { flushAgentSessions, shutdownAgent } from './agentManager.js';
+import { stopCleanupScheduler } from './startup.js';
+import { ServiceUnavailableError } from '../utils/errorUtils.js';
+import { killRunningProcesses } from '../utils/processRunner.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('shutdown');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class ShutdownCoordinator {
+  constructor(options = {}) {
+    // How long running renders get to finish; keep it below the platform's kill timeout
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
+    // Time for cancelled pipelines to unwind and for open connections to close
+    this.graceMs = options.graceMs || 3000;
+    this.shuttingDown = false;
+    this.completion = null;
+  }
+
+  isShuttingDown() {
+    return this.shuttingDown;
+  }
+
+  /**
+   * Run the shutdown once; later calls return the same promise
+   *
+   * 1. Fail readiness, refuse new jobs and stop starting renders
+   * 2. Wait up to timeoutMs for running renders
+   * 3. Save unfinished jobs (resumed on the next start) and sessions
+   * 4. Kill the processes still running (manim, ffmpeg, ...)
+   * 5. Stop the performance monitor, the cleanup scheduler and then the HTTP server
+   */
+  shutdown({ server, signal = 'shutdown' } = {}) {
+    if (!this.completion) {
+      this.shuttingDown = true;
+      this.completion = this._run(server, signal);
+    }
+    return this.completion;
+  }
+
+  async _run(server, signal) {
+    const startedAt = Date.now();
+    const jobManager = getJobManager();
+    const renderPool = getRenderPool();
+
+    const { active, queued } = renderPool.getStats();
+    log.info(`Shutting down (${signal}): draining ${active} running renders for up to ${this.timeoutMs}ms`, {
+      signal,
+      timeoutMs: this.timeoutMs,
+      active,
+      queued
+    });
+
+    // The server keeps listening while draining: readiness reports 503 and clients can still poll their jobs
+    jobManager.stopAccepting();
+    renderPool.pause();
+
+    const drained = await this._waitForRenders(jobManager, renderPool);
+    if (!drained) {
+      log.warn(`Renders still running after ${this.timeoutMs}ms`, { active: renderPool.getStats().active });
+    }
+
+    const savedJobs = jobManager.suspendUnfinished();
+    flushAgentSessions();
+
+    renderPool.rejectQueued(new ServiceUnavailableError('Server is shutting down'));
+    killRunningProcesses();
+    await jobManager.waitForRuns(this.graceMs);
+
+    shutdownAgent();
+    stopCleanupScheduler();
+
+    if (server) {
+      const serverClosed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections();
+      await Promise.race([serverClosed, sleep(this.graceMs)]);
+      server.closeAllConnections();
+    }
+
+    log.info(`Shutdown complete in ${Date.now() - startedAt}ms`, { drained, savedJobs, durationMs: Date.now() - startedAt });
+    return { drained, savedJobs };
+  }
+
+  /**
+   * Resolve true once no render runs, or false at the deadline
+   * A job counts until it leaves the rendering state, so its video is finalized too
+   * An LLM call improving a failed render moves the job to fixing, so it is not waited for
+   */
+  async _waitForRenders(jobManager, renderPool) {
+    const deadline = Date.now() + this.timeoutMs;
+    const busy = () => renderPool.getStats().active > 0 || jobManager.getStats().byState[JOB_STATES.RENDERING] > 0;
+
+    while (busy()) {
+      if (Date.now() >= deadline) return false;
+      await sleep(100);
+    }
+    return true;
+  }
+}
+
+// Singleton instance
+let shutdownCoordinatorInstance = null;
+
+/**
+ * Get or create the shared ShutdownCoordinator instance
+ */
+export function getShutdownCoordinator() {
+  if (!shutdownCoordinatorInstance) {
+    shutdownCoordinatorInstance = new ShutdownCoordinator();
+  }
+  return shutdownCoordinatorInstance;
+}
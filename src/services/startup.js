@@ -1,5 +1,14 @@
 import { cleanupOldFiles, ensureDirectoryExists } from '../utils/fileUtils.js';
+import { cleanupStaleRenderWorkspaces } from '../utils/fileSearch.js';
+import { getAnimationCatalog, getAnimationRetentionHours } from './animationCatalog.js';
+import { getRenderCache } from './renderCache.js';
+import { cleanupOrphanedThumbnails } from '../utils/thumbnailUtils.js';
 import path from 'path';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('startup');
+
+let cleanupTimer = null;
 
 /**
  * Initialize required directories asynchronously
@@ -11,7 +20,7 @@ export const initializeDirectories = async () => {
     await ensureDirectoryExists(tempDir);
     await ensureDirectoryExists(animationDir);
     
-    console.log('✅ Directories initialized successfully');
+    log.info('Directories initialized', { tempDir, animationDir });
 };
 
 /**
@@ -24,23 +33,48 @@ export const startCleanupScheduler = () => {
     // Parameterize cleanup schedule
     const cleanupInterval = parseInt(process.env.CLEANUP_INTERVAL_MS) || 3600000; // 1 hour default
     
-    setInterval(async () => {
-        console.log('🧹 Starting scheduled cleanup...');
+    cleanupTimer = setInterval(async () => {
+        log.info('Starting scheduled cleanup');
         
         try {
             // Parallelize cleanup operations
             const [tempResult, animationResult] = await Promise.all([
                 cleanupOldFiles(tempDir, 1), // 1 hour for temp files
-                cleanupOldFiles(animationDir, 24) // 24 hours for animations
+                cleanupOldFiles(animationDir, getAnimationRetentionHours()) // 24 hours for animations by default
             ]);
             
-            console.log(`✅ Scheduled cleanup completed - Temp: ${tempResult.cleaned} files, Animations: ${animationResult.cleaned} files`);
+            const workspaceResult = cleanupStaleRenderWorkspaces(60 * 60 * 1000); // 1 hour for render workspaces
+            
+            // Catalog records, render cache entries and thumbnails follow their videos
+            const prunedRecords = getAnimationCatalog().pruneMissing();
+            const evictedCacheEntries = getRenderCache().evictMissing();
+            const thumbnailResult = cleanupOrphanedThumbnails(animationDir);
+            
+            log.info('Scheduled cleanup completed', {
+                tempFiles: tempResult.cleaned,
+                animations: animationResult.cleaned,
+                renderWorkspaces: workspaceResult.cleaned,
+                catalogRecords: prunedRecords,
+                cacheEntries: evictedCacheEntries,
+                thumbnails: thumbnailResult.cleaned
+            });
         } catch (error) {
-            console.error('❌ Cleanup failed:', error.message);
+            log.error('Scheduled cleanup failed', error);
         }
     }, cleanupInterval);
     
-    console.log(`⏰ Cleanup scheduler started (runs every ${Math.round(cleanupInterval / 60000)} minutes)`);
+    log.info(`Cleanup scheduler started (runs every ${Math.round(cleanupInterval / 60000)} minutes)`, { intervalMs: cleanupInterval });
+};
+
+/**
+ * Stop the cleanup scheduler (on shutdown)
+ */
+export const stopCleanupScheduler = () => {
+    if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = null;
+        log.info('Cleanup scheduler stopped');
+    }
 };
 
 /**
@@ -49,14 +83,15 @@ export const startCleanupScheduler = () => {
 export const performInitialCleanup = async () => {
     const tempDir = path.join(process.cwd(), process.env.TEMP_DIR || 'temp');
     
-    console.log('🧹 Performing initial cleanup...');
+    log.info('Performing initial cleanup');
     
     try {
         // Clean any leftover temp files from previous runs
         const result = await cleanupOldFiles(tempDir, 0); // Clean all temp files
+        const workspaceResult = cleanupStaleRenderWorkspaces(0); // No renders are running yet
         
-        console.log(`✅ Initial cleanup completed - Removed ${result.cleaned} temp files`);
+        log.info('Initial cleanup completed', { tempFiles: result.cleaned, renderWorkspaces: workspaceResult.cleaned });
     } catch (error) {
-        console.error('❌ Initial cleanup failed:', error.message);
+        log.error('Initial cleanup failed', error);
     }
 };
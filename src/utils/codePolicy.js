@@ -0,0 +1,144 @@
+/**
+ * Static code-policy checks for Python code before it is compiled or rendered
+ *
+ * The code's AST is inspected by src/python/code_policy.py (parsed, never
+ * executed). Imports outside the Manim allowlist, dangerous builtins, dunder
+ * attribute access and known file/process escape hatches are reported as
+ * structured violations: { rule, message, name, line, column }.
+ *
+ * CODE_POLICY=enforce (default) rejects violating code, "warn" only reports
+ * violations and "off" skips the analysis.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CodePolicyUnavailableError } from './errorUtils.js';
+import { getJobSignal } from './jobContext.js';
+import { runProcess } from './processRunner.js';
+
+const ANALYZER_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'python', 'code_policy.py');
+const ANALYZER_TIMEOUT_MS = 10000;
+
+export const CODE_POLICY_MODES = ['enforce', 'warn', 'off'];
+
+/**
+ * Modules Manim scenes may import (CODE_POLICY_ALLOWED_MODULES adds more)
+ */
+export const ALLOWED_MODULES = [
+  'manim', 'numpy', 'math', 'cmath', 'random', 'itertools', 'functools', 'operator',
+  'colorsys', 'typing', 'dataclasses', 'enum', 'collections', 'fractions', 'decimal',
+  'statistics', 'string', 'copy', 're', 'abc', '__future__'
+];
+
+export const FORBIDDEN_BUILTINS = [
+  'open', 'exec', 'eval', 'compile', '__import__', 'globals', 'locals', 'vars',
+  'getattr', 'setattr', 'delattr', 'input', 'breakpoint', 'memoryview', 'help', 'exit', 'quit'
+];
+
+/**
+ * Module names that are rejected even without an import, since `from manim import *`
+ * or other allowed modules can leak them into the namespace
+ */
+export const FORBIDDEN_MODULE_NAMES = [
+  'os', 'sys', 'subprocess', 'shutil', 'socket', 'pathlib', 'importlib', 'builtins',
+  'ctypes', 'pickle', 'marshal', 'io', 'signal', 'threading', 'multiprocessing',
+  'tempfile', 'glob', 'urllib', 'http', 'requests'
+];
+
+/**
+ * Attributes that read/write files, spawn processes or reach interpreter internals
+ */
+export const FORBIDDEN_ATTRIBUTES = [
+  'system', 'popen', 'spawn', 'fork',
+  'load', 'save', 'savez', 'savez_compressed', 'savetxt', 'loadtxt', 'genfromtxt',
+  'fromfile', 'tofile', 'fromregex', 'memmap', 'ctypeslib', 'DataSource',
+  'f_globals', 'f_locals', 'f_builtins', 'f_back', 'gi_frame', 'gi_code',
+  'cr_frame', 'ag_frame', 'tb_frame', 'co_code'
+];
+
+/**
+ * Dunder names that are safe and common in scenes (super().__init__(), __name__ checks)
+ */
+export const ALLOWED_DUNDERS = ['__init__', '__name__'];
+
+export function getCodePolicyMode() {
+  const mode = (process.env.CODE_POLICY || 'enforce').toLowerCase();
+  return CODE_POLICY_MODES.includes(mode) ? mode : 'enforce';
+}
+
+export function getCodePolicy() {
+  const extraModules = (process.env.CODE_POLICY_ALLOWED_MODULES || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return {
+    allowedModules: [...ALLOWED_MODULES, ...extraModules],
+    forbiddenBuiltins: FORBIDDEN_BUILTINS,
+    forbiddenModuleNames: FORBIDDEN_MODULE_NAMES.filter(name => !extraModules.includes(name)),
+    forbiddenAttributes: FORBIDDEN_ATTRIBUTES,
+    allowedDunders: ALLOWED_DUNDERS
+  };
+}
+
+/**
+ * Run the AST analyzer on code
+ * Resolves to { parsed, violations, syntaxError? }; rejects with CODE_POLICY_UNAVAILABLE
+ * when the analyzer cannot run, or with the cancellation error when the job is cancelled
+ */
+export async function analyzeCode(code) {
+  const fail = (reason) => new CodePolicyUnavailableError(`Code policy analyzer failed: ${reason}`);
+  const signal = getJobSignal();
+
+  let stdout;
+  try {
+    ({ stdout } = await runProcess('python', [ANALYZER_SCRIPT], {
+      input: JSON.stringify({ code, policy: getCodePolicy() }),
+      timeoutMs: ANALYZER_TIMEOUT_MS,
+      signal
+    }));
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (error.timedOut) throw fail(`timed out after ${ANALYZER_TIMEOUT_MS}ms`);
+    throw fail(error.exitCode === undefined
+      ? error.cause?.message || error.message
+      : error.stderr.trim() || `exited with code ${error.exitCode}`);
+  }
+
+  try {
+    return JSON.parse(stdout);
+  } catch (error) {
+    throw fail(`unreadable report (${error.message})`);
+  }
+}
+
+/**
+ * Check code against the configured policy
+ * Returns { mode, allowed, violations, syntaxError }; code that does not parse is
+ * allowed here and left to the compile step, which reports the syntax error
+ */
+export async function checkCodePolicy(code) {
+  const mode = getCodePolicyMode();
+  if (mode === 'off') {
+    return { mode, allowed: true, violations: [], syntaxError: null };
+  }
+
+  const report = await analyzeCode(code);
+  const violations = report.violations || [];
+
+  return {
+    mode,
+    allowed: mode !== 'enforce' || violations.length === 0,
+    violations,
+    syntaxError: report.syntaxError || null
+  };
+}
+
+/**
+ * One line per violation, e.g. "Line 1: Import of module 'os' is not allowed"
+ */
+export function formatPolicyViolations(violations) {
+  return violations
+    .map(violation => `Line ${violation.line ?? '?'}: ${violation.message}`)
+    .join('\n');
+}
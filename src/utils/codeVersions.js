@@ -0,0 +1,89 @@
+/**
+ * Per-session history of code versions
+ *
+ * Each version keeps the full code, the reason it was made and its parent (the
+ * version that was current when it was made), so the history can be listed,
+ * diffed, reverted and forked. The history lives in the session context:
+ *   { codeVersions: [...], currentVersionId, versionCounter }
+ */
+
+/**
+ * Why a version was made: generated by the LLM, fixed after an error, improved
+ * from feedback or a failed render, submitted by the client, or a revert to an earlier version
+ */
+export const CODE_VERSION_REASONS = ['generate', 'fix', 'improve', 'manual', 'revert'];
+
+// Errors, prompts and feedback stored with a version are cut to this length
+const MAX_DETAIL_LENGTH = 1000;
+
+/**
+ * Empty history fields for a new session context
+ */
+export function createVersionHistory() {
+  return { codeVersions: [], currentVersionId: null, versionCounter: 0 };
+}
+
+export function findVersion(context, versionId) {
+  return context.codeVersions.find(version => version.id === versionId) || null;
+}
+
+export function getCurrentVersion(context) {
+  return context.currentVersionId ? findVersion(context, context.currentVersionId) : null;
+}
+
+/**
+ * Add a version and make it current; code identical to the current version is not stored twice
+ * Oldest versions are dropped past `maxVersions`. Returns the current version.
+ */
+export function addVersion(context, code, reason, details = {}, maxVersions = Infinity) {
+  const current = getCurrentVersion(context);
+  if (current && current.code === code) {
+    return current;
+  }
+
+  context.versionCounter += 1;
+  const version = {
+    id: `v${context.versionCounter}`,
+    parentId: current?.id || null,
+    reason,
+    createdAt: new Date().toISOString(),
+    code,
+    ...Object.fromEntries(Object.entries(details)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, typeof value === 'string' ? value.slice(0, MAX_DETAIL_LENGTH) : value]))
+  };
+
+  context.codeVersions.push(version);
+  context.currentVersionId = version.id;
+
+  if (context.codeVersions.length > maxVersions) {
+    context.codeVersions.splice(0, context.codeVersions.length - maxVersions);
+  }
+
+  return version;
+}
+
+/**
+ * Version without its code, for listings
+ */
+export function summarizeVersion(version, context) {
+  const { code, ...summary } = version;
+  return {
+    ...summary,
+    lines: code.split('\n').length,
+    characters: code.length,
+    current: version.id === context.currentVersionId
+  };
+}
+
+/**
+ * History for a new session forked at a version: that version and the ones before it
+ */
+export function forkVersionHistory(context, versionId) {
+  const index = context.codeVersions.findIndex(version => version.id === versionId);
+  return {
+    codeVersions: context.codeVersions.slice(0, index + 1).map(version => ({ ...version })),
+    currentVersionId: versionId,
+    versionCounter: context.versionCounter
+  };
+}
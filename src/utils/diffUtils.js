@@ -0,0 +1,139 @@
+/**
+ * Line-based unified diffs between two versions of a source file
+ */
+
+const DEFAULT_CONTEXT_LINES = 3;
+
+// Above this many line pairs the changed region is shown as one replaced block
+const MAX_LCS_CELLS = 4_000_000;
+
+const splitLines = (text) => (text === '' ? [] : text.replace(/\r\n/g, '\n').split('\n'));
+
+/**
+ * Edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+ * Common leading and trailing lines are matched directly; the rest uses a longest common subsequence
+ */
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+
+  if ((oldMiddle.length + 1) * (newMiddle.length + 1) > MAX_LCS_CELLS) {
+    ops.push(...oldMiddle.map(line => ({ type: '-', line })), ...newMiddle.map(line => ({ type: '+', line })));
+  } else {
+    ops.push(...lcsEdits(oldMiddle, newMiddle));
+  }
+
+  ops.push(...oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+  return ops;
+}
+
+function lcsEdits(a, b) {
+  const width = b.length + 1;
+  // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+  return ops;
+}
+
+/**
+ * Group an edit script into hunks with `context` unchanged lines around each change
+ */
+function buildHunks(ops, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let hunk = null;
+  let trailing = 0;
+
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') {
+      if (!hunk) {
+        // Open a hunk with up to `context` lines before the change
+        const lead = ops.slice(Math.max(0, index - context), index);
+        hunk = { oldStart: oldLine - lead.length, newStart: newLine - lead.length, lines: lead.map(entry => ` ${entry.line}`) };
+      }
+      hunk.lines.push(`${op.type}${op.line}`);
+      trailing = 0;
+    } else if (hunk) {
+      // Keep the hunk open while the next change is within 2 * context lines
+      const nextChange = ops.findIndex((entry, position) => position > index && entry.type !== ' ');
+      if (trailing < context || (nextChange !== -1 && nextChange - index <= context)) {
+        hunk.lines.push(` ${op.line}`);
+        trailing++;
+      } else {
+        hunks.push(hunk);
+        hunk = null;
+        trailing = 0;
+      }
+    }
+
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  if (hunk) hunks.push(hunk);
+
+  return hunks.map(({ oldStart, newStart, lines }) => {
+    const oldCount = lines.filter(line => line[0] !== '+').length;
+    const newCount = lines.filter(line => line[0] !== '-').length;
+    // An empty side starts at the line before it, as in diff -u
+    const range = (start, count) => `${count === 0 ? start - 1 : start}${count === 1 ? '' : `,${count}`}`;
+    return `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@\n${lines.join('\n')}`;
+  });
+}
+
+/**
+ * Unified diff of two texts
+ * Returns { diff, additions, deletions }; `diff` is empty when the texts are identical
+ */
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT_LINES } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const additions = ops.filter(op => op.type === '+').length;
+  const deletions = ops.filter(op => op.type === '-').length;
+
+  if (additions === 0 && deletions === 0) {
+    return { diff: '', additions, deletions };
+  }
+
+  const header = `--- ${oldLabel}\n+++ ${newLabel}`;
+  return {
+    diff: `${[header, ...buildHunks(ops, context)].join('\n')}\n`,
+    additions,
+    deletions
+  };
+}
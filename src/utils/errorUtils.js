@@ -2,6 +2,10 @@
  * Enhanced error handling utilities for the Manim backend
  */
 
+import { createLogger } from './logger.js';
+
+const log = createLogger('errorUtils');
+
 /**
  * Custom error classes for better error categorization
  */
@@ -43,10 +47,70 @@ export class ManimTimeoutError extends ManimError {
   }
 }
 
+export class CodePolicyError extends ManimError {
+  constructor(message, details = {}) {
+    super(message, 'CODE_POLICY_VIOLATION', details);
+    this.name = 'CodePolicyError';
+    this.status = 422;
+  }
+}
+
+export class CodePolicyUnavailableError extends ManimError {
+  constructor(message, details = {}) {
+    super(message, 'CODE_POLICY_UNAVAILABLE', details);
+    this.name = 'CodePolicyUnavailableError';
+    this.status = 503;
+  }
+}
+
+export class SandboxViolationError extends ManimError {
+  constructor(message, details = {}) {
+    super(message, 'SANDBOX_VIOLATION', details);
+    this.name = 'SandboxViolationError';
+    this.status = 422;
+  }
+}
+
+export class SceneNotFoundError extends ManimError {
+  constructor(message, details = {}) {
+    super(message, 'SCENE_NOT_FOUND', details);
+    this.name = 'SceneNotFoundError';
+    this.status = 400;
+  }
+}
+
+export class JobCancelledError extends ManimError {
+  constructor(message = 'Job was cancelled', details = {}) {
+    super(message, 'JOB_CANCELLED', details);
+    this.name = 'JobCancelledError';
+    this.status = 409;
+  }
+}
+
+export class ServiceUnavailableError extends ManimError {
+  constructor(message, details = {}) {
+    super(message, 'SERVICE_UNAVAILABLE', details);
+    this.name = 'ServiceUnavailableError';
+    this.status = 503;
+  }
+}
+
+/**
+ * Violations of the code policy and an unavailable analyzer end a request instead of being fixed or retried
+ */
+export function isCodePolicyError(error) {
+  return error instanceof CodePolicyError || error instanceof CodePolicyUnavailableError;
+}
+
 /**
  * Error classification utilities
  */
 export const ErrorPatterns = {
+  // Checked first: a blocked operation often surfaces as another error type too
+  SANDBOX_ERRORS: [
+    /sandbox.*(violation|blocked)/i
+  ],
+
   LATEX_ERRORS: [
     /latex.*error/i,
     /mathtext.*error/i,
@@ -103,6 +167,14 @@ export function classifyError(error) {
   return 'UNKNOWN_ERROR';
 }
 
+/**
+ * Short category name for an error ('latex', 'code', 'timeout', 'unknown', ...)
+ */
+export function getErrorCategory(error) {
+  const classification = error.details?.classification || classifyError(error);
+  return classification.replace(/_ERRORS?$/, '').toLowerCase();
+}
+
 /**
  * Create appropriate error instance based on classification
  */
@@ -117,6 +189,8 @@ export function createTypedError(error, context = {}) {
   };
   
   switch (classification) {
+    case 'SANDBOX_ERRORS':
+      return new SandboxViolationError(message, details);
     case 'LATEX_ERRORS':
       return new ManimLatexError(message, details);
     case 'RENDER_ERRORS':
@@ -132,11 +206,15 @@ export function createTypedError(error, context = {}) {
 
 /**
  * Error aggregator for collecting and analyzing multiple errors
+ *
+ * clear() starts a new summary window; lifetime counts per operation and
+ * category (getCategoryTotals) are kept for monitoring.
  */
 export class ErrorAggregator {
   constructor() {
     this.errors = [];
     this.startTime = Date.now();
+    this.categoryTotals = new Map();
   }
   
   add(error, context = {}) {
@@ -146,6 +224,22 @@ export class ErrorAggregator {
       timestamp: Date.now(),
       context
     });
+
+    const operation = context.operation || typedError.details?.context?.operation || 'unknown';
+    const category = getErrorCategory(typedError);
+    const key = `${operation}:${category}`;
+    const total = this.categoryTotals.get(key) || { operation, category, count: 0 };
+    total.count++;
+    this.categoryTotals.set(key, total);
+  }
+
+  /**
+   * Lifetime error counts as [{ operation, category, count }]
+   */
+  getCategoryTotals(operation = null) {
+    return Array.from(this.categoryTotals.values())
+      .filter(total => !operation || total.operation === operation)
+      .map(total => ({ ...total }));
   }
   
   getByType(errorType) {
@@ -260,8 +354,13 @@ export class ErrorReporter {
         'Check system resources',
         'Try splitting into smaller scenes'
       );
+    } else if (error instanceof SandboxViolationError) {
+      suggestions.push(
+        'Do not start processes, open network connections or write files from scene code',
+        'Keep scenes within the render CPU time, memory and file size limits'
+      );
     }
-    
+
     return suggestions;
   }
 }
@@ -273,12 +372,12 @@ export function setupGlobalErrorHandling() {
   const errorReporter = new ErrorReporter({ includeStack: true });
   
   process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', errorReporter.formatError(error));
+    log.error('Uncaught Exception:', errorReporter.formatError(error));
     process.exit(1);
   });
   
   process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', errorReporter.formatError(reason));
+    log.error('Unhandled Rejection at:', promise, 'reason:', errorReporter.formatError(reason));
   });
 }
 
@@ -290,13 +389,13 @@ export async function safeAsync(fn, fallback = null, context = {}) {
     return await fn();
   } catch (error) {
     const typedError = createTypedError(error, context);
-    console.error('Safe async operation failed:', typedError.message);
+    log.error('Safe async operation failed:', typedError.message);
     
     if (typeof fallback === 'function') {
       try {
         return await fallback(typedError);
       } catch (fallbackError) {
-        console.error('Fallback also failed:', fallbackError.message);
+        log.error('Fallback also failed:', fallbackError.message);
         throw typedError;
       }
     }
@@ -313,7 +412,7 @@ export const RecoveryStrategies = {
    * Retry with simplified parameters
    */
   simplify: async (originalFn, error, context) => {
-    console.log('Attempting simplified recovery...');
+    log.info('Attempting simplified recovery...');
     // Implementation would depend on the specific function
     return null;
   },
@@ -322,7 +421,7 @@ export const RecoveryStrategies = {
    * Use cached/fallback data
    */
   useFallback: async (fallbackData, error, context) => {
-    console.log('Using fallback data for recovery...');
+    log.info('Using fallback data for recovery...');
     return fallbackData;
   },
   
@@ -330,7 +429,7 @@ export const RecoveryStrategies = {
    * Reset state and retry
    */
   reset: async (resetFn, originalFn, error, context) => {
-    console.log('Resetting state for recovery...');
+    log.info('Resetting state for recovery...');
     await resetFn();
     return await originalFn();
   }
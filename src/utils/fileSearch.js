@@ -5,11 +5,14 @@
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { createLogger } from './logger.js';
+
+const log = createLogger('fileSearch');
 
 /**
- * Find the most recently created MP4 file in a directory and subdirectories
+ * Find the most recently created file with the given extension in a directory and subdirectories
  */
-export function findLatestMP4File(searchDir) {
+export function findLatestFileWithExtension(searchDir, extension) {
   let latestFile = null;
   let latestTime = 0;
 
@@ -22,7 +25,7 @@ export function findLatestMP4File(searchDir) {
 
         if (stat.isDirectory()) {
           searchRecursive(itemPath);
-        } else if (item.endsWith(".mp4")) {
+        } else if (item.endsWith(extension)) {
           if (stat.mtime.getTime() > latestTime) {
             latestTime = stat.mtime.getTime();
             latestFile = itemPath;
@@ -30,7 +33,7 @@ export function findLatestMP4File(searchDir) {
         }
       }
     } catch (error) {
-      console.warn(`Could not search directory ${dir}:`, error.message);
+      log.warn(`Could not search directory ${dir}:`, error.message);
     }
   };
 
@@ -39,43 +42,66 @@ export function findLatestMP4File(searchDir) {
 }
 
 /**
- * Find video file in media directory with various naming patterns
+ * Find the most recently created MP4 file in a directory and subdirectories
+ */
+export function findLatestMP4File(searchDir) {
+  return findLatestFileWithExtension(searchDir, ".mp4");
+}
+
+/**
+ * Find the rendered output (video, GIF or still image) in a media directory with various naming patterns
+ * extension - output file extension, ".mp4" unless another output format was requested
  */
-export function findVideoInMediaDir(mediaDir, className, baseFileName) {
+export function findVideoInMediaDir(mediaDir, className, baseFileName, qualityDir = null, extension = ".mp4") {
+  const fileName = `${className}${extension}`;
   const possiblePaths = [
+    // Expected quality directory for this render (e.g. "720p30")
+    ...(qualityDir ? [path.join(mediaDir, "videos", baseFileName, qualityDir, fileName)] : []),
     // Standard Manim output structure: media/videos/filename/quality/ClassName.mp4
-    path.join(mediaDir, "videos", baseFileName, "480p15", `${className}.mp4`),
-    path.join(mediaDir, "videos", baseFileName, "720p30", `${className}.mp4`),
-    path.join(mediaDir, "videos", baseFileName, "1080p60", `${className}.mp4`),
-    path.join(mediaDir, "videos", baseFileName, "low_quality", `${className}.mp4`),
-    path.join(mediaDir, "videos", baseFileName, "medium_quality", `${className}.mp4`),
-    path.join(mediaDir, "videos", baseFileName, "high_quality", `${className}.mp4`),
+    path.join(mediaDir, "videos", baseFileName, "480p15", fileName),
+    path.join(mediaDir, "videos", baseFileName, "720p30", fileName),
+    path.join(mediaDir, "videos", baseFileName, "1080p60", fileName),
+    path.join(mediaDir, "videos", baseFileName, "1440p60", fileName),
+    path.join(mediaDir, "videos", baseFileName, "2160p60", fileName),
+    path.join(mediaDir, "videos", baseFileName, "low_quality", fileName),
+    path.join(mediaDir, "videos", baseFileName, "medium_quality", fileName),
+    path.join(mediaDir, "videos", baseFileName, "high_quality", fileName),
     // Alternative patterns
-    path.join(mediaDir, "videos", `${className}.mp4`),
-    path.join(mediaDir, `${className}.mp4`),
-    path.join(mediaDir, `${baseFileName}.mp4`),
+    path.join(mediaDir, "videos", fileName),
+    path.join(mediaDir, fileName),
+    path.join(mediaDir, `${baseFileName}${extension}`),
   ];
 
+  // Last-frame stills land in media/images/filename/ClassName_ManimCE_v<version>.png
+  const imagesDir = path.join(mediaDir, "images", baseFileName);
+  if (fs.existsSync(imagesDir)) {
+    const still = fs.readdirSync(imagesDir)
+      .find(file => file.startsWith(className) && file.endsWith(extension));
+    if (still) {
+      possiblePaths.push(path.join(imagesDir, still));
+    }
+  }
+
   for (const videoPath of possiblePaths) {
     if (fs.existsSync(videoPath)) {
-      console.log(`Found video in media directory: ${videoPath}`);
+      log.info(`Found video in media directory: ${videoPath}`);
       return videoPath;
     }
   }
 
   // If standard paths don't work, search recursively
-  return findLatestMP4File(mediaDir);
+  return findLatestFileWithExtension(mediaDir, extension);
 }
 
 /**
- * List directory contents recursively for debugging
+ * List directory contents recursively for debugging, as lines like "  sub/file.mp4 (123 bytes)"
  */
 export function listDirectoryRecursive(dir, prefix = "", maxDepth = 3, currentDepth = 0) {
+  const lines = [];
   try {
     // Prevent infinite recursion
     if (currentDepth >= maxDepth) {
-      console.log(`${prefix}... (max depth reached)`);
-      return;
+      return [`${prefix}... (max depth reached)`];
     }
 
     const items = fs.readdirSync(dir);
@@ -84,15 +110,16 @@ export function listDirectoryRecursive(dir, prefix = "", maxDepth = 3, currentDe
       const stat = fs.statSync(itemPath);
 
       if (stat.isDirectory()) {
-        console.log(`${prefix}📁 ${item}/`);
-        listDirectoryRecursive(itemPath, prefix + "  ", maxDepth, currentDepth + 1);
+        lines.push(`${prefix}${item}/`);
+        lines.push(...listDirectoryRecursive(itemPath, prefix + "  ", maxDepth, currentDepth + 1));
       } else {
-        console.log(`${prefix}📄 ${item} (${stat.size} bytes)`);
+        lines.push(`${prefix}${item} (${stat.size} bytes)`);
       }
     });
   } catch (error) {
-    console.warn(`Could not list directory ${dir}:`, error.message);
+    lines.push(`${prefix}(could not list ${dir}: ${error.message})`);
   }
+  return lines;
 }
 
 /**
@@ -102,6 +129,79 @@ export function generateTempFilename(prefix = "temp", extension = ".py") {
   return `${prefix}_${uuidv4().slice(0, 8)}${extension}`;
 }
 
+/**
+ * Root directory holding per-render scratch workspaces
+ */
+export function getRenderWorkspaceRoot() {
+  return path.join(process.cwd(), process.env.TEMP_DIR || "temp", "renders");
+}
+
+/**
+ * Create an isolated scratch directory for a single render, with its own Manim media dir
+ */
+export function createRenderWorkspace(prefix = "render") {
+  const dir = path.join(getRenderWorkspaceRoot(), `${prefix}_${uuidv4().slice(0, 8)}`);
+  const mediaDir = path.join(dir, "media");
+
+  fs.mkdirSync(mediaDir, { recursive: true });
+  return { dir, mediaDir };
+}
+
+/**
+ * Remove a render workspace; refuses paths outside the workspace root
+ */
+export function removeRenderWorkspace(dir) {
+  const root = getRenderWorkspaceRoot();
+  const resolved = path.resolve(dir);
+
+  if (!resolved.startsWith(root + path.sep)) {
+    log.warn(`Refusing to remove directory outside render workspace root: ${resolved}`);
+    return false;
+  }
+
+  try {
+    fs.rmSync(resolved, { recursive: true, force: true });
+    return true;
+  } catch (error) {
+    log.warn(`Failed to remove render workspace ${resolved}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Remove render workspaces left behind by crashed or interrupted renders
+ */
+export function cleanupStaleRenderWorkspaces(maxAgeMs) {
+  const root = getRenderWorkspaceRoot();
+  if (!fs.existsSync(root)) {
+    return { cleaned: 0, skipped: 0 };
+  }
+
+  const now = Date.now();
+  let cleanedCount = 0;
+  let skippedCount = 0;
+
+  for (const entry of fs.readdirSync(root)) {
+    try {
+      const entryPath = path.join(root, entry);
+      const stat = fs.statSync(entryPath);
+
+      if (stat.isDirectory() && now - stat.mtime.getTime() > maxAgeMs) {
+        if (removeRenderWorkspace(entryPath)) {
+          cleanedCount++;
+          continue;
+        }
+      }
+      skippedCount++;
+    } catch (error) {
+      log.warn(`Failed to process render workspace ${entry}:`, error.message);
+      skippedCount++;
+    }
+  }
+
+  return { cleaned: cleanedCount, skipped: skippedCount };
+}
+
 /**
  * Get current timestamp utility
  */
@@ -123,7 +223,7 @@ export async function safeFileCleanup(directory, maxAgeMs, maxFilesToDelete = 10
   for (const file of files) {
     // Safety check: don't delete too many files
     if (cleanedCount >= maxFilesToDelete) {
-      console.warn(`Hit max deletion limit (${maxFilesToDelete}), stopping cleanup`);
+      log.warn(`Hit max deletion limit (${maxFilesToDelete}), stopping cleanup`);
       break;
     }
 
@@ -138,13 +238,13 @@ export async function safeFileCleanup(directory, maxAgeMs, maxFilesToDelete = 10
         if (fileAge > maxAgeMs) {
           fs.unlinkSync(filePath);
           cleanedCount++;
-          console.log(`Removed ${file} (${hoursOld} hours old)`);
+          log.info(`Removed ${file} (${hoursOld} hours old)`);
         } else {
           skippedCount++;
         }
       }
     } catch (fileError) {
-      console.warn(`Failed to process file ${file}:`, fileError.message);
+      log.warn(`Failed to process file ${file}:`, fileError.message);
       skippedCount++;
     }
   }
@@ -1,5 +1,8 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('fileUtils');
 
 /**
  * Ensure directory exists using async methods
@@ -9,7 +12,7 @@ export const ensureDirectoryExists = async (dirPath) => {
         await fs.access(dirPath);
     } catch {
         await fs.mkdir(dirPath, { recursive: true });
-        console.log(`Created directory: ${dirPath}`);
+        log.info(`Created directory: ${dirPath}`);
     }
 };
 
@@ -35,7 +38,7 @@ export const cleanupOldFiles = async (directory, maxAgeHours = 24, maxFilesToDel
         for (const file of files) {
             // Safety check: don't delete too many files
             if (cleanedCount >= maxFilesToDelete) {
-                console.warn(`Hit max deletion limit (${maxFilesToDelete}), stopping cleanup`);
+                log.warn(`Hit max deletion limit (${maxFilesToDelete}), stopping cleanup`);
                 break;
             }
 
@@ -48,19 +51,19 @@ export const cleanupOldFiles = async (directory, maxAgeHours = 24, maxFilesToDel
                 if (stats.isFile() && fileAge > maxAge) {
                     await fs.unlink(filePath);
                     cleanedCount++;
-                    console.log(`Removed ${file} (${hoursOld} hours old)`);
+                    log.info(`Removed ${file} (${hoursOld} hours old)`);
                 } else {
                     skippedCount++;
                 }
             } catch (fileError) {
-                console.warn(`Failed to process file ${file}:`, fileError.message);
+                log.warn(`Failed to process file ${file}:`, fileError.message);
                 skippedCount++;
             }
         }
 
         return { cleaned: cleanedCount, skipped: skippedCount };
     } catch (error) {
-        console.warn('Error during cleanup:', error.message);
+        log.warn('Error during cleanup:', error.message);
         return { cleaned: 0, skipped: 0, error: error.message };
     }
 };
@@ -0,0 +1,71 @@
+/**
+ * Async-local job context so deep pipeline steps can report progress
+ * without threading callbacks through every ManimAgent method
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createLogger } from './logger.js';
+
+const log = createLogger('jobContext');
+
+const jobStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given job context attached to its async call tree
+ */
+export function runWithJobContext(context, fn) {
+  return jobStorage.run(context, fn);
+}
+
+/**
+ * Run a function without the current job context, for shared work that no single job owns
+ */
+export function runOutsideJobContext(fn) {
+  return jobStorage.exit(fn);
+}
+
+/**
+ * Get the job context of the current async call tree (null outside a job)
+ */
+export function getJobContext() {
+  return jobStorage.getStore() || null;
+}
+
+/**
+ * Report a pipeline step to the current job, if any
+ */
+export function reportProgress(step, data = {}) {
+  const context = getJobContext();
+  if (context && typeof context.report === 'function') {
+    try {
+      context.report(step, data);
+    } catch (error) {
+      log.warn(`Failed to report progress step '${step}':`, error.message);
+    }
+  }
+}
+
+/**
+ * Abort signal of the current job (null outside a job); aborted when the job is cancelled
+ */
+export function getJobSignal() {
+  return getJobContext()?.signal || null;
+}
+
+/**
+ * Throw the cancellation error if the current job was cancelled
+ * Called between pipeline steps so retries and fallbacks stop after a cancel
+ */
+export function throwIfJobCancelled() {
+  const signal = getJobSignal();
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+}
+
+/**
+ * Remember a temp file or directory created for the current job, removed if the job is cancelled
+ */
+export function trackJobFile(filePath) {
+  getJobContext()?.tempFiles?.add(filePath);
+}
@@ -0,0 +1,149 @@
+/**
+ * Per-job diagnostics for debugging failed renders: every external command with its
+ * output, every code version written for compiling or rendering, and an environment summary
+ *
+ * Recorded through the job context (see jobContext.js), so work outside jobs records nothing.
+ * Served by GET /jobs/:id/logs and as a zip by GET /jobs/:id/logs/bundle.
+ */
+
+import path from 'path';
+import { getJobContext } from './jobContext.js';
+
+/**
+ * Characters of stdout and of stderr kept per recorded command (the end wins)
+ * Read as each command is recorded, so JOB_LOG_MAX_OUTPUT_CHARS from .env applies
+ */
+export const getJobLogMaxOutput = () => parseInt(process.env.JOB_LOG_MAX_OUTPUT_CHARS) || 256 * 1024;
+
+const MAX_COMMANDS_PER_JOB = 100;
+const MAX_CODE_VERSIONS_PER_JOB = 50;
+
+export function createJobDiagnostics() {
+  return {
+    environment: null,
+    commands: [],
+    codeVersions: [],
+    // Entries past the per-job limits are counted, not kept
+    dropped: { commands: 0, codeVersions: 0 }
+  };
+}
+
+const currentDiagnostics = () => getJobContext()?.diagnostics || null;
+
+const keepEnd = (text, limit) => (text.length > limit ? text.slice(-limit) : text);
+
+/**
+ * Record an external command started by the current job
+ * Returns a function to call with how it ended ({ exitCode, signal, timedOut, error, stdout, stderr, truncated })
+ */
+export function recordJobCommand(command, commandLine, cwd) {
+  const diagnostics = currentDiagnostics();
+  if (!diagnostics) return () => {};
+
+  if (diagnostics.commands.length >= MAX_COMMANDS_PER_JOB) {
+    diagnostics.dropped.commands++;
+    return () => {};
+  }
+
+  const startedAt = Date.now();
+  const entry = {
+    index: diagnostics.commands.length + 1,
+    program: path.basename(command),
+    command: commandLine,
+    cwd: cwd || process.cwd(),
+    startedAt: new Date(startedAt).toISOString(),
+    durationMs: null,
+    exitCode: null,
+    signal: null,
+    timedOut: false,
+    error: null,
+    truncated: false,
+    stdout: '',
+    stderr: ''
+  };
+  diagnostics.commands.push(entry);
+
+  return ({ exitCode = null, signal = null, timedOut = false, error = null, stdout = '', stderr = '', truncated = false } = {}) => {
+    const limit = getJobLogMaxOutput();
+    Object.assign(entry, {
+      durationMs: Date.now() - startedAt,
+      exitCode,
+      signal,
+      timedOut,
+      error,
+      truncated: truncated || stdout.length > limit || stderr.length > limit,
+      stdout: keepEnd(stdout, limit),
+      stderr: keepEnd(stderr, limit)
+    });
+  };
+}
+
+/**
+ * Record code the current job wrote to `filePath`; identical code is kept once with all its file names
+ */
+export function recordJobCode(filePath, code) {
+  const diagnostics = currentDiagnostics();
+  if (!diagnostics) return;
+
+  const fileName = path.basename(filePath);
+  const existing = diagnostics.codeVersions.find(version => version.code === code);
+  if (existing) {
+    existing.files.push(fileName);
+    return;
+  }
+
+  if (diagnostics.codeVersions.length >= MAX_CODE_VERSIONS_PER_JOB) {
+    diagnostics.dropped.codeVersions++;
+    return;
+  }
+
+  diagnostics.codeVersions.push({
+    index: diagnostics.codeVersions.length + 1,
+    files: [fileName],
+    createdAt: new Date().toISOString(),
+    lines: code.split('\n').length,
+    code
+  });
+}
+
+/**
+ * Record the environment the current job runs in (see getEnvironmentSummary)
+ */
+export function recordJobEnvironment(environment) {
+  const diagnostics = currentDiagnostics();
+  if (diagnostics) {
+    diagnostics.environment = environment;
+  }
+}
+
+/**
+ * Files of a job's debug bundle as [{ name, content }], all inside a taxim-job-<id>/ folder
+ */
+export function getDebugBundleFiles(jobStatus, diagnostics, events = []) {
+  const folder = `taxim-job-${jobStatus.jobId}`;
+  const pad = (index) => String(index).padStart(2, '0');
+  const toJson = (value) => `${JSON.stringify(value, null, 2)}\n`;
+
+  const commandFiles = diagnostics.commands.flatMap(entry => {
+    const base = `${folder}/commands/${pad(entry.index)}-${entry.program}`;
+    return [
+      { name: `${base}.stdout.log`, content: entry.stdout },
+      { name: `${base}.stderr.log`, content: entry.stderr }
+    ];
+  });
+
+  const codeFiles = diagnostics.codeVersions.map(version => ({
+    name: `${folder}/code/${pad(version.index)}-${version.files[0]}`,
+    content: version.code
+  }));
+
+  return [
+    { name: `${folder}/job.json`, content: toJson({ ...jobStatus, dropped: diagnostics.dropped }) },
+    { name: `${folder}/environment.json`, content: toJson(diagnostics.environment) },
+    { name: `${folder}/commands.json`, content: toJson(diagnostics.commands.map(({ stdout, stderr, ...entry }) => entry)) },
+    { name: `${folder}/code-versions.json`, content: toJson(diagnostics.codeVersions.map(({ code, ...version }) => version)) },
+    { name: `${folder}/events.json`, content: toJson(events) },
+    ...commandFiles,
+    ...codeFiles
+  ];
+}
@@ -3,6 +3,9 @@
  */
 
 import { PROMPT_CONFIG } from '../prompts.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('latexUtils');
 
 // Memoization cache for LaTeX error detection
 const latexErrorCache = new Map();
@@ -52,7 +55,7 @@ export function handleLatexError(code, errorMessage) {
     return null; // Not a LaTeX error
   }
   
-  console.log('Detected LaTeX error, attempting automatic fixes...');
+  log.info('Detected LaTeX error, attempting automatic fixes...');
   let fixedCode = code;
   
   // Fix common LaTeX syntax issues
@@ -86,7 +89,7 @@ export function handleLatexError(code, errorMessage) {
     return match;
   });
   
-  console.log('Applied LaTeX fixes to code');
+  log.info('Applied LaTeX fixes to code');
   return fixedCode;
 }
 
@@ -101,7 +104,7 @@ function replaceLatexWithFallback(code, pattern, fallbackFn) {
  * Create fallback code when LaTeX completely fails
  */
 export function createLatexFallback(code) {
-  console.log('Creating LaTeX fallback code...');
+  log.info('Creating LaTeX fallback code...');
   let fallbackCode = code;
   
   // Use configurable fallback expression
@@ -144,7 +147,7 @@ export function createLatexFallback(code) {
     );
   }
   
-  console.log('Created LaTeX fallback code');
+  log.info('Created LaTeX fallback code');
   return fallbackCode;
 }
 
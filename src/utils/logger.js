@@ -0,0 +1,154 @@
+/**
+ * Structured logger with levels, per-module thresholds and correlation IDs
+ *
+ * Each entry is written as one JSON line:
+ *   { time, level, module, requestId, jobId, sessionId, msg, ...fields }
+ * requestId comes from the request context (utils/requestContext.js), jobId and
+ * sessionId from the job context (utils/jobContext.js), so callers never pass them.
+ *
+ * LOG_LEVEL  - default threshold: debug, info, warn, error or silent (default info)
+ * LOG_LEVELS - per-module thresholds, e.g. "manimAgent=debug,http=warn"
+ * LOG_FORMAT - "json" (default) or "pretty" for one readable line per entry
+ */
+
+import util from 'util';
+import { getRequestId } from './requestContext.js';
+import { getJobContext } from './jobContext.js';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVEL = 'info';
+
+// Resolved lazily, so loggers created before .env is loaded still follow its settings
+let config = null;
+
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return LOG_LEVELS[level] !== undefined ? level : fallback;
+}
+
+function getConfig() {
+  if (!config) {
+    const defaultLevel = parseLevel(process.env.LOG_LEVEL, DEFAULT_LEVEL);
+    const moduleLevels = new Map();
+
+    for (const entry of (process.env.LOG_LEVELS || '').split(',')) {
+      const [module, level] = entry.split('=').map(part => part?.trim());
+      if (module && level) {
+        moduleLevels.set(module, parseLevel(level, defaultLevel));
+      }
+    }
+
+    config = {
+      defaultLevel,
+      moduleLevels,
+      pretty: (process.env.LOG_FORMAT || '').toLowerCase() === 'pretty'
+    };
+  }
+  return config;
+}
+
+/**
+ * Re-read LOG_LEVEL, LOG_LEVELS and LOG_FORMAT on the next log call
+ */
+export function reloadLoggerConfig() {
+  config = null;
+}
+
+/**
+ * Effective threshold for a module
+ */
+export function getModuleLevel(module) {
+  const { defaultLevel, moduleLevels } = getConfig();
+  return moduleLevels.get(module) || defaultLevel;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Build an entry from console-style arguments: plain objects become fields,
+ * an Error becomes `err`, anything else is formatted into the message
+ */
+function buildEntry(level, module, bindings, message, args) {
+  const fields = { ...bindings };
+  const extras = [];
+
+  for (const arg of message instanceof Error ? [message, ...args] : args) {
+    if (arg instanceof Error) {
+      fields.err = serializeError(arg);
+    } else if (isPlainObject(arg)) {
+      Object.assign(fields, arg);
+    } else {
+      extras.push(arg);
+    }
+  }
+
+  const msg = message instanceof Error
+    ? message.message
+    : util.format(typeof message === 'string' ? message : util.inspect(message), ...extras);
+  const requestId = getRequestId();
+  const job = getJobContext();
+
+  return {
+    time: new Date().toISOString(),
+    level,
+    module,
+    ...(requestId && { requestId }),
+    ...(job?.jobId && { jobId: job.jobId }),
+    ...(job?.sessionId && { sessionId: job.sessionId }),
+    msg,
+    ...fields
+  };
+}
+
+function formatPretty(entry) {
+  const { time, level, module, msg, ...fields } = entry;
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(entry) {
+  let line;
+  try {
+    line = getConfig().pretty ? formatPretty(entry) : JSON.stringify(entry);
+  } catch {
+    // Circular or otherwise unserializable fields are logged as inspected text
+    const { time, level, module, requestId, jobId, sessionId, msg, ...fields } = entry;
+    line = JSON.stringify({ time, level, module, requestId, jobId, sessionId, msg, fields: util.inspect(fields) });
+  }
+
+  const stream = LOG_LEVELS[entry.level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create a logger for a module; `bindings` are added to every entry
+ */
+export function createLogger(module, bindings = {}) {
+  const log = (level) => (message, ...args) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[getModuleLevel(module)]) return;
+    write(buildEntry(level, module, bindings, message, args));
+  };
+
+  return {
+    module,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    isLevelEnabled: (level) => LOG_LEVELS[level] >= LOG_LEVELS[getModuleLevel(module)],
+    child: (childBindings) => createLogger(module, { ...bindings, ...childBindings })
+  };
+}
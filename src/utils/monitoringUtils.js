@@ -6,8 +6,18 @@ import fs from 'fs';
 import os from 'os';
 import { EventEmitter } from 'events';
 
+/**
+ * Histogram bucket upper bounds in milliseconds (100ms to 10 minutes)
+ */
+export const DEFAULT_DURATION_BUCKETS_MS = [100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 120000, 300000, 600000];
+
 /**
  * Performance metrics collector
+ *
+ * Recent samples are kept per metric for windowed stats (getMetricStats). Every
+ * sample is also added to lifetime totals (getTotals), with bucket counts for the
+ * metrics named in options.histograms; these back the Prometheus exposition and
+ * are kept even when windowed collection is disabled.
  */
 export class PerformanceMonitor extends EventEmitter {
   constructor(options = {}) {
@@ -17,6 +27,9 @@ export class PerformanceMonitor extends EventEmitter {
     this.enabled = options.enabled !== false;
     this.collectInterval = options.collectInterval || 5000; // 5 seconds
     this.maxMetricAge = options.maxMetricAge || 300000; // 5 minutes
+    this.histograms = new Set(options.histograms || []);
+    this.histogramBuckets = options.histogramBuckets || DEFAULT_DURATION_BUCKETS_MS;
+    this.totals = new Map();
     
     if (this.enabled) {
       this.startCollection();
@@ -39,7 +52,36 @@ export class PerformanceMonitor extends EventEmitter {
     this.intervals.set('cleanup', cleanupInterval);
   }
   
+  /**
+   * Sample system and process metrics and add them to the metric history
+   */
   collectSystemMetrics() {
+    const snapshot = this.readSystemMetrics();
+    const now = snapshot.timestamp;
+
+    this.addMetric('system.cpu.usage', snapshot.cpuUsage, now);
+    this.addMetric('system.memory.usage', snapshot.memUsage, now);
+    this.addMetric('system.memory.total', snapshot.totalMem, now);
+    this.addMetric('system.memory.free', snapshot.freeMem, now);
+    this.addMetric('process.memory.rss', snapshot.processMemory.rss, now);
+    this.addMetric('process.memory.heapUsed', snapshot.processMemory.heapUsed, now);
+    this.addMetric('process.memory.heapTotal', snapshot.processMemory.heapTotal, now);
+    this.addMetric('process.cpu.user', snapshot.processCpu.user, now);
+    this.addMetric('process.cpu.system', snapshot.processCpu.system, now);
+
+    if (snapshot.load) {
+      this.addMetric('system.load.1min', snapshot.load.load1, now);
+      this.addMetric('system.load.5min', snapshot.load.load5, now);
+      this.addMetric('system.load.15min', snapshot.load.load15, now);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Current system and process metrics, without recording them (for scrapes)
+   */
+  readSystemMetrics() {
     const now = Date.now();
     
     // CPU usage
@@ -56,27 +98,31 @@ export class PerformanceMonitor extends EventEmitter {
     const usedMem = totalMem - freeMem;
     const memUsage = usedMem / totalMem;
     
-    // Process memory
+    // Process memory and CPU time (seconds)
     const processMemory = process.memoryUsage();
-    
-    this.addMetric('system.cpu.usage', cpuUsage, now);
-    this.addMetric('system.memory.usage', memUsage, now);
-    this.addMetric('system.memory.total', totalMem, now);
-    this.addMetric('system.memory.free', freeMem, now);
-    this.addMetric('process.memory.rss', processMemory.rss, now);
-    this.addMetric('process.memory.heapUsed', processMemory.heapUsed, now);
-    this.addMetric('process.memory.heapTotal', processMemory.heapTotal, now);
+    const processCpu = process.cpuUsage();
     
     // Load average (Unix-like systems)
+    let load = null;
     if (os.loadavg) {
       const [load1, load5, load15] = os.loadavg();
-      this.addMetric('system.load.1min', load1, now);
-      this.addMetric('system.load.5min', load5, now);
-      this.addMetric('system.load.15min', load15, now);
+      load = { load1, load5, load15 };
     }
+
+    return {
+      cpuUsage,
+      memUsage,
+      totalMem,
+      freeMem,
+      processMemory,
+      processCpu: { user: processCpu.user / 1e6, system: processCpu.system / 1e6 },
+      load,
+      timestamp: now
+    };
   }
   
   addMetric(name, value, timestamp = Date.now()) {
+    this._addToTotals(name, value);
     if (!this.enabled) return;
     
     if (!this.metrics.has(name)) {
@@ -117,6 +163,42 @@ export class PerformanceMonitor extends EventEmitter {
     return { avg, min, max, latest, count: values.length };
   }
   
+  _emptyTotals(name) {
+    return {
+      count: 0,
+      sum: 0,
+      buckets: this.histograms.has(name) ? this.histogramBuckets.map(() => 0) : null
+    };
+  }
+
+  _addToTotals(name, value) {
+    let totals = this.totals.get(name);
+    if (!totals) {
+      totals = this._emptyTotals(name);
+      this.totals.set(name, totals);
+    }
+
+    totals.count++;
+    totals.sum += value;
+    if (totals.buckets) {
+      this.histogramBuckets.forEach((bound, index) => {
+        if (value <= bound) totals.buckets[index]++;
+      });
+    }
+  }
+
+  /**
+   * Lifetime sample count and sum for a metric, plus cumulative bucket counts
+   * (aligned with histogramBuckets) for histogram metrics
+   */
+  getTotals(name) {
+    const totals = this.totals.get(name);
+    if (!totals) {
+      return this._emptyTotals(name);
+    }
+    return { count: totals.count, sum: totals.sum, buckets: totals.buckets ? [...totals.buckets] : null };
+  }
+  
   cleanupOldMetrics() {
     const cutoff = Date.now() - this.maxMetricAge;
     
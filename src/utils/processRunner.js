@@ -0,0 +1,239 @@
+/**
+ * Runner for external commands (manim, python, ffmpeg, pdflatex)
+ *
+ * Commands are spawned from an argument array without a shell, so file paths and
+ * scene names are never quoted or interpolated. Output is decoded as it streams:
+ * listeners get each line of stdout and stderr, and only the last `maxOutput`
+ * characters of each stream are kept. Every command runs in its own process group,
+ * which is killed as a whole on timeout or abort. Commands run by a job are recorded
+ * with their output in its diagnostics (see jobDiagnostics.js).
+ */
+
+import { spawn } from 'child_process';
+import { recordJobCommand } from './jobDiagnostics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('processRunner');
+
+/**
+ * Characters of stdout and of stderr kept per command (exec's 1 MB maxBuffer failed verbose renders)
+ * Read per command, so MAX_PROCESS_OUTPUT_CHARS from .env applies however early this module loads
+ */
+export const getMaxProcessOutput = () => parseInt(process.env.MAX_PROCESS_OUTPUT_CHARS) || 4 * 1024 * 1024;
+
+/**
+ * Spawn options that put a child in its own process group, so killProcessTree
+ * reaches everything it starts (manim, latex, ffmpeg)
+ */
+export const PROCESS_GROUP_OPTIONS = { detached: process.platform !== 'win32', windowsHide: true };
+
+// Commands started by runProcess that have not exited yet
+const runningProcesses = new Set();
+
+export class ProcessError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProcessError';
+    this.code = details.timedOut ? 'PROCESS_TIMEOUT' : 'PROCESS_FAILED';
+    // command, exitCode, signal, timedOut, stdout, stderr, truncated
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Kill a child started with PROCESS_GROUP_OPTIONS together with its descendants
+ */
+export function killProcessTree(child, signal = 'SIGKILL') {
+  if (!child?.pid) return false;
+
+  try {
+    if (process.platform === 'win32') {
+      spawn('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true })
+        .on('error', () => child.kill(signal));
+    } else {
+      // A negative PID signals the whole process group
+      process.kill(-child.pid, signal);
+    }
+    return true;
+  } catch (error) {
+    // ESRCH: the group already exited
+    if (error.code !== 'ESRCH') {
+      child.kill(signal);
+    }
+    return false;
+  }
+}
+
+/**
+ * Kill every command still running (on shutdown); returns how many there were
+ */
+export function killRunningProcesses() {
+  const count = runningProcesses.size;
+  for (const child of runningProcesses) {
+    killProcessTree(child);
+  }
+  if (count > 0) {
+    log.warn(`Killed ${count} running processes`);
+  }
+  return count;
+}
+
+/**
+ * Command line for logs and error messages; arguments with spaces or quotes are JSON-quoted
+ */
+export function formatCommand(command, args = []) {
+  return [command, ...args]
+    .map(part => (/^[\w@%+=:,./-]+$/.test(part) ? part : JSON.stringify(part)))
+    .join(' ');
+}
+
+/**
+ * Keeps the end of a stream once it grows past `limit` characters
+ */
+function createOutputBuffer(limit) {
+  let text = '';
+  let truncated = false;
+
+  return {
+    append(chunk) {
+      text += chunk;
+      // Trim in batches rather than on every chunk
+      if (text.length > limit * 2) {
+        text = text.slice(-limit);
+        truncated = true;
+      }
+    },
+    finish() {
+      if (text.length > limit) {
+        text = text.slice(-limit);
+        truncated = true;
+      }
+      return { text, truncated };
+    }
+  };
+}
+
+/**
+ * Split streamed text into non-empty lines; a lone "\r" (progress bar redraws) ends a line too
+ */
+function createLineSplitter(onLine) {
+  let pending = '';
+
+  const emit = (line) => {
+    if (line) onLine(line);
+  };
+
+  return {
+    push(chunk) {
+      const lines = (pending + chunk).split(/\r\n|\r|\n/);
+      pending = lines.pop();
+      lines.forEach(emit);
+    },
+    flush() {
+      emit(pending);
+      pending = '';
+    }
+  };
+}
+
+/**
+ * Run `command` with `args`; resolves { stdout, stderr, truncated } when it exits with code 0
+ *
+ * options.cwd, options.env - as for child_process.spawn
+ * options.timeoutMs        - kill the process group and fail after this long
+ * options.signal           - AbortSignal; aborting kills the process group and rejects with its reason
+ * options.onLine           - called with (line, 'stdout' | 'stderr') for each output line as it arrives
+ * options.maxOutput        - characters kept per stream (default getMaxProcessOutput())
+ * options.input            - text written to stdin, which is then closed (stdin is ignored without it)
+ *
+ * Other failures reject with a ProcessError whose message, like exec's, is the command followed by stderr.
+ */
+export function runProcess(command, args = [], options = {}) {
+  const { cwd, env, timeoutMs, signal, onLine, input, maxOutput = getMaxProcessOutput() } = options;
+  const commandLine = formatCommand(command, args);
+
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const stdin = input === undefined ? 'ignore' : 'pipe';
+    const child = spawn(command, args, { cwd, env, stdio: [stdin, 'pipe', 'pipe'], ...PROCESS_GROUP_OPTIONS });
+    runningProcesses.add(child);
+    const finishRecord = recordJobCommand(command, commandLine, cwd);
+
+    // A command that fails to start emits 'error' and then 'close'; only the first ending is recorded
+    let recorded = false;
+    const record = (outcome) => {
+      if (recorded) return;
+      recorded = true;
+      finishRecord(outcome);
+    };
+
+    const buffers = { stdout: createOutputBuffer(maxOutput), stderr: createOutputBuffer(maxOutput) };
+    for (const stream of ['stdout', 'stderr']) {
+      const lines = createLineSplitter(line => onLine?.(line, stream));
+      child[stream].setEncoding('utf8');
+      child[stream].on('data', (chunk) => {
+        buffers[stream].append(chunk);
+        lines.push(chunk);
+      });
+      child[stream].on('end', () => lines.flush());
+    }
+
+    if (input !== undefined) {
+      // The command may exit before reading everything (e.g. a crash); 'close' reports that
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+
+    let timedOut = false;
+    const timer = timeoutMs
+      ? setTimeout(() => {
+          timedOut = true;
+          killProcessTree(child);
+        }, timeoutMs)
+      : null;
+
+    const onAbort = () => killProcessTree(child);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let settled = false;
+    const settle = (error, result) => {
+      if (settled) return;
+      settled = true;
+      runningProcesses.delete(child);
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (signal?.aborted) {
+        return reject(signal.reason);
+      }
+      return error ? reject(error) : resolve(result);
+    };
+
+    child.on('error', (error) => {
+      record({ error: error.message });
+      settle(new ProcessError(`Failed to start ${commandLine}: ${error.message}`, { command: commandLine, cause: error }));
+    });
+
+    child.on('close', (exitCode, signalName) => {
+      const stdout = buffers.stdout.finish();
+      const stderr = buffers.stderr.finish();
+      const output = { stdout: stdout.text, stderr: stderr.text, truncated: stdout.truncated || stderr.truncated };
+      record({ exitCode, signal: signalName, timedOut, ...output });
+
+      if (output.truncated) {
+        log.warn(`Output of ${command} exceeded ${maxOutput} characters; kept the end`, { command: commandLine });
+      }
+      if (exitCode === 0 && !timedOut) {
+        return settle(null, output);
+      }
+
+      const message = timedOut
+        ? `Command timed out after ${timeoutMs}ms: ${commandLine}\n${output.stderr}`
+        : `Command failed: ${commandLine}\n${output.stderr}`;
+      settle(new ProcessError(message, { command: commandLine, exitCode, signal: signalName, timedOut, ...output }));
+    });
+  });
+}
@@ -0,0 +1,85 @@
+/**
+ * Prometheus text exposition format (version 0.0.4) helpers
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeHelp = (text) => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+/**
+ * Format a sample value; Prometheus spells infinities "+Inf"/"-Inf"
+ */
+export function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Builds an exposition document one metric family at a time
+ *
+ * Samples are either a single number or an array of { labels, value }.
+ */
+export class PrometheusWriter {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.lines = [];
+  }
+
+  _header(name, type, help) {
+    this.lines.push(`# HELP ${name} ${escapeHelp(help)}`);
+    this.lines.push(`# TYPE ${name} ${type}`);
+  }
+
+  _samples(name, type, help, samples) {
+    const fullName = `${this.prefix}${name}`;
+    this._header(fullName, type, help);
+
+    const list = Array.isArray(samples) ? samples : [{ value: samples }];
+    for (const { labels, value } of list) {
+      this.lines.push(`${fullName}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return this;
+  }
+
+  counter(name, help, samples) {
+    return this._samples(name, 'counter', help, samples);
+  }
+
+  gauge(name, help, samples) {
+    return this._samples(name, 'gauge', help, samples);
+  }
+
+  /**
+   * Histogram from cumulative bucket counts: { buckets: [upper bounds], counts, sum, count }
+   */
+  histogram(name, help, { buckets, counts, sum, count }, labels = {}) {
+    const fullName = `${this.prefix}${name}`;
+    this._header(fullName, 'histogram', help);
+
+    buckets.forEach((bound, index) => {
+      this.lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+    });
+    this.lines.push(`${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    this.lines.push(`${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+    this.lines.push(`${fullName}_count${formatLabels(labels)} ${count}`);
+    return this;
+  }
+
+  toString() {
+    return `${this.lines.join('\n')}\n`;
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Render quality presets, resolution/frame-rate resolution and output formats for Manim renders
+ */
+
+/**
+ * Quality presets, mapped to Manim's -q flags and their default output
+ * timeoutMs grows with the preset since larger renders take longer
+ */
+export const RENDER_QUALITY_PRESETS = {
+  low: { flag: 'l', width: 854, height: 480, fps: 15, timeoutMs: 3 * 60 * 1000 },
+  medium: { flag: 'm', width: 1280, height: 720, fps: 30, timeoutMs: 5 * 60 * 1000 },
+  high: { flag: 'h', width: 1920, height: 1080, fps: 60, timeoutMs: 10 * 60 * 1000 },
+  production: { flag: 'p', width: 2560, height: 1440, fps: 60, timeoutMs: 15 * 60 * 1000 },
+  '4k': { flag: 'k', width: 3840, height: 2160, fps: 60, timeoutMs: 20 * 60 * 1000 }
+};
+
+export const RENDER_QUALITY_NAMES = Object.keys(RENDER_QUALITY_PRESETS);
+
+export const DEFAULT_RENDER_QUALITY = 'low';
+
+/**
+ * Output formats, mapped to the Manim flags that produce them
+ */
+export const OUTPUT_FORMATS = {
+  mp4: { flags: [], extension: '.mp4', contentType: 'video/mp4' },
+  webm: { flags: ['--format', 'webm'], extension: '.webm', contentType: 'video/webm' },
+  gif: { flags: ['--format', 'gif'], extension: '.gif', contentType: 'image/gif' },
+  // Transparent background; Manim writes a QuickTime .mov with an alpha channel
+  mov: { flags: ['-t'], extension: '.mov', contentType: 'video/quicktime' },
+  // Final frame only, saved as a still image
+  png: { flags: ['-s'], extension: '.png', contentType: 'image/png' }
+};
+
+export const OUTPUT_FORMAT_NAMES = Object.keys(OUTPUT_FORMATS);
+
+export const DEFAULT_OUTPUT_FORMAT = 'mp4';
+
+export const RENDER_LIMITS = {
+  minDimension: 16,
+  maxDimension: 3840,
+  maxPixels: 3840 * 2160,
+  minFps: 1,
+  maxFps: 120
+};
+
+/**
+ * Parse "1280x720", "1280,720" or { width, height }; returns null when malformed
+ */
+export function parseResolution(resolution) {
+  if (resolution && typeof resolution === 'object') {
+    const { width, height } = resolution;
+    return Number.isInteger(width) && Number.isInteger(height) ? { width, height } : null;
+  }
+
+  const match = typeof resolution === 'string' && resolution.trim().match(/^(\d+)\s*[x,]\s*(\d+)$/i);
+  return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : null;
+}
+
+/**
+ * Combine a preset with optional explicit resolution/fps and an output format into effective render settings
+ *
+ * Without a preset, the smallest preset at least as tall as the requested
+ * resolution is used as the base (its -q flag and timeout).
+ */
+export function resolveRenderSettings({ quality, resolution, fps, format } = {}) {
+  const size = resolution ? parseResolution(resolution) : null;
+
+  let presetName = quality || DEFAULT_RENDER_QUALITY;
+  if (!quality && size) {
+    presetName = RENDER_QUALITY_NAMES.find(name => RENDER_QUALITY_PRESETS[name].height >= Math.min(size.width, size.height))
+      || '4k';
+  }
+
+  const preset = RENDER_QUALITY_PRESETS[presetName];
+  const width = size?.width ?? preset.width;
+  const height = size?.height ?? preset.height;
+  const frameRate = fps ?? preset.fps;
+  const outputFormat = format || DEFAULT_OUTPUT_FORMAT;
+
+  return {
+    quality: presetName,
+    custom: width !== preset.width || height !== preset.height || frameRate !== preset.fps,
+    width,
+    height,
+    fps: frameRate,
+    resolution: `${width}x${height}`,
+    format: outputFormat,
+    extension: OUTPUT_FORMATS[outputFormat].extension,
+    contentType: OUTPUT_FORMATS[outputFormat].contentType,
+    qualityFlag: preset.flag,
+    timeoutMs: preset.timeoutMs
+  };
+}
+
+/**
+ * Manim CLI arguments beyond the -q preset flag: explicit resolution/fps and the output format
+ */
+export function getCustomRenderFlags(settings) {
+  const sizeFlags = settings?.custom ? ['-r', `${settings.width},${settings.height}`, '--frame_rate', String(settings.fps)] : [];
+  const formatFlags = OUTPUT_FORMATS[settings?.format]?.flags || [];
+  return [...sizeFlags, ...formatFlags];
+}
+
+/**
+ * Directory name Manim writes videos to, e.g. "720p30"
+ */
+export function getQualityDirName(settings) {
+  return `${settings.height}p${settings.fps}`;
+}
+
+/**
+ * Public view of the settings used for a render (returned in response metadata)
+ */
+export function describeRenderSettings(settings) {
+  const { quality, custom, width, height, fps, resolution, format } = settings;
+  return { quality, custom, width, height, fps, resolution, format };
+}
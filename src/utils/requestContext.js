@@ -0,0 +1,29 @@
+/**
+ * Async-local request context so log lines anywhere in a request's call tree,
+ * including background jobs it submits, carry its request ID
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given request context attached to its async call tree
+ */
+export function runWithRequestContext(context, fn) {
+  return requestStorage.run(context, fn);
+}
+
+/**
+ * Get the request context of the current async call tree (null outside a request)
+ */
+export function getRequestContext() {
+  return requestStorage.getStore() || null;
+}
+
+/**
+ * Request ID of the current async call tree, if any
+ */
+export function getRequestId() {
+  return getRequestContext()?.requestId || null;
+}
@@ -2,6 +2,10 @@
  * Retry utilities for robust error handling and recovery
  */
 
+import { createLogger } from './logger.js';
+
+const log = createLogger('retryUtils');
+
 /**
  * Execute a function with exponential backoff retry
  */
@@ -20,7 +24,7 @@ export async function executeWithRetry(
       return { success: true, result, attempts: attempt + 1 };
     } catch (error) {
       lastError = error;
-      console.error(`Attempt ${attempt + 1}/${maxRetries} failed:`, error.message);
+      log.error(`Attempt ${attempt + 1}/${maxRetries} failed:`, error.message);
       
       // Check if we should retry this error
       if (!shouldRetry(error, attempt)) {
@@ -30,7 +34,7 @@ export async function executeWithRetry(
       // Don't delay after the last attempt
       if (attempt < maxRetries - 1) {
         const delay = initialDelay * Math.pow(backoffMultiplier, attempt);
-        console.log(`Waiting ${delay}ms before retry...`);
+        log.info(`Waiting ${delay}ms before retry...`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -52,7 +56,7 @@ export async function executeWithFallback(strategies, context = {}) {
   for (let i = 0; i < strategies.length; i++) {
     const strategy = strategies[i];
     try {
-      console.log(`Trying strategy ${i + 1}/${strategies.length}: ${strategy.name || 'unnamed'}`);
+      log.info(`Trying strategy ${i + 1}/${strategies.length}: ${strategy.name || 'unnamed'}`);
       const result = await strategy.execute(context);
       
       return {
@@ -63,7 +67,7 @@ export async function executeWithFallback(strategies, context = {}) {
         attempts: results.length + 1
       };
     } catch (error) {
-      console.error(`Strategy ${i + 1} failed:`, error.message);
+      log.error(`Strategy ${i + 1} failed:`, error.message);
       results.push({
         strategy: strategy.name || `Strategy ${i + 1}`,
         error: error.message
@@ -101,7 +105,7 @@ export class CircuitBreaker {
     if (this.state === 'OPEN') {
       if (Date.now() - this.lastFailTime > this.timeout) {
         this.state = 'HALF_OPEN';
-        console.log('Circuit breaker: Switching to HALF_OPEN state');
+        log.info('Circuit breaker: Switching to HALF_OPEN state');
       } else {
         throw new Error('Circuit breaker is OPEN - too many recent failures');
       }
@@ -112,7 +116,7 @@ export class CircuitBreaker {
       
       if (this.state === 'HALF_OPEN') {
         this.reset();
-        console.log('Circuit breaker: Reset to CLOSED state after successful call');
+        log.info('Circuit breaker: Reset to CLOSED state after successful call');
       }
       
       return result;
@@ -128,7 +132,7 @@ export class CircuitBreaker {
     
     if (this.failures >= this.threshold) {
       this.state = 'OPEN';
-      console.warn(`Circuit breaker: Switching to OPEN state after ${this.failures} failures`);
+      log.warn(`Circuit breaker: Switching to OPEN state after ${this.failures} failures`);
     }
   }
   
@@ -168,7 +172,7 @@ export class RateLimiter {
       const oldestRequest = Math.min(...this.requests);
       const waitTime = this.windowMs - (now - oldestRequest);
       
-      console.log(`Rate limit reached, waiting ${waitTime}ms...`);
+      log.info(`Rate limit reached, waiting ${waitTime}ms...`);
       await new Promise(resolve => setTimeout(resolve, waitTime));
       
       // Recursive call after waiting
@@ -239,7 +243,7 @@ export function createRetryCondition(retryableErrors = [], maxRetries = 3) {
     });
     
     if (!isRetryable) {
-      console.log(`Error type '${errorType}' is not retryable: ${error.message}`);
+      log.info(`Error type '${errorType}' is not retryable: ${error.message}`);
       return false;
     }
     
@@ -249,7 +253,7 @@ export function createRetryCondition(retryableErrors = [], maxRetries = 3) {
     
     const shouldRetry = attempt < maxRetries - 1;
     if (!shouldRetry) {
-      console.log(`Max retries reached for error type '${errorType}'`);
+      log.info(`Max retries reached for error type '${errorType}'`);
     }
     
     return shouldRetry;
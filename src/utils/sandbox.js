@@ -0,0 +1,117 @@
+/**
+ * Sandboxed execution of user-submitted Manim code
+ *
+ * Manim runs through src/python/sandbox_runner.py, which applies CPU time,
+ * memory and file-size rlimits and installs a Python audit hook that blocks
+ * subprocesses, sockets and filesystem writes outside the job directory.
+ * The child also gets an environment without secrets (API keys, tokens, ...).
+ *
+ * SANDBOX_ENABLED=false runs Manim directly with the full environment, as before.
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SandboxViolationError } from './errorUtils.js';
+
+export const SANDBOX_RUNNER_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'python', 'sandbox_runner.py');
+
+export const SANDBOX_VIOLATION_MARKER = 'SANDBOX_VIOLATION';
+
+/**
+ * Programs sandboxed code may start: Manim's LaTeX toolchain and ffmpeg
+ */
+export const DEFAULT_ALLOWED_EXECUTABLES = ['latex', 'pdflatex', 'xelatex', 'lualatex', 'dvisvgm', 'ffmpeg', 'ffprobe'];
+
+const SECRET_ENV_PATTERN = /KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|PRIVATE|AUTH|COOKIE/i;
+const SECRET_ENV_NAMES = ['DATABASE_URL', 'REDIS_URL', 'MONGODB_URI'];
+
+export const sandboxEnabled = () => process.env.SANDBOX_ENABLED !== 'false';
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Resource limits for one sandboxed run; CPU time defaults to the render timeout
+ */
+export function getSandboxLimits(timeoutMs) {
+  return {
+    cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS) || Math.ceil(timeoutMs / 1000),
+    memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 2048,
+    fileSizeMb: parseInt(process.env.SANDBOX_FILE_SIZE_MB) || 1024
+  };
+}
+
+export function isSecretEnvName(name) {
+  return SECRET_ENV_PATTERN.test(name)
+    || SECRET_ENV_NAMES.includes(name)
+    || parseList(process.env.SANDBOX_ENV_DENYLIST).includes(name);
+}
+
+/**
+ * Environment for a sandboxed child: secrets removed, temp files kept in the job directory
+ */
+export function createSandboxEnv(jobDir, timeoutMs, baseEnv = process.env) {
+  const env = Object.fromEntries(Object.entries(baseEnv).filter(([name]) => !isSecretEnvName(name)));
+  const limits = getSandboxLimits(timeoutMs);
+
+  return {
+    ...env,
+    PYTHONPATH: process.cwd(),
+    PYTHONDONTWRITEBYTECODE: '1',
+    TMPDIR: jobDir,
+    TEMP: jobDir,
+    TMP: jobDir,
+    TAXIM_SANDBOX_JOB_DIR: jobDir,
+    TAXIM_SANDBOX_ALLOWED_EXECUTABLES: [
+      ...DEFAULT_ALLOWED_EXECUTABLES,
+      ...parseList(process.env.SANDBOX_ALLOWED_EXECUTABLES)
+    ].join(','),
+    TAXIM_SANDBOX_CPU_SECONDS: String(limits.cpuSeconds),
+    TAXIM_SANDBOX_MEMORY_MB: String(limits.memoryMb),
+    TAXIM_SANDBOX_FILE_SIZE_MB: String(limits.fileSizeMb)
+  };
+}
+
+/**
+ * Command and leading arguments that run a Python module inside the sandbox; append the module's own arguments
+ */
+export function getSandboxLauncher(module) {
+  return { command: 'python', args: [SANDBOX_RUNNER_SCRIPT, '-m', module] };
+}
+
+/**
+ * Violations reported by a sandboxed run: audit hook blocks from stderr, plus
+ * exceeded rlimits (signals for CPU time and file size, MemoryError for memory)
+ */
+export function detectSandboxViolations({ stderr = '', signal = null } = {}) {
+  const violations = [];
+
+  for (const line of stderr.split('\n')) {
+    if (!line.startsWith(`${SANDBOX_VIOLATION_MARKER} `)) continue;
+    try {
+      violations.push(JSON.parse(line.slice(SANDBOX_VIOLATION_MARKER.length + 1)));
+    } catch {
+      violations.push({ event: 'unknown', detail: line });
+    }
+  }
+
+  if (signal === 'SIGXCPU') {
+    violations.push({ event: 'cpu-limit', detail: 'CPU time limit exceeded' });
+  } else if (signal === 'SIGXFSZ') {
+    violations.push({ event: 'file-size-limit', detail: 'File size limit exceeded' });
+  } else if (/^MemoryError\b/m.test(stderr)) {
+    violations.push({ event: 'memory-limit', detail: 'Memory limit exceeded' });
+  }
+
+  return violations;
+}
+
+/**
+ * Throw a SandboxViolationError if a sandboxed run (its output or ProcessError) shows violations
+ */
+export function throwOnSandboxViolation(result) {
+  const violations = detectSandboxViolations(result);
+  if (violations.length > 0) {
+    const summary = violations.map(violation => `${violation.event}: ${violation.detail}`).join('; ');
+    throw new SandboxViolationError(`Sandbox violation: ${summary}`, { violations });
+  }
+}
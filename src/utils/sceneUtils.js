@@ -0,0 +1,62 @@
+/**
+ * Find the Manim Scene subclasses defined in a Python source file
+ *
+ * Top-level class definitions are read with a pattern (the code is never run).
+ * A class is a scene when one of its bases is a Manim scene class (Scene,
+ * ThreeDScene, MovingCameraScene, ... - any name ending in "Scene") or another
+ * scene in the same file, so helper classes and mixins are skipped.
+ */
+
+/**
+ * Most scenes one /render request may ask for
+ */
+export const MAX_SCENES_PER_RENDER = 10;
+
+// Unindented "class Name(Base, ...):" headers; bases may span lines
+const CLASS_PATTERN = /^class[ \t]+([A-Za-z_]\w*)[ \t]*(?:\(([^)]*)\))?[ \t]*:/gm;
+
+/**
+ * Top-level classes in source order: [{ name, bases, line }]
+ */
+export function listClasses(code) {
+  return [...code.matchAll(CLASS_PATTERN)].map(match => ({
+    name: match[1],
+    // "manim.Scene" and "metaclass=..." keywords reduce to the class name or are dropped
+    bases: (match[2] || '')
+      .split(',')
+      .map(base => base.trim())
+      .filter(base => base && !base.includes('='))
+      .map(base => base.split('.').pop()),
+    line: code.slice(0, match.index).split('\n').length
+  }));
+}
+
+/**
+ * Scene subclasses in source order: [{ name, bases, line }]
+ */
+export function listScenes(code) {
+  const classes = listClasses(code);
+  const sceneNames = new Set();
+
+  // Repeat until no new scenes are found, so subclasses of local scenes count in any order
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const cls of classes) {
+      if (!sceneNames.has(cls.name) &&
+          cls.bases.some(base => base.endsWith('Scene') || sceneNames.has(base))) {
+        sceneNames.add(cls.name);
+        changed = true;
+      }
+    }
+  }
+
+  return classes.filter(cls => sceneNames.has(cls.name));
+}
+
+/**
+ * Name of the scene rendered when none is requested: the first scene in the file
+ */
+export function getDefaultSceneName(code) {
+  return listScenes(code)[0]?.name || null;
+}
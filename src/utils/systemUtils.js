@@ -2,17 +2,21 @@
  * System requirements and installation check utilities
  */
 
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { resolveRenderSettings, getCustomRenderFlags } from './renderSettings.js';
+import { getSandboxLauncher, sandboxEnabled } from './sandbox.js';
+import { getCodePolicyMode } from './codePolicy.js';
+import { runOutsideJobContext } from './jobContext.js';
+import { runProcess } from './processRunner.js';
 
-const execAsync = promisify(exec);
+// Version checks should answer quickly; a hung binary counts as missing
+const VERSION_CHECK_TIMEOUT_MS = 15000;
 
 /**
  * Check Manim installation
  */
 export async function checkManimInstallation() {
   try {
-    const { stdout } = await execAsync("manim --version");
+    const { stdout } = await runProcess('manim', ['--version'], { timeoutMs: VERSION_CHECK_TIMEOUT_MS });
     return {
       installed: true,
       version: stdout.trim(),
@@ -30,7 +34,7 @@ export async function checkManimInstallation() {
  */
 export async function checkFFmpegInstallation() {
   try {
-    const { stdout } = await execAsync("ffmpeg -version");
+    const { stdout } = await runProcess('ffmpeg', ['-version'], { timeoutMs: VERSION_CHECK_TIMEOUT_MS });
     const versionLine = stdout.split("\n")[0];
     return {
       installed: true,
@@ -49,7 +53,7 @@ export async function checkFFmpegInstallation() {
  */
 export async function checkLatexInstallation() {
   try {
-    const { stdout } = await execAsync("pdflatex --version");
+    const { stdout } = await runProcess('pdflatex', ['--version'], { timeoutMs: VERSION_CHECK_TIMEOUT_MS });
     return {
       installed: true,
       version: stdout.split('\n')[0].trim()
@@ -80,17 +84,87 @@ export async function checkSystemRequirements() {
   };
 }
 
+// Tool versions do not change while the server runs
+let systemRequirementsPromise = null;
+
+/**
+ * Versions and settings that affect rendering, for job debug logs
+ * Holds no secrets; the version checks run once and outside any job, so no job records them.
+ */
+export async function getEnvironmentSummary() {
+  if (!systemRequirementsPromise) {
+    systemRequirementsPromise = runOutsideJobContext(() => checkSystemRequirements());
+  }
+  const { manim, ffmpeg, latex } = await systemRequirementsPromise;
+  const versionOf = (tool) => (tool.installed ? tool.version : null);
+
+  return {
+    node: process.version,
+    platform: process.platform,
+    arch: process.arch,
+    manim: versionOf(manim),
+    ffmpeg: versionOf(ffmpeg),
+    latex: versionOf(latex),
+    sandbox: sandboxEnabled(),
+    codePolicy: getCodePolicyMode()
+  };
+}
+
 /**
- * Optimized Manim command variations for rendering
+ * Optimized Manim command variations for rendering, as { command, args } for runProcess
  * Reduced from 4 to 3 most reliable commands
+ *
+ * options.mediaDir - isolated Manim media directory for this render
+ * options.renderSettings - resolved quality/resolution/fps (defaults to the low preset)
+ * options.sandbox - run through the sandbox runner (see utils/sandbox.js)
  */
-export function getManimCommands(pythonFilePath, className) {
+export function getManimCommands(pythonFilePath, className, options = {}) {
+  const settings = options.renderSettings || resolveRenderSettings();
+  const q = settings.qualityFlag;
+  const flags = [
+    "--disable_caching",
+    ...getCustomRenderFlags(settings),
+    ...(options.mediaDir ? ["--media_dir", options.mediaDir] : []),
+  ];
+  const target = [pythonFilePath, className];
+
+  if (options.sandbox) {
+    // No -p: opening a preview player would be a blocked subprocess
+    const { command, args } = getSandboxLauncher("manim");
+    return [
+      { command, args: [...args, `-q${q}`, ...flags, ...target] },
+      { command, args: [...args, "--quality", q, ...flags, ...target] },
+    ];
+  }
+
   return [
     // Default recommended (with caching disabled to prevent stale renders)
-    `manim -pql --disable_caching ${JSON.stringify(pythonFilePath)} ${className}`,
+    { command: "manim", args: [`-pq${q}`, ...flags, ...target] },
     // Legacy format fallback
-    `manim -p -ql --disable_caching ${JSON.stringify(pythonFilePath)} ${className}`,
+    { command: "manim", args: ["-p", `-q${q}`, ...flags, ...target] },
     // Python module fallback (most compatible)
-    `python -m manim -pql --disable_caching ${JSON.stringify(pythonFilePath)} ${className}`,
+    { command: "python", args: ["-m", "manim", `-pq${q}`, ...flags, ...target] },
   ];
 }
+
+/**
+ * Parse Manim progress bar output (e.g. "Animation 2: Create(Circle):  40%|████") into
+ * { animation, percent } entries, in the order they appear
+ */
+export function parseManimProgress(output) {
+  const progress = [];
+  const progressPattern = /(?:Animation\s+(\d+)[^\r\n%]*?)?(\d{1,3})%\|/g;
+
+  for (const line of output.split(/[\r\n]+/)) {
+    let match;
+    progressPattern.lastIndex = 0;
+    while ((match = progressPattern.exec(line)) !== null) {
+      progress.push({
+        animation: match[1] !== undefined ? parseInt(match[1]) : null,
+        percent: Math.min(parseInt(match[2]), 100)
+      });
+    }
+  }
+
+  return progress;
+}
@@ -0,0 +1,102 @@
+/**
+ * Poster frame and animated preview generation for rendered animations (via ffmpeg)
+ *
+ * Thumbnails live in <animation dir>/thumbnails and are named after their video
+ * (MyScene_123_poster.jpg, MyScene_123_preview.gif), so they can be removed
+ * together with it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runProcess } from './processRunner.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('thumbnailUtils');
+
+const FFMPEG_TIMEOUT_MS = 60000;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_FPS = 8;
+const PREVIEW_SECONDS = 4;
+
+export const THUMBNAIL_DIR_NAME = 'thumbnails';
+
+export const thumbnailsEnabled = () => process.env.GENERATE_THUMBNAILS !== 'false';
+
+export function getThumbnailDir(animationDir) {
+  return path.join(animationDir, THUMBNAIL_DIR_NAME);
+}
+
+/**
+ * Extract a poster frame (last frame) and a short looping preview GIF from a rendered video
+ * Returns file names relative to the thumbnail directory; a failed step yields null
+ */
+export async function generateThumbnails(videoPath, { format = 'mp4' } = {}) {
+  const thumbnailDir = getThumbnailDir(path.dirname(videoPath));
+  const baseName = path.basename(videoPath, path.extname(videoPath));
+  fs.mkdirSync(thumbnailDir, { recursive: true });
+
+  // Transparent renders keep their alpha channel in a PNG poster
+  const posterFileName = `${baseName}_poster${format === 'mov' ? '.png' : '.jpg'}`;
+  const previewFileName = `${baseName}_preview.gif`;
+
+  // Keep overwriting one image so the final frame is what remains
+  const posterArgs = (seekArgs) =>
+    ['-y', '-v', 'error', ...seekArgs, '-i', videoPath, '-update', '1', '-q:v', '3', path.join(thumbnailDir, posterFileName)];
+
+  const [poster, preview] = await Promise.all([
+    // Decode only the last second when the input can seek from the end (GIFs cannot)
+    runFfmpeg(posterArgs(['-sseof', '-1']), 'poster frame')
+      .then(done => done || runFfmpeg(posterArgs([]), 'poster frame')),
+    runFfmpeg([
+      '-y', '-v', 'error', '-t', String(PREVIEW_SECONDS), '-i', videoPath,
+      '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      '-loop', '0', path.join(thumbnailDir, previewFileName)
+    ], 'preview')
+  ]);
+
+  return {
+    posterFileName: poster ? posterFileName : null,
+    previewFileName: preview ? previewFileName : null
+  };
+}
+
+async function runFfmpeg(args, label) {
+  try {
+    await runProcess('ffmpeg', args, { timeoutMs: FFMPEG_TIMEOUT_MS });
+    return true;
+  } catch (error) {
+    log.warn(`Failed to generate ${label}:`, (error.stderr || error.message).trim());
+    return false;
+  }
+}
+
+/**
+ * Remove thumbnails whose video no longer exists in the animation directory
+ */
+export function cleanupOrphanedThumbnails(animationDir) {
+  const thumbnailDir = getThumbnailDir(animationDir);
+  if (!fs.existsSync(thumbnailDir)) {
+    return { cleaned: 0 };
+  }
+
+  const videoBases = new Set(
+    fs.readdirSync(animationDir)
+      .filter(file => path.extname(file))
+      .map(file => path.basename(file, path.extname(file)))
+  );
+
+  let cleaned = 0;
+  for (const file of fs.readdirSync(thumbnailDir)) {
+    const match = file.match(/^(.+)_(poster|preview)\.\w+$/);
+    if (!match || videoBases.has(match[1])) continue;
+
+    try {
+      fs.unlinkSync(path.join(thumbnailDir, file));
+      cleaned++;
+    } catch (error) {
+      log.warn(`Failed to remove thumbnail ${file}:`, error.message);
+    }
+  }
+
+  return { cleaned };
+}
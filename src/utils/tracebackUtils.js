@@ -0,0 +1,131 @@
+/**
+ * Python traceback parsing, so compile and render errors point at a line of the scene code
+ *
+ * Understands plain tracebacks (python, py_compile) and the boxed Rich tracebacks Manim prints.
+ */
+
+import path from 'path';
+
+const FRAME_PATTERN = /^\s*File "(.+?)", line (\d+)(?:, in .+)?$/;
+const RICH_FRAME_PATTERN = /^[│|]\s*(\S+\.py):(\d+) in \S+/;
+const EXCEPTION_PATTERN = /^((?:[A-Za-z_]\w*\.)*[A-Z]\w*(?:Error|Exception|Exit|Interrupt|Iteration))(?::\s*(.*))?$/;
+// py_compile reports tab errors on one line: "Sorry: TabError: <message> (scene.py, line 3)"
+const SORRY_PATTERN = /^Sorry: (\w+): (.*) \((.+), line (\d+)\)$/;
+// "^" under a syntax error, or "~~~^^^" under the failing expression (Python 3.11+)
+const CARET_PATTERN = /^\s*[~^][~^ ]*$/;
+
+const SNIPPET_CONTEXT_LINES = 2;
+
+/**
+ * Frames and the final exception of a traceback; chained tracebacks keep their last exception
+ */
+function scanTraceback(lines) {
+  const frames = [];
+  let exception = null;
+
+  lines.forEach((text, index) => {
+    const sorry = text.match(SORRY_PATTERN);
+    if (sorry) {
+      frames.push({ file: sorry[3], line: parseInt(sorry[4]), source: null, caret: null });
+      exception = { type: sorry[1], message: sorry[2] };
+      return;
+    }
+
+    const frame = text.match(FRAME_PATTERN);
+    if (frame) {
+      const source = /^\s{4}/.test(lines[index + 1] || '') ? lines[index + 1] : null;
+      const caret = source !== null && CARET_PATTERN.test(lines[index + 2] || '') ? lines[index + 2] : null;
+      frames.push({ file: frame[1], line: parseInt(frame[2]), source, caret });
+      return;
+    }
+
+    const richFrame = text.match(RICH_FRAME_PATTERN);
+    if (richFrame) {
+      frames.push({ file: richFrame[1], line: parseInt(richFrame[2]), source: null, caret: null });
+      return;
+    }
+
+    const exceptionLine = text.match(EXCEPTION_PATTERN);
+    if (exceptionLine) {
+      exception = { type: exceptionLine[1], message: (exceptionLine[2] || '').trim() };
+    }
+  });
+
+  return { frames, exception };
+}
+
+/**
+ * 1-based column of the caret in the code line, or null
+ * Python prints the source line without its indentation, indented by 4 spaces instead.
+ */
+function findColumn(frame, codeLine) {
+  if (!frame.caret || codeLine === undefined || frame.source.trim() !== codeLine.trim()) {
+    return null;
+  }
+
+  const printedIndent = frame.source.length - frame.source.trimStart().length;
+  const codeIndent = codeLine.length - codeLine.trimStart().length;
+  const column = frame.caret.search(/[~^]/) - printedIndent + codeIndent + 1;
+  return column >= 1 ? column : null;
+}
+
+/**
+ * The failing line with a few lines around it, numbered, with a caret under the column when known
+ */
+function buildSnippet(codeLines, line, column) {
+  const first = Math.max(1, line - SNIPPET_CONTEXT_LINES);
+  const last = Math.min(codeLines.length, line + SNIPPET_CONTEXT_LINES);
+  const width = String(last).length;
+  const snippet = [];
+
+  for (let number = first; number <= last; number++) {
+    snippet.push(`${number === line ? '>' : ' '} ${String(number).padStart(width)} | ${codeLines[number - 1]}`);
+    if (number === line && column) {
+      snippet.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+    }
+  }
+  return snippet.join('\n');
+}
+
+/**
+ * Parse Python or Manim error output into { type, message, line, column, snippet }
+ *
+ * options.code     - the code that ran; lines and snippets refer to it
+ * options.fileName - name of the file it ran from; frames in other files (Manim, the
+ *                    standard library) are skipped, so `line` is the last line of this code
+ *                    on the way to the error
+ *
+ * Returns null when the output has no Python exception. `line`, `column` and `snippet`
+ * are null when the traceback does not reach the code.
+ */
+export function parsePythonError(output, { code = null, fileName = null } = {}) {
+  if (!output) return null;
+
+  const { frames, exception } = scanTraceback(String(output).split(/\r?\n/));
+  if (!exception) return null;
+
+  const frame = frames.reverse().find(entry => !fileName || path.basename(entry.file) === fileName) || null;
+  const codeLines = code === null ? null : code.split('\n');
+
+  let line = frame ? frame.line : null;
+  if (line !== null && codeLines && line > codeLines.length) {
+    line = null;
+  }
+  const column = line !== null && codeLines ? findColumn(frame, codeLines[line - 1]) : null;
+
+  return {
+    type: exception.type,
+    message: exception.message,
+    line,
+    column,
+    snippet: line !== null && codeLines ? buildSnippet(codeLines, line, column) : null
+  };
+}
+
+/**
+ * Short description of a parsed error for fix prompts, in place of the full output
+ */
+export function formatPythonError({ type, message, line, column, snippet }) {
+  const location = line ? ` (line ${line}${column ? `, column ${column}` : ''})` : '';
+  return `${type}${message ? `: ${message}` : ''}${location}${snippet ? `\n${snippet}` : ''}`;
+}
@@ -0,0 +1,1403 @@
+/**
+ * End-to-end tests for the generate/render pipeline
+ * Runs fully offline: the mock LLM provider answers prompts from
+ * tests/fixtures/mockLlmScript.json and tests/fixtures/bin shadows python/manim
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { hashApiKey } from '../src/services/apiKeyStore.js';
+import manimRoutes from '../src/routes/manim.js';
+import { openApiSpec } from '../src/openapi/spec.js';
+import { createAjv, listOperations, toJsonSchema } from '../src/openapi/validator.js';
+import {
+  startOfflineServer,
+  postJson,
+  waitForJob,
+  readJobEvents
+} from './helpers/offlineServer.js';
+import {
+  SANDBOX_RUNNER_SCRIPT,
+  createSandboxEnv,
+  detectSandboxViolations,
+  throwOnSandboxViolation
+} from '../src/utils/sandbox.js';
+import { runProcess, ProcessError } from '../src/utils/processRunner.js';
+import { parsePythonError } from '../src/utils/tracebackUtils.js';
+import { analyzeCode } from '../src/utils/codePolicy.js';
+import { runWithJobContext } from '../src/utils/jobContext.js';
+import { createJobDiagnostics } from '../src/utils/jobDiagnostics.js';
+import { PerformanceMonitor } from '../src/utils/monitoringUtils.js';
+
+const VALID_CODE = `from manim import *
+
+class DirectAnimation(Scene):
+    def construct(self):
+        circle = Circle(color=BLUE)
+        self.play(Create(circle))
+        self.wait(1)`;
+
+describe('offline generate/render pipeline', () => {
+  let server;
+
+  before(async () => {
+    server = await startOfflineServer();
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('generate job produces a servable video', async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'Draw a blue circle',
+      sessionId: 'e2e-happy'
+    });
+
+    assert.equal(status, 202);
+    assert.ok(body.jobId);
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'done', JSON.stringify(job.error));
+    assert.match(job.result.code, /class MockAnimation\(Scene\)/);
+    assert.equal(job.result.metadata.generationAttempts, 1);
+
+    const video = await fetch(`${server.baseUrl}/animations/${job.result.videoFileName}`);
+    assert.equal(video.status, 200);
+
+    assert.match(job.result.posterPath, /^\/animations\/thumbnails\/.+_poster\.jpg$/);
+    assert.match(job.result.previewPath, /^\/animations\/thumbnails\/.+_preview\.gif$/);
+    for (const thumbnail of [job.result.posterPath, job.result.previewPath]) {
+      const response = await fetch(`${server.baseUrl}${thumbnail}`);
+      assert.equal(response.status, 200);
+      assert.match(await response.text(), new RegExp(`from ${job.result.videoFileName}`));
+    }
+  });
+
+  test('generate job fixes broken code and reports fix steps', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'broken circle',
+      sessionId: 'e2e-fix'
+    });
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'done', JSON.stringify(job.error));
+    assert.match(job.result.code, /class FixedAnimation\(Scene\)/);
+    assert.ok(job.result.metadata.generationAttempts > 1);
+
+    const events = await readJobEvents(server.baseUrl, body.jobId);
+    const steps = events.filter(event => event.type === 'step');
+
+    assert.ok(steps.some(event => event.data.step === 'code-tested' && event.data.success === false));
+    assert.ok(steps.some(event => event.data.step === 'fix-attempt'));
+    assert.equal(events[events.length - 1].state, 'done');
+  });
+
+  test('cancelling a job kills the Manim process group and removes its temp files', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'hanging circle',
+      sessionId: 'e2e-cancel'
+    });
+
+    // The fake manim writes its PID and its child's once the render hangs
+    const pidFile = path.join(server.workDir, 'fake_manim_hang.pids');
+    const deadline = Date.now() + 20000;
+    while (!fs.existsSync(pidFile) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const pids = fs.readFileSync(pidFile, 'utf8').trim().split(' ').map(Number);
+    const isAlive = (pid) => {
+      try {
+        process.kill(pid, 0);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    assert.ok(pids.every(isAlive));
+
+    const cancelled = await fetch(`${server.baseUrl}/api/manim/jobs/${body.jobId}`, { method: 'DELETE' });
+    assert.equal(cancelled.status, 200);
+    assert.equal((await cancelled.json()).state, 'cancelled');
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'cancelled');
+    assert.equal(job.error.code, 'JOB_CANCELLED');
+
+    const events = await readJobEvents(server.baseUrl, body.jobId);
+    assert.equal(events[events.length - 1].state, 'cancelled');
+
+    // Processes and temp files go away once the pipeline unwinds
+    const cleanupDeadline = Date.now() + 10000;
+    const leftovers = () => [
+      ...fs.readdirSync(path.join(server.workDir, 'temp')).filter(name => name.endsWith('.py')),
+      ...fs.readdirSync(path.join(server.workDir, 'temp', 'renders'))
+    ];
+    while ((pids.some(isAlive) || leftovers().length > 0) && Date.now() < cleanupDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.deepEqual(pids.filter(isAlive), []);
+    assert.deepEqual(leftovers(), []);
+
+    const again = await postJson(`${server.baseUrl}/api/manim/jobs/${body.jobId}/cancel`, {});
+    assert.equal(again.status, 409);
+  });
+
+  test('a client that disconnects from /render cancels the render and kills Manim', async () => {
+    const pidFile = path.join(server.workDir, 'fake_manim_hang.pids');
+    fs.rmSync(pidFile, { force: true });
+
+    const controller = new AbortController();
+    const request = fetch(`${server.baseUrl}/api/manim/render`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code: `${VALID_CODE}\n# FAKE_MANIM_HANG`, sessionId: 'e2e-disconnect' }),
+      signal: controller.signal
+    }).catch(error => error);
+
+    const deadline = Date.now() + 20000;
+    while (!fs.existsSync(pidFile) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const pids = fs.readFileSync(pidFile, 'utf8').trim().split(' ').map(Number);
+    const isAlive = (pid) => {
+      try {
+        process.kill(pid, 0);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    assert.ok(pids.every(isAlive));
+
+    controller.abort();
+    assert.equal((await request).name, 'AbortError');
+
+    const cleanupDeadline = Date.now() + 10000;
+    while (pids.some(isAlive) && Date.now() < cleanupDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.deepEqual(pids.filter(isAlive), []);
+    assert.match(server.logs.join(''), /Cancelled job .+: Client disconnected/);
+  });
+
+  test('render returns a video for valid code', async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: VALID_CODE,
+      sessionId: 'e2e-render'
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.success, true);
+    assert.equal(body.metadata.wasImproved, false);
+    assert.match(body.videoFileName, /\.mp4$/);
+  });
+
+  test('render applies quality presets and explicit resolution/fps', async () => {
+    const preset = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: VALID_CODE,
+      sessionId: 'e2e-quality',
+      quality: 'medium'
+    });
+    assert.equal(preset.status, 200, JSON.stringify(preset.body));
+    assert.deepEqual(preset.body.metadata.renderSettings, {
+      quality: 'medium', custom: false, width: 1280, height: 720, fps: 30, resolution: '1280x720', format: 'mp4'
+    });
+    const presetVideo = await (await fetch(`${server.baseUrl}${preset.body.videoPath}`)).text();
+    assert.match(presetVideo, /1280x720@30/);
+
+    const custom = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: VALID_CODE,
+      sessionId: 'e2e-quality',
+      resolution: '1080x1920',
+      fps: 24
+    });
+    assert.equal(custom.status, 200, JSON.stringify(custom.body));
+    assert.equal(custom.body.metadata.renderSettings.quality, 'high');
+    assert.equal(custom.body.metadata.renderSettings.custom, true);
+    const customVideo = await (await fetch(`${server.baseUrl}${custom.body.videoPath}`)).text();
+    assert.match(customVideo, /1080x1920@24/);
+
+    for (const invalid of [{ quality: 'ultra' }, { resolution: '1281x720' }, { resolution: '8000x8000' }, { fps: 0 }]) {
+      const { status } = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, ...invalid });
+      assert.equal(status, 400, JSON.stringify(invalid));
+    }
+  });
+
+  test('render produces each output format with its extension and content type', async () => {
+    const expected = {
+      mp4: 'video/mp4',
+      webm: 'video/webm',
+      gif: 'image/gif',
+      mov: 'video/quicktime',
+      png: 'image/png'
+    };
+
+    for (const [format, contentType] of Object.entries(expected)) {
+      const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, {
+        code: VALID_CODE,
+        sessionId: 'e2e-formats',
+        format
+      });
+
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.format, format);
+      assert.equal(body.contentType, contentType);
+      assert.ok(body.videoFileName.endsWith(`.${format}`), body.videoFileName);
+
+      const file = await fetch(`${server.baseUrl}${body.videoPath}`);
+      assert.equal(file.status, 200);
+      assert.match(await file.text(), new RegExp(`fake ${format} for DirectAnimation`));
+
+      if (format === 'png') {
+        assert.equal(body.posterPath, body.videoPath);
+        assert.equal(body.previewPath, null);
+      } else {
+        assert.match(body.posterPath, format === 'mov' ? /_poster\.png$/ : /_poster\.jpg$/);
+      }
+    }
+
+    const { status } = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, format: 'avi' });
+    assert.equal(status, 400);
+  });
+
+  test('render selects scenes in multi-scene files and returns one artifact per scene', async () => {
+    const code = `from manim import *
+
+class Palette:
+    accent = BLUE
+
+class Intro(Scene):
+    def construct(self):
+        self.play(Create(Circle(color=Palette.accent)))
+
+class Outro(MovingCameraScene):
+    def construct(self):
+        self.play(FadeIn(Square()))`;
+
+    const listed = await postJson(`${server.baseUrl}/api/manim/scenes`, { code });
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.scenes.map(scene => scene.name), ['Intro', 'Outro']);
+    assert.equal(listed.body.defaultScene, 'Intro');
+
+    const first = await postJson(`${server.baseUrl}/api/manim/render`, { code, sessionId: 'e2e-scenes' });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.sceneName, 'Intro');
+    assert.deepEqual(first.body.availableScenes, ['Intro', 'Outro']);
+
+    const both = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code,
+      sessionId: 'e2e-scenes',
+      scenes: ['Outro', 'Intro']
+    });
+    assert.equal(both.status, 200, JSON.stringify(both.body));
+    assert.deepEqual(both.body.scenes.map(scene => scene.sceneName), ['Outro', 'Intro']);
+    assert.equal(both.body.videoPath, both.body.scenes[0].videoPath);
+    assert.equal(both.body.scenes[1].cached, true);
+    const outro = await (await fetch(`${server.baseUrl}${both.body.scenes[0].videoPath}`)).text();
+    assert.match(outro, /fake mp4 for Outro/);
+
+    const missing = await postJson(`${server.baseUrl}/api/manim/render`, { code, sceneName: 'Palette' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /Palette.*available: Intro, Outro/);
+
+    const ambiguous = await postJson(`${server.baseUrl}/api/manim/render`, { code, sceneName: 'Intro', scenes: ['Outro'] });
+    assert.equal(ambiguous.status, 400);
+  });
+
+  test('render reuses the cached video for identical code and settings', async () => {
+    const code = VALID_CODE.replace('DirectAnimation', 'CachedAnimation');
+
+    const first = await postJson(`${server.baseUrl}/api/manim/render`, { code, sessionId: 'e2e-cache' });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.metadata.cached, false);
+
+    // Line endings and trailing whitespace do not change the cache key
+    const again = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: code.replace(/\n/g, '  \r\n'),
+      sessionId: 'e2e-cache-other'
+    });
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    assert.equal(again.body.metadata.cached, true);
+    assert.equal(again.body.videoFileName, first.body.videoFileName);
+    assert.notEqual(again.body.animationId, first.body.animationId);
+
+    const detail = await (await fetch(`${server.baseUrl}/api/manim/animations/${again.body.animationId}`)).json();
+    assert.equal(detail.animation.sessionId, 'e2e-cache-other');
+    assert.equal(detail.animation.cachedFrom, first.body.animationId);
+
+    const otherQuality = await postJson(`${server.baseUrl}/api/manim/render`, { code, quality: 'medium' });
+    assert.equal(otherQuality.body.metadata.cached, false);
+    assert.notEqual(otherQuality.body.videoFileName, first.body.videoFileName);
+
+    // Windowed hit/miss metrics are off under NODE_ENV=test; the cache's own counters are not
+    const { metrics } = await (await fetch(`${server.baseUrl}/api/manim/status/performance`)).json();
+    assert.ok(metrics.render.cache.store.hits >= 1);
+    assert.ok(metrics.render.cache.store.misses >= 2);
+  });
+
+  test('render recovers from a runtime failure by improving the code', async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: `${VALID_CODE}\n# FAKE_MANIM_FAIL`,
+      sessionId: 'e2e-improve'
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.metadata.wasImproved, true);
+    assert.match(body.code, /class ImprovedAnimation\(Scene\)/);
+
+    // The render ran as a job, so its logs show both attempts
+    assert.equal(body.logsUrl, `/api/manim/jobs/${body.jobId}/logs`);
+    const logs = await (await fetch(`${server.baseUrl}${body.logsUrl}`)).json();
+    assert.equal(logs.state, 'done');
+    assert.match(logs.environment.manim, /Manim Community/);
+    assert.ok(logs.commands.some(entry => /manim/.test(entry.command) && entry.exitCode !== 0));
+    assert.ok(logs.commands.some(entry => /manim/.test(entry.command) && entry.exitCode === 0));
+  });
+
+  test('render cache answers resubmitted code that needed fixing without fixing it again', async () => {
+    const code = `${VALID_CODE}\n# source cache\n# FAKE_MANIM_FAIL`;
+    const first = await postJson(`${server.baseUrl}/api/manim/render`, { code, sessionId: 'e2e-source-cache' });
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.metadata.wasImproved, true);
+    assert.equal(first.body.metadata.cached, false);
+
+    const again = await postJson(`${server.baseUrl}/api/manim/render`, { code, sessionId: 'e2e-source-cache' });
+    assert.equal(again.status, 200, JSON.stringify(again.body));
+    assert.equal(again.body.metadata.cached, true);
+    assert.equal(again.body.videoFileName, first.body.videoFileName);
+    assert.equal(again.body.code, first.body.code);
+    assert.equal(again.body.metadata.wasCodeFixed, true);
+
+    // Neither the code test nor the render ran again
+    const logs = await (await fetch(`${server.baseUrl}${again.body.logsUrl}`)).json();
+    assert.deepEqual(logs.commands, []);
+  });
+
+  test('job logs keep failed commands and code versions, and download as a zip bundle', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'failing circle',
+      sessionId: 'e2e-logs'
+    });
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'done', JSON.stringify(job.error));
+
+    const logsResponse = await fetch(`${server.baseUrl}/api/manim/jobs/${body.jobId}/logs`);
+    assert.equal(logsResponse.status, 200);
+    const logs = await logsResponse.json();
+
+    assert.equal(logs.state, 'done');
+    assert.match(logs.environment.manim, /Manim Community/);
+    assert.equal(logs.environment.llm.provider, 'mock');
+
+    const failedRender = logs.commands.find(entry => /manim/.test(entry.command) && entry.exitCode !== 0);
+    assert.ok(failedRender, JSON.stringify(logs.commands.map(entry => entry.command)));
+    assert.match(failedRender.stderr, /Traceback/);
+    assert.ok(failedRender.durationMs >= 0);
+    assert.ok(logs.commands.some(entry => /manim/.test(entry.command) && entry.exitCode === 0));
+
+    assert.ok(logs.codeVersions.length >= 2);
+    assert.ok(logs.codeVersions.some(version => version.code.includes('class FailingAnimation')));
+    assert.ok(logs.codeVersions.some(version => version.code.includes('class ImprovedAnimation')));
+
+    const bundle = await fetch(`${server.baseUrl}/api/manim/jobs/${body.jobId}/logs/bundle`);
+    assert.equal(bundle.status, 200);
+    assert.equal(bundle.headers.get('content-type'), 'application/zip');
+    assert.match(bundle.headers.get('content-disposition'), new RegExp(`taxim-job-${body.jobId}\\.zip`));
+
+    const zipPath = path.join(server.workDir, 'job-logs.zip');
+    fs.writeFileSync(zipPath, Buffer.from(await bundle.arrayBuffer()));
+    const listing = spawnSync('python3', ['-c', [
+      'import sys, zipfile',
+      'z = zipfile.ZipFile(sys.argv[1])',
+      'assert z.testzip() is None',
+      'print("\\n".join(z.namelist()))'
+    ].join('\n'), zipPath], { encoding: 'utf8' });
+    assert.equal(listing.status, 0, listing.stderr);
+
+    const names = listing.stdout.trim().split('\n');
+    const folder = `taxim-job-${body.jobId}`;
+    for (const file of ['job.json', 'environment.json', 'commands.json', 'code-versions.json', 'events.json']) {
+      assert.ok(names.includes(`${folder}/${file}`), file);
+    }
+    assert.ok(names.some(name => /\/commands\/\d+-[\w.-]+\.stderr\.log$/.test(name)));
+    assert.ok(names.some(name => name.startsWith(`${folder}/code/`)));
+
+    const missing = await fetch(`${server.baseUrl}/api/manim/jobs/no-such-job/logs`);
+    assert.equal(missing.status, 404);
+
+    // Improving the failed render runs in the fixing state, which a shutdown drain does not wait for
+    const events = await readJobEvents(server.baseUrl, body.jobId);
+    const improve = events.find(event => event.type === 'step' && event.data.step === 'improve-started');
+    assert.equal(improve?.state, 'fixing');
+    const states = events.filter(event => event.type === 'state').map(event => event.data.state);
+    assert.deepEqual(states.slice(-3), ['fixing', 'rendering', 'done']);
+  });
+
+  test('render errors locate the failing line of the submitted code', async () => {
+    const code = 'from manim import *\n\nclass UnfixableAnimation(Scene):\n    def construct(self)\n        self.play(Create(Circle()))  # UNFIXABLE';
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, { code, sessionId: 'e2e-traceback' });
+
+    // The fix prompts get the parsed error; the mock answers those with the same broken code
+    assert.equal(status, 500, JSON.stringify(body));
+    assert.equal(body.code, 'MANIM_CODE_ERROR');
+    const logs = await (await fetch(`${server.baseUrl}/api/manim/jobs/${body.jobId}/logs`)).json();
+    assert.equal(logs.state, 'failed');
+    assert.ok(logs.codeVersions.some(version => version.code.includes('# UNFIXABLE')));
+    assert.deepEqual(body.pythonError, {
+      type: 'SyntaxError',
+      message: "expected ':'",
+      line: 4,
+      column: 24,
+      snippet: [
+        '  2 | ',
+        '  3 | class UnfixableAnimation(Scene):',
+        '> 4 |     def construct(self)',
+        '    |                        ^',
+        '  5 |         self.play(Create(Circle()))  # UNFIXABLE'
+      ].join('\n')
+    });
+  });
+
+  test('sessions keep code versions with diffs, reverts and forks', async () => {
+    const sessionUrl = `${server.baseUrl}/api/manim/sessions/session/e2e-versions`;
+    const manualCode = `${VALID_CODE}\n# FAKE_MANIM_FAIL`;
+    const rendered = await postJson(`${server.baseUrl}/api/manim/render`, { code: manualCode, sessionId: 'e2e-versions' });
+    assert.equal(rendered.status, 200, JSON.stringify(rendered.body));
+    assert.equal(rendered.body.sessionInfo.currentVersionId, 'v2');
+
+    const history = await (await fetch(`${sessionUrl}/versions`)).json();
+    assert.deepEqual(history.versions.map(({ id, parentId, reason }) => ({ id, parentId, reason })), [
+      { id: 'v1', parentId: null, reason: 'manual' },
+      { id: 'v2', parentId: 'v1', reason: 'improve' }
+    ]);
+    assert.equal(history.versions[1].current, true);
+    assert.equal(history.versions[0].code, undefined);
+
+    const diff = await (await fetch(`${sessionUrl}/diff`)).json();
+    assert.equal(diff.from, 'v1');
+    assert.equal(diff.to, 'v2');
+    assert.match(diff.diff, /^--- v1\/scene\.py\n\+\+\+ v2\/scene\.py\n@@ -1,\d+ \+1,\d+ @@/);
+    assert.match(diff.diff, /^-# FAKE_MANIM_FAIL$/m);
+    assert.match(diff.diff, /^\+class ImprovedAnimation\(Scene\):$/m);
+
+    const reverted = await postJson(`${sessionUrl}/versions/v1/revert`, {});
+    assert.equal(reverted.status, 200);
+    assert.equal(reverted.body.version.id, 'v3');
+    assert.equal(reverted.body.version.reason, 'revert');
+    assert.equal(reverted.body.version.revertedTo, 'v1');
+    assert.equal(reverted.body.version.code, manualCode);
+    assert.equal((await (await fetch(`${sessionUrl}/diff?from=v1&to=v3`)).json()).diff, '');
+
+    const fork = await postJson(`${sessionUrl}/fork`, { versionId: 'v2', newSessionId: 'e2e-versions-fork' });
+    assert.equal(fork.status, 201, JSON.stringify(fork.body));
+    const forkHistory = await (await fetch(`${server.baseUrl}/api/manim/sessions/session/e2e-versions-fork/versions`)).json();
+    assert.deepEqual(forkHistory.versions.map(version => version.id), ['v1', 'v2']);
+    assert.equal(forkHistory.currentVersionId, 'v2');
+    assert.deepEqual(forkHistory.forkedFrom, { sessionId: 'e2e-versions', versionId: 'v2' });
+
+    assert.equal((await postJson(`${sessionUrl}/fork`, { newSessionId: 'e2e-versions-fork' })).status, 409);
+    assert.equal((await fetch(`${sessionUrl}/versions/v99`)).status, 404);
+    assert.equal((await fetch(`${sessionUrl}/versions/latest`)).status, 400);
+  });
+
+  test('render rejects code that breaks the execution policy before running it', async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: [
+        'from manim import *',
+        'import os',
+        '',
+        'class Escape(Scene):',
+        '    def construct(self):',
+        "        os.system('id')",
+        "        eval('1 + 1')",
+        '        ().__class__.__bases__[0].__subclasses__()'
+      ].join('\n'),
+      sessionId: 'e2e-policy'
+    });
+
+    assert.equal(status, 422, JSON.stringify(body));
+    assert.equal(body.success, false);
+
+    const found = body.violations.map(({ rule, name, line }) => `${rule}:${name}:${line}`);
+    for (const expected of [
+      'forbidden-import:os:2',
+      'forbidden-module:os:6',
+      'forbidden-attribute:system:6',
+      'forbidden-builtin:eval:7',
+      'forbidden-attribute:__subclasses__:8'
+    ]) {
+      assert.ok(found.includes(expected), `${expected} missing from ${found.join(', ')}`);
+    }
+
+    const sessionInfo = (await (await fetch(`${server.baseUrl}/api/manim/sessions/session/e2e-policy`)).json()).sessionInfo;
+    assert.equal(sessionInfo.exists, false);
+  });
+
+  test('generate job fails on policy violations without sending them to the LLM', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'unsafe circle',
+      sessionId: 'e2e-policy-stop'
+    });
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'failed');
+    assert.equal(job.error.code, 'CODE_POLICY_VIOLATION');
+    assert.deepEqual(job.error.violations.map(({ rule, line }) => `${rule}:${line}`), ['forbidden-import:2', 'forbidden-module:6']);
+
+    const steps = (await readJobEvents(server.baseUrl, body.jobId)).filter(event => event.type === 'step');
+    assert.equal(steps.filter(event => event.data.step === 'generation-started').length, 1);
+    assert.equal(steps.some(event => ['fix-started', 'fix-attempt'].includes(event.data.step)), false);
+  });
+
+  test('generate job sends policy violations back to the LLM to fix when asked to', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'unsafe circle',
+      sessionId: 'e2e-policy-fix',
+      fixPolicyViolations: true
+    });
+
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'done', JSON.stringify(job.error));
+    assert.match(job.result.code, /class FixedAnimation\(Scene\)/);
+
+    const events = await readJobEvents(server.baseUrl, body.jobId);
+    const rejected = events.find(event => event.type === 'step' && event.data.policyViolations);
+    assert.ok(rejected, 'expected a code-tested step with policy violations');
+    assert.deepEqual(
+      rejected.data.policyViolations.map(({ rule, line }) => `${rule}:${line}`),
+      ['forbidden-import:2', 'forbidden-module:6']
+    );
+  });
+
+  test('render fails with a sandbox violation instead of improving the code', async () => {
+    const { status, body } = await postJson(`${server.baseUrl}/api/manim/render`, {
+      code: `${VALID_CODE}\n# FAKE_MANIM_SANDBOX_VIOLATION`,
+      sessionId: 'e2e-sandbox'
+    });
+
+    assert.equal(status, 422, JSON.stringify(body));
+    assert.equal(body.code, 'SANDBOX_VIOLATION');
+    assert.deepEqual(body.violations, [{ event: 'subprocess.Popen', detail: "starting 'curl'" }]);
+  });
+
+  test('catalog lists, filters and returns rendered animations', async () => {
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'broken circle',
+      sessionId: 'e2e-catalog'
+    });
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.ok(job.result.animationId);
+
+    const list = await (await fetch(`${server.baseUrl}/api/manim/animations?sessionId=e2e-catalog`)).json();
+    assert.equal(list.pagination.total, 1);
+    assert.equal(list.animations[0].id, job.result.animationId);
+    assert.equal(list.animations[0].code, undefined);
+
+    const page = await (await fetch(`${server.baseUrl}/api/manim/animations?limit=1&offset=1`)).json();
+    assert.equal(page.animations.length, 1);
+    assert.ok(page.pagination.total > 1);
+
+    const detail = await (await fetch(`${server.baseUrl}/api/manim/animations/${job.result.animationId}`)).json();
+    assert.equal(detail.animation.prompt, 'broken circle');
+    assert.equal(detail.animation.source, 'generate');
+    assert.equal(detail.animation.renderFlags.wasCodeFixed, true);
+    assert.equal(detail.animation.fixHistory[0].stage, 'generation');
+    assert.ok(detail.animation.fileSize > 0);
+    assert.match(detail.animation.code, /class FixedAnimation\(Scene\)/);
+
+    const missing = await fetch(`${server.baseUrl}/api/manim/animations/does-not-exist`);
+    assert.equal(missing.status, 404);
+
+    const invalid = await fetch(`${server.baseUrl}/api/manim/animations?limit=500`);
+    assert.equal(invalid.status, 400);
+  });
+
+  test('tags log lines with the request ID through background jobs', async () => {
+    const response = await fetch(`${server.baseUrl}/api/manim/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'e2e-request-1' },
+      body: JSON.stringify({ prompt: 'Draw a blue circle', sessionId: 'e2e-logging' })
+    });
+    assert.equal(response.headers.get('x-request-id'), 'e2e-request-1');
+    const { jobId } = await response.json();
+    await waitForJob(server.baseUrl, jobId);
+
+    const entries = server.logs.join('').split('\n')
+      .filter(line => line.startsWith('{'))
+      .map(line => JSON.parse(line))
+      .filter(entry => entry.requestId === 'e2e-request-1');
+
+    assert.ok(entries.some(entry => entry.module === 'http' && entry.status === 202));
+    assert.ok(entries.some(entry => entry.module === 'manimAgent' && entry.jobId === jobId));
+    assert.ok(entries.every(entry => entry.time && entry.level && entry.msg !== undefined));
+
+    const generated = await fetch(`${server.baseUrl}/health`, { headers: { 'X-Request-Id': 'not a valid id' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  test('exposes pipeline metrics in the Prometheus text format', async () => {
+    const response = await fetch(`${server.baseUrl}/metrics`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+    const text = await response.text();
+    const sample = (pattern) => {
+      const match = text.match(new RegExp(`^${pattern} (\\S+)$`, 'm'));
+      assert.ok(match, `missing sample ${pattern}`);
+      return Number(match[1]);
+    };
+
+    assert.match(text, /^# TYPE taxim_generation_duration_seconds histogram$/m);
+    assert.ok(sample('taxim_generation_duration_seconds_count') > 0);
+    assert.equal(
+      sample('taxim_render_duration_seconds_bucket\\{le="\\+Inf"\\}'),
+      sample('taxim_render_duration_seconds_count')
+    );
+    assert.ok(sample('taxim_generations_total\\{outcome="success"\\}') > 0);
+    assert.ok(sample('taxim_renders_total\\{outcome="success"\\}') > 0);
+    assert.ok(sample('taxim_fix_attempts_total\\{category="code"\\}') > 0);
+    assert.ok(sample('taxim_render_cache_lookups_total\\{result="hit"\\}') > 0);
+    assert.ok(sample('taxim_active_sessions') > 0);
+    assert.equal(sample('taxim_render_queue_depth'), 0);
+    assert.ok(sample('taxim_process_resident_memory_bytes') > 0);
+    assert.ok(sample('taxim_process_cpu_seconds_total\\{mode="user"\\}') > 0);
+  });
+
+  test('requests and responses follow the OpenAPI document', async () => {
+    const ajv = createAjv();
+    const responseSchema = (route, method, status) => toJsonSchema(
+      openApiSpec.paths[route][method].responses[status].content['application/json'].schema,
+      openApiSpec
+    );
+    const assertMatches = (body, route, method, status) => {
+      const validate = ajv.compile(responseSchema(route, method, status));
+      assert.ok(validate(body), `${method.toUpperCase()} ${route} ${status}: ${ajv.errorsText(validate.errors)}`);
+    };
+
+    const spec = await (await fetch(`${server.baseUrl}/api/manim/openapi.json`)).json();
+    assert.equal(spec.openapi, '3.0.3');
+    assert.equal((await fetch(`${server.baseUrl}/api/manim/docs/`)).status, 200);
+
+    const render = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, sessionId: 'e2e-openapi', quality: 'MEDIUM' });
+    assert.equal(render.status, 200, JSON.stringify(render.body));
+    assert.equal(render.body.metadata.renderSettings.quality, 'medium');
+    assertMatches(render.body, '/api/manim/render', 'post', 200);
+
+    const generate = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'Draw a blue circle', sessionId: 'e2e-openapi' });
+    assertMatches(generate.body, '/api/manim/generate', 'post', 202);
+    await waitForJob(server.baseUrl, generate.body.jobId);
+    const job = await (await fetch(`${server.baseUrl}/api/manim/jobs/${generate.body.jobId}`)).json();
+    assertMatches(job, '/api/manim/jobs/{jobId}', 'get', 200);
+
+    const list = await (await fetch(`${server.baseUrl}/api/manim/animations?sessionId=e2e-openapi&wasFixed=false`)).json();
+    assertMatches(list, '/api/manim/animations', 'get', 200);
+    assert.equal(list.pagination.limit, 20);
+    const detail = await (await fetch(`${server.baseUrl}/api/manim/animations/${render.body.animationId}`)).json();
+    assertMatches(detail, '/api/manim/animations/{animationId}', 'get', 200);
+    const session = await (await fetch(`${server.baseUrl}/api/manim/session/e2e-openapi`)).json();
+    assertMatches(session, '/api/manim/session/{sessionId}', 'get', 200);
+    assert.equal(session.sessionInfo.exists, true);
+
+    const invalidRequests = [
+      [{ code: VALID_CODE, quality: 'ultra' }, 'quality must be one of: low, medium, high, production, 4k'],
+      [{ code: VALID_CODE, sessionId: 'not a session!' }, 'sessionId has an invalid format'],
+      [{ code: '   ' }, 'code cannot be empty'],
+      [{ sessionId: 'e2e-openapi' }, 'code is required']
+    ];
+    for (const [body, message] of invalidRequests) {
+      const invalid = await postJson(`${server.baseUrl}/api/manim/render`, body);
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error, message);
+      assertMatches(invalid.body, '/api/manim/render', 'post', 400);
+    }
+
+    const invalidQuery = await (await fetch(`${server.baseUrl}/api/manim/animations?since=yesterday`)).json();
+    assert.deepEqual(invalidQuery.errors, [{ location: 'query', field: 'since', message: 'since must match format "date-time"' }]);
+
+    const notFound = await (await fetch(`${server.baseUrl}/api/manim/nope`)).json();
+    assert.ok(notFound.availableRoutes.includes('POST /api/manim/improve'));
+  });
+});
+
+describe('OpenAPI document', () => {
+  test('documents every API route', () => {
+    const routes = [];
+    const collect = (stack, prefix) => {
+      for (const layer of stack) {
+        if (layer.route) {
+          // Express ":id" (optional ":id?") parameters become OpenAPI "{id}"
+          const route = `${prefix}${layer.route.path}`.replace(/:(\w+)\??/g, '{$1}').replace(/\/$/, '');
+          routes.push(...Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${route}`));
+        } else if (layer.handle?.stack) {
+          const mountPath = layer.regexp.source.match(/^\^((?:\\\/[\w-]+)*)/)[1].replace(/\\\//g, '/');
+          collect(layer.handle.stack, prefix + mountPath);
+        }
+      }
+    };
+    collect(manimRoutes.stack, '/api/manim');
+
+    const documented = listOperations(openApiSpec);
+    assert.deepEqual(routes.filter(route => !documented.includes(route)), []);
+  });
+});
+
+describe('sandbox runner', () => {
+  const PROBE = `import os, socket, subprocess, sys
+action = sys.argv[1]
+job_dir = os.environ["TAXIM_SANDBOX_JOB_DIR"]
+if action == "env":
+    print(",".join(sorted(os.environ)))
+elif action == "write-inside":
+    with open(os.path.join(job_dir, "frame.txt"), "w") as f:
+        f.write("ok")
+    print("written")
+elif action == "write-outside":
+    open(os.path.join(job_dir, "..", "escape.txt"), "w")
+elif action == "subprocess":
+    subprocess.run(["id"])
+elif action == "socket":
+    socket.socket(socket.AF_INET, socket.SOCK_STREAM)
+elif action == "swallowed":
+    try:
+        os.system("id")
+    except PermissionError:
+        print("caught")
+`;
+  let baseDir;
+  let jobDir;
+  let probePath;
+
+  const runProbe = (action, baseEnv = process.env) =>
+    spawnSync('python3', [SANDBOX_RUNNER_SCRIPT, probePath, action], {
+      env: createSandboxEnv(jobDir, 10000, baseEnv),
+      encoding: 'utf8',
+      timeout: 20000
+    });
+
+  before(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxim-sandbox-'));
+    jobDir = path.join(baseDir, 'job');
+    fs.mkdirSync(jobDir);
+    probePath = path.join(baseDir, 'probe.py');
+    fs.writeFileSync(probePath, PROBE);
+  });
+
+  after(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  test('strips secrets from the environment', () => {
+    const result = runProbe('env', { ...process.env, GEMINI_API_KEY: 'secret', OPENAI_API_KEY: 'secret', LANG: 'C' });
+    assert.equal(result.status, 0, result.stderr);
+
+    const names = result.stdout.trim().split(',');
+    assert.ok(!names.includes('GEMINI_API_KEY'));
+    assert.ok(!names.includes('OPENAI_API_KEY'));
+    assert.ok(names.includes('LANG'));
+    assert.ok(names.includes('TAXIM_SANDBOX_CPU_SECONDS'));
+  });
+
+  test('allows writes inside the job directory only', () => {
+    const inside = runProbe('write-inside');
+    assert.equal(inside.status, 0, inside.stderr);
+    assert.equal(fs.readFileSync(path.join(jobDir, 'frame.txt'), 'utf8'), 'ok');
+
+    const outside = runProbe('write-outside');
+    assert.notEqual(outside.status, 0);
+    assert.equal(detectSandboxViolations(outside)[0].event, 'open');
+    assert.ok(!fs.existsSync(path.join(baseDir, 'escape.txt')));
+  });
+
+  test('blocks subprocesses and sockets, even when the error is caught', () => {
+    for (const [action, event] of [['subprocess', 'subprocess.Popen'], ['socket', 'socket.__new__'], ['swallowed', 'os.system']]) {
+      const result = runProbe(action);
+      assert.deepEqual(detectSandboxViolations(result).map(violation => violation.event), [event], result.stderr);
+      assert.throws(() => throwOnSandboxViolation(result), { code: 'SANDBOX_VIOLATION' });
+    }
+  });
+});
+
+describe('unavailable code policy analyzer', () => {
+  let server;
+
+  before(async () => {
+    server = await startOfflineServer({ env: { FAKE_PYTHON_SCRIPTS_FAIL: '1' } });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('render is refused and a generate job fails without running or fixing the code', async () => {
+    const render = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, sessionId: 'e2e-no-analyzer' });
+    assert.equal(render.status, 503, JSON.stringify(render.body));
+
+    const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'broken circle', sessionId: 'e2e-no-analyzer' });
+    const job = await waitForJob(server.baseUrl, body.jobId);
+    assert.equal(job.state, 'failed');
+    assert.equal(job.error.code, 'CODE_POLICY_UNAVAILABLE');
+
+    const steps = (await readJobEvents(server.baseUrl, body.jobId)).filter(event => event.type === 'step');
+    assert.equal(steps.filter(event => event.data.step === 'generation-started').length, 1);
+    assert.equal(steps.some(event => ['code-tested', 'fix-started', 'render-started'].includes(event.data.step)), false);
+  });
+});
+
+describe('render workspaces', () => {
+  let server;
+
+  before(async () => {
+    // Sandbox off: the direct dry run must get a workspace of its own as well
+    server = await startOfflineServer({
+      env: { SANDBOX_ENABLED: 'false', MAX_CONCURRENT_RENDERS: '2', FAKE_MANIM_DELAY_MS: '300' }
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+  });
+
+  test('concurrent jobs dry-run and render in separate media directories', async () => {
+    const jobIds = [];
+    for (const quality of ['low', 'medium']) {
+      const { status, body } = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'tex circle', sessionId: `e2e-workspace-${quality}`, quality });
+      assert.equal(status, 202);
+      jobIds.push(body.jobId);
+    }
+
+    const manimRuns = [];
+    for (const jobId of jobIds) {
+      const job = await waitForJob(server.baseUrl, jobId);
+      assert.equal(job.state, 'done', JSON.stringify(job.error));
+
+      const { commands } = await (await fetch(`${server.baseUrl}/api/manim/jobs/${jobId}/logs`)).json();
+      for (const entry of commands.filter(command => command.program === 'manim')) {
+        const mediaDir = entry.command.match(/--media_dir (\S+)/)?.[1];
+        assert.ok(mediaDir, `no --media_dir in ${entry.command}`);
+        const start = Date.parse(entry.startedAt);
+        manimRuns.push({ jobId, dryRun: entry.command.includes('--dry_run'), mediaDir, start, end: start + entry.durationMs });
+      }
+    }
+
+    assert.ok(jobIds.every(jobId => manimRuns.some(run => run.jobId === jobId && run.dryRun)));
+    assert.equal(new Set(manimRuns.map(run => run.mediaDir)).size, manimRuns.length);
+
+    // Both renders held a slot at the same time, each in its own workspace, which is removed afterwards
+    const [first, second] = manimRuns.filter(run => !run.dryRun);
+    assert.ok(first.start < second.end && second.start < first.end, JSON.stringify(manimRuns));
+    assert.ok(manimRuns.every(run => !fs.existsSync(run.mediaDir)));
+    assert.equal(fs.existsSync(path.join(server.workDir, 'media')), false);
+  });
+});
+
+describe('traceback parsing', () => {
+  const code = [
+    'from manim import *',
+    '',
+    'class Broken(Scene):',
+    '    def construct(self):',
+    '        dots = [Dot()]',
+    '        self.play(Create(dots[0]), FadeIn(dots[3]))'
+  ].join('\n');
+
+  test('maps the innermost frame of the scene file and the caret column onto the code', () => {
+    const output = [
+      'Traceback (most recent call last):',
+      '  File "/usr/lib/python3/site-packages/manim/scene/scene.py", line 229, in render',
+      '    self.construct()',
+      '  File "/tmp/temp/animation_1234.py", line 6, in construct',
+      '    self.play(Create(dots[0]), FadeIn(dots[3]))',
+      '                                      ~~~~^^^',
+      'IndexError: list index out of range'
+    ].join('\n');
+
+    const error = parsePythonError(output, { code, fileName: 'animation_1234.py' });
+    assert.equal(error.type, 'IndexError');
+    assert.equal(error.message, 'list index out of range');
+    assert.equal(error.line, 6);
+    assert.equal(code.split('\n')[5].slice(error.column - 1), 'dots[3]))');
+    assert.match(error.snippet, /^> 6 \|         self\.play/m);
+  });
+
+  test('reads Manim\'s Rich tracebacks and skips frames outside the scene file', () => {
+    const output = [
+      '╭──────────── Traceback (most recent call last) ────────────╮',
+      '│ /usr/lib/python3/site-packages/manim/cli/render/commands.py:115 in render │',
+      '│ /tmp/temp/animation_1234.py:6 in construct                                │',
+      '│ ❱  6 │   │   self.play(Create(dots[0]), FadeIn(dots[3]))                  │',
+      '│ /usr/lib/python3/site-packages/manim/mobject/mobject.py:400 in __getitem__ │',
+      '╰────────────────────────────────────────────────────────────╯',
+      'IndexError: list index out of range'
+    ].join('\n');
+
+    const error = parsePythonError(output, { code, fileName: 'animation_1234.py' });
+    assert.equal(error.line, 6);
+    assert.equal(error.column, null);
+
+    const elsewhere = parsePythonError(output, { code, fileName: 'other.py' });
+    assert.equal(elsewhere.type, 'IndexError');
+    assert.equal(elsewhere.line, null);
+    assert.equal(elsewhere.snippet, null);
+  });
+
+  test('returns null for output without a Python exception', () => {
+    assert.equal(parsePythonError('Command failed: ffmpeg -i in.mp4 out.gif\nin.mp4: No such file or directory'), null);
+  });
+});
+
+describe('process runner', () => {
+  const runNode = (script, args = [], options = {}) => runProcess(process.execPath, ['-e', script, ...args], options);
+
+  test('passes arguments without a shell and streams output line by line', async () => {
+    const tricky = 'scene "one" $(touch nope); `id` & echo';
+    const lines = [];
+    const { stdout, stderr } = await runNode(
+      'console.log(process.argv[1]); process.stderr.write("50%|#####\\r100%|##########\\n")',
+      [tricky],
+      { onLine: (line, stream) => lines.push([stream, line]) }
+    );
+
+    assert.equal(stdout, `${tricky}\n`);
+    assert.equal(stderr, '50%|#####\r100%|##########\n');
+    assert.deepEqual(lines.filter(([stream]) => stream === 'stderr'), [['stderr', '50%|#####'], ['stderr', '100%|##########']]);
+    assert.deepEqual(lines.filter(([stream]) => stream === 'stdout'), [['stdout', tricky]]);
+  });
+
+  test('reads the output cap from the environment when a command runs', async () => {
+    process.env.MAX_PROCESS_OUTPUT_CHARS = '1000';
+    try {
+      const { stdout, truncated } = await runNode('console.log("x".repeat(5000))');
+      assert.equal(truncated, true);
+      assert.equal(stdout.length, 1000);
+    } finally {
+      delete process.env.MAX_PROCESS_OUTPUT_CHARS;
+    }
+  });
+
+  test('writes input to stdin and closes it', async () => {
+    const { stdout } = await runNode('process.stdin.pipe(process.stdout)', [], { input: 'line one\nline two' });
+    assert.equal(stdout, 'line one\nline two');
+
+    // Without input, stdin is ignored and reads end right away
+    const { stdout: empty } = await runNode('process.stdin.on("data", d => process.stdout.write(d))');
+    assert.equal(empty, '');
+  });
+
+  test('code policy analysis stops with the cancellation error of its job', async () => {
+    const controller = new AbortController();
+    const reason = new Error('Job was cancelled');
+    controller.abort(reason);
+
+    await assert.rejects(runWithJobContext({ signal: controller.signal }, () => analyzeCode('from manim import *')), reason);
+  });
+
+  test('records a command that fails to start once, with its start error', async () => {
+    const diagnostics = createJobDiagnostics();
+    await assert.rejects(
+      runWithJobContext({ diagnostics }, () => runProcess('taxim-no-such-command', ['--version'])),
+      /Failed to start taxim-no-such-command --version: spawn taxim-no-such-command ENOENT/
+    );
+    // 'close' follows 'error' on a failed spawn
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(diagnostics.commands.length, 1);
+    assert.match(diagnostics.commands[0].error, /ENOENT/);
+    assert.equal(diagnostics.commands[0].exitCode, null);
+  });
+
+  test('reads the job log output cap from the environment when a command is recorded', async () => {
+    const diagnostics = createJobDiagnostics();
+    process.env.JOB_LOG_MAX_OUTPUT_CHARS = '100';
+    try {
+      await runWithJobContext({ diagnostics }, () => runNode('console.log("x".repeat(500))'));
+    } finally {
+      delete process.env.JOB_LOG_MAX_OUTPUT_CHARS;
+    }
+
+    assert.equal(diagnostics.commands[0].truncated, true);
+    assert.equal(diagnostics.commands[0].stdout.length, 100);
+  });
+
+  test('keeps the end of output past the cap instead of failing', async () => {
+    // More than exec's default 1 MB maxBuffer
+    const { stdout, truncated } = await runNode(
+      'for (let i = 0; i < 40000; i++) console.log(`line ${i} ${"x".repeat(40)}`)',
+      [],
+      { maxOutput: 64 * 1024 }
+    );
+
+    assert.equal(truncated, true);
+    assert.ok(stdout.length <= 64 * 1024);
+    assert.ok(stdout.endsWith(`line 39999 ${'x'.repeat(40)}\n`));
+  });
+
+  test('fails with the exit code and stderr, and kills the process group on timeout or abort', async () => {
+    await assert.rejects(runNode('console.error("Traceback: boom"); process.exit(3)'), (error) => {
+      assert.ok(error instanceof ProcessError);
+      assert.equal(error.exitCode, 3);
+      assert.match(error.message, /^Command failed: .*\nTraceback: boom/);
+      return true;
+    });
+
+    // The grandchild stands in for LaTeX/ffmpeg started by manim
+    const spawnGrandchild = 'const child = require("child_process").spawn(process.execPath, ["-e", "setInterval(() => {}, 1000)"], { stdio: "ignore" }); console.log(child.pid); setInterval(() => {}, 1000)';
+    const isAlive = (pid) => {
+      try {
+        process.kill(pid, 0);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+    const waitForDeath = async (pid) => {
+      const deadline = Date.now() + 5000;
+      while (isAlive(pid) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return !isAlive(pid);
+    };
+
+    let grandchild;
+    await assert.rejects(runNode(spawnGrandchild, [], { timeoutMs: 1000, onLine: (line) => { grandchild = Number(line); } }), {
+      name: 'ProcessError',
+      code: 'PROCESS_TIMEOUT',
+      timedOut: true
+    });
+    assert.ok(grandchild);
+    assert.ok(await waitForDeath(grandchild));
+
+    const controller = new AbortController();
+    const aborted = runNode(spawnGrandchild, [], {
+      signal: controller.signal,
+      onLine: (line) => {
+        grandchild = Number(line);
+        controller.abort(new Error('stop'));
+      }
+    });
+    await assert.rejects(aborted, { message: 'stop' });
+    assert.ok(await waitForDeath(grandchild));
+  });
+});
+
+describe('performance monitor', () => {
+  test('reads system metrics for scrapes without recording samples', () => {
+    const monitor = new PerformanceMonitor({ enabled: false });
+
+    const snapshot = monitor.readSystemMetrics();
+    assert.ok(snapshot.processMemory.rss > 0);
+    assert.ok(snapshot.cpuUsage >= 0 && snapshot.cpuUsage <= 1);
+    assert.equal(monitor.getTotals('process.memory.rss').count, 0);
+
+    monitor.collectSystemMetrics();
+    assert.equal(monitor.getTotals('process.memory.rss').count, 1);
+  });
+});
+
+describe('persistent sessions', () => {
+  let storeDir;
+
+  before(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxim-sessions-'));
+  });
+
+  after(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test('sessions survive a restart and clearing removes them from the store', async () => {
+    const env = { SESSION_STORE: 'file', SESSION_STORE_DIR: storeDir };
+
+    let server = await startOfflineServer({ env });
+    let initialInfo;
+    try {
+      const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, {
+        prompt: 'Draw a blue circle',
+        sessionId: 'e2e-persist',
+        userPreferences: { style: 'minimal' }
+      });
+      await waitForJob(server.baseUrl, body.jobId);
+
+      initialInfo = (await (await fetch(`${server.baseUrl}/api/manim/sessions/session/e2e-persist`)).json()).sessionInfo;
+      assert.equal(initialInfo.exists, true);
+    } finally {
+      await server.stop();
+    }
+
+    server = await startOfflineServer({ env });
+    try {
+      const response = await fetch(`${server.baseUrl}/api/manim/sessions/session/e2e-persist`);
+      const { sessionInfo } = await response.json();
+
+      assert.equal(sessionInfo.exists, true);
+      assert.equal(sessionInfo.conversationLength, initialInfo.conversationLength);
+      assert.equal(sessionInfo.codeHistory, initialInfo.codeHistory);
+      assert.deepEqual(sessionInfo.userPreferences, ['style']);
+
+      const cleared = await (await fetch(`${server.baseUrl}/api/manim/sessions/session/e2e-persist`, { method: 'DELETE' })).json();
+      assert.equal(cleared.cleared, true);
+      assert.deepEqual(fs.readdirSync(storeDir), []);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+describe('graceful shutdown', () => {
+  let stateDir;
+
+  before(() => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxim-shutdown-'));
+  });
+
+  after(() => {
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('drains running renders, refuses new work and resumes queued jobs after a restart', async () => {
+    const pendingJobsFile = path.join(stateDir, 'pending-jobs.json');
+    const env = {
+      PENDING_JOBS_FILE: pendingJobsFile,
+      MAX_CONCURRENT_RENDERS: '1',
+      FAKE_MANIM_DELAY_MS: '500',
+      SHUTDOWN_TIMEOUT_MS: '20000'
+    };
+    const getJob = async (baseUrl, jobId) => (await fetch(`${baseUrl}/api/manim/jobs/${jobId}`)).json();
+
+    let server = await startOfflineServer({ env });
+    let queuedJobId;
+    try {
+      // One render slot: the first job renders while the second waits for it.
+      // The second is submitted once the first renders, so it cannot take the slot first.
+      const running = (await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'Draw a blue circle', sessionId: 'e2e-drain' })).body;
+      const deadline = Date.now() + 20000;
+      while ((await getJob(server.baseUrl, running.jobId)).state !== 'rendering' && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      const queued = (await postJson(`${server.baseUrl}/api/manim/generate`, {
+        prompt: 'Draw a blue circle',
+        sessionId: 'e2e-resume',
+        quality: 'medium'
+      })).body;
+      queuedJobId = queued.jobId;
+
+      while (!(await getJob(server.baseUrl, queuedJobId)).renderQueue && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      assert.equal((await getJob(server.baseUrl, running.jobId)).state, 'rendering');
+
+      const runningEvents = readJobEvents(server.baseUrl, running.jobId);
+      const exited = new Promise(resolve => server.child.once('exit', resolve));
+      server.child.kill('SIGTERM');
+
+      let ready;
+      while ((ready = await fetch(`${server.baseUrl}/ready`)).status === 200) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.equal(ready.status, 503);
+
+      const refused = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'Draw a blue circle' });
+      assert.equal(refused.status, 503);
+      assert.equal(refused.body.code, 'SERVICE_UNAVAILABLE');
+
+      // The running render finishes; the waiting job is saved and cancelled
+      const events = await runningEvents;
+      assert.equal(events[events.length - 1].state, 'done');
+      assert.equal(await exited, 0);
+
+      const saved = JSON.parse(fs.readFileSync(pendingJobsFile, 'utf8'));
+      assert.deepEqual(saved.map(job => job.id), [queuedJobId]);
+      assert.equal(saved[0].payload.renderSettings.quality, 'medium');
+      assert.match(server.logs.join(''), /Shutdown complete/);
+    } finally {
+      await server.stop();
+    }
+
+    server = await startOfflineServer({ env });
+    try {
+      const job = await waitForJob(server.baseUrl, queuedJobId);
+      assert.equal(job.state, 'done');
+      assert.equal(job.result.metadata.renderSettings.quality, 'medium');
+      assert.equal(fs.existsSync(pendingJobsFile), false);
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('takes job settings from .env, which loads before the modules reading them', async () => {
+    const pendingJobsFile = path.join(stateDir, 'dotenv-pending-jobs.json');
+    const server = await startOfflineServer({
+      env: { SHUTDOWN_TIMEOUT_MS: '300' },
+      dotenv: `PENDING_JOBS_FILE=${pendingJobsFile}\n`
+    });
+    try {
+      const { body } = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'hanging circle', sessionId: 'e2e-dotenv' });
+
+      const pidFile = path.join(server.workDir, 'fake_manim_hang.pids');
+      const deadline = Date.now() + 20000;
+      while (!fs.existsSync(pidFile) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      // The hanging render outlives the drain, so the job is saved where .env says
+      const exited = new Promise(resolve => server.child.once('exit', resolve));
+      server.child.kill('SIGTERM');
+      assert.equal(await exited, 0);
+
+      const saved = JSON.parse(fs.readFileSync(pendingJobsFile, 'utf8'));
+      assert.deepEqual(saved.map(job => job.id), [body.jobId]);
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+describe('API keys', () => {
+  const KEYS = { admin: 'tx_admin_key', clientA: 'tx_client_a_key', clientB: 'tx_client_b_key' };
+  const auth = (key) => ({ 'X-API-Key': key });
+  let keysDir;
+  let server;
+
+  before(async () => {
+    keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxim-keys-'));
+    fs.writeFileSync(path.join(keysDir, 'api-keys.json'), JSON.stringify({
+      keys: [
+        { id: 'ops', role: 'admin', keyHash: hashApiKey(KEYS.admin) },
+        { id: 'client-a', role: 'client', keyHash: hashApiKey(KEYS.clientA), quotas: { rendersPerDay: 1 } },
+        { id: 'client-b', role: 'client', keyHash: hashApiKey(KEYS.clientB) }
+      ]
+    }));
+    server = await startOfflineServer({
+      env: {
+        API_KEYS_FILE: path.join(keysDir, 'api-keys.json'),
+        API_KEY_USAGE_FILE: path.join(keysDir, 'usage.json')
+      },
+      // From .env, which the jobs routes read after it loads
+      dotenv: 'SSE_HEARTBEAT_MS=200\n'
+    });
+  });
+
+  after(async () => {
+    await server?.stop();
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  const getJson = async (url, headers = {}) => {
+    const response = await fetch(`${server.baseUrl}${url}`, { headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  test('requires a valid key for the API but not for the root health check', async () => {
+    assert.equal((await getJson('/api/manim/status')).status, 401);
+    assert.equal((await getJson('/api/manim/status', auth('tx_wrong'))).status, 401);
+    assert.equal((await getJson('/api/manim/status', { Authorization: `Bearer ${KEYS.clientA}` })).status, 200);
+    assert.equal((await fetch(`${server.baseUrl}/health`)).status, 200);
+  });
+
+  test('keeps sessions, jobs and animations separate per key and enforces render quotas', async () => {
+    const render = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, sessionId: 'shared' }, auth(KEYS.clientA));
+    assert.equal(render.status, 200, JSON.stringify(render.body));
+    assert.equal(render.body.sessionId, 'shared');
+
+    assert.equal((await getJson('/api/manim/sessions/session/shared', auth(KEYS.clientA))).body.sessionInfo.exists, true);
+    assert.equal((await getJson('/api/manim/sessions/session/shared', auth(KEYS.clientB))).body.sessionInfo.exists, false);
+
+    const ownAnimation = await getJson(`/api/manim/animations/${render.body.animationId}`, auth(KEYS.clientA));
+    assert.equal(ownAnimation.body.animation.sessionId, 'shared');
+    assert.equal((await getJson(`/api/manim/animations/${render.body.animationId}`, auth(KEYS.clientB))).status, 404);
+    assert.equal((await getJson('/api/manim/animations', auth(KEYS.clientB))).body.pagination.total, 0);
+
+    const overQuota = await postJson(`${server.baseUrl}/api/manim/render`, { code: VALID_CODE, sessionId: 'shared' }, auth(KEYS.clientA));
+    assert.equal(overQuota.status, 429);
+    assert.deepEqual([overQuota.body.quota.type, overQuota.body.quota.limit], ['renders', 1]);
+
+    const usage = (await getJson('/api/manim/keys/me', auth(KEYS.clientA))).body.usage;
+    assert.deepEqual(usage.renders, { used: 1, limit: 1 });
+
+    const generate = await postJson(`${server.baseUrl}/api/manim/generate`, { prompt: 'Draw a blue circle' }, auth(KEYS.clientB));
+    assert.equal(generate.status, 202);
+    const job = await waitForJob(server.baseUrl, generate.body.jobId, { headers: auth(KEYS.clientB) });
+    assert.equal(job.state, 'done', JSON.stringify(job.error));
+    assert.equal(job.sessionId, 'default');
+    assert.equal((await getJson(`/api/manim/jobs/${generate.body.jobId}`, auth(KEYS.clientA))).status, 404);
+    assert.equal((await getJson(`/api/manim/jobs/${generate.body.jobId}`, auth(KEYS.admin))).body.owner, 'client-b');
+  });
+
+  test('keeps keys sent as ?apiKey= out of the request log', async () => {
+    const response = await fetch(`${server.baseUrl}/api/manim/status?apiKey=${KEYS.clientB}&verbose=1`);
+    assert.equal(response.status, 200);
+
+    // The request is logged once its response has finished
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const logs = server.logs.join('');
+    assert.ok(!logs.includes(KEYS.clientB));
+
+    const entry = logs.split('\n')
+      .filter(line => line.startsWith('{'))
+      .map(line => JSON.parse(line))
+      .find(line => line.module === 'http' && line.url?.startsWith('/api/manim/status?'));
+    assert.equal(entry.url, '/api/manim/status?apiKey=%5BREDACTED%5D&verbose=1');
+    assert.equal(entry.apiKeyId, 'client-b');
+  });
+
+  test('streams job events with client session IDs, heartbeats and Last-Event-ID replay', async () => {
+    // A quality no other test here renders, so the job renders instead of hitting the render cache
+    const generate = await postJson(`${server.baseUrl}/api/manim/generate`, {
+      prompt: 'Draw a blue circle',
+      sessionId: 'sse',
+      quality: 'high'
+    }, auth(KEYS.clientB));
+    assert.equal(generate.status, 202);
+    const eventsUrl = `${server.baseUrl}/api/manim/jobs/${generate.body.jobId}/events?apiKey=${KEYS.clientB}`;
+
+    const parseEvents = (text) => text.split('\n\n')
+      .map(block => block.split('\n').find(line => line.startsWith('data: ')))
+      .filter(Boolean)
+      .map(line => JSON.parse(line.slice('data: '.length)));
+
+    // The body only ends once the server closes the stream after the final state
+    const response = await fetch(eventsUrl, { signal: AbortSignal.timeout(30000) });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const text = await response.text();
+    const events = parseEvents(text);
+
+    assert.match(text, /^: heartbeat$/m);
+    assert.deepEqual(events.map(event => event.id), events.map((_, index) => index + 1));
+    assert.ok(events.some(event => event.type === 'step' && event.data.step === 'render-progress'));
+    assert.deepEqual(
+      events.filter(event => event.type === 'state').map(event => event.state).slice(-2),
+      ['rendering', 'done']
+    );
+
+    const done = events[events.length - 1];
+    assert.equal(done.data.result.sessionId, 'sse');
+    assert.equal(events.find(event => event.data.step === 'prompt-prepared').data.sessionId, 'sse');
+    assert.ok(!text.includes('client-b:'));
+
+    // Reconnecting after an event replays only the later ones, then closes again
+    const replay = await fetch(eventsUrl, { headers: { 'Last-Event-ID': String(done.id - 2) }, signal: AbortSignal.timeout(10000) });
+    assert.deepEqual(parseEvents(await replay.text()).map(event => event.id), [done.id - 1, done.id]);
+  });
+
+  test('restricts admin routes to admin keys', async () => {
+    assert.equal((await postJson(`${server.baseUrl}/api/manim/status/reset-errors`, {}, auth(KEYS.clientA))).status, 403);
+    assert.equal((await getJson('/api/manim/sessions/sessions', auth(KEYS.clientA))).status, 403);
+    assert.equal((await getJson('/api/manim/keys', auth(KEYS.clientB))).status, 403);
+
+    assert.equal((await postJson(`${server.baseUrl}/api/manim/status/reset-errors`, {}, auth(KEYS.admin))).status, 200);
+    const sessions = await getJson('/api/manim/sessions/sessions', auth(KEYS.admin));
+    assert.ok(sessions.body.activeSessions.includes('client-a:shared'));
+    assert.equal(sessions.body.owners['client-a:shared'], 'client-a');
+
+    const keys = await getJson('/api/manim/keys', auth(KEYS.admin));
+    assert.deepEqual(keys.body.keys.map(key => [key.id, key.role]), [['ops', 'admin'], ['client-a', 'client'], ['client-b', 'client']]);
+    assert.ok(!JSON.stringify(keys.body).includes('keyHash'));
+  });
+});
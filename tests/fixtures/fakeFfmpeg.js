@@ -0,0 +1,34 @@
+/**
+ * Fake `ffmpeg` executable for offline end-to-end tests
+ *
+ * Writes a placeholder to the output path (the last argument) naming the input,
+ * e.g. "fake ffmpeg output from MyScene_123.mp4".
+ *
+ * Environment:
+ *   FAKE_FFMPEG_EXIT_CODE - fail with this code without writing output
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const args = process.argv.slice(2);
+
+if (args.includes('-version')) {
+  console.log('ffmpeg version 6.0-fake');
+  process.exit(0);
+}
+
+const inputIndex = args.indexOf('-i');
+const input = inputIndex >= 0 ? args[inputIndex + 1] : null;
+if (!input || !fs.existsSync(input)) {
+  console.error(`${input}: No such file or directory`);
+  process.exit(1);
+}
+
+if (process.env.FAKE_FFMPEG_EXIT_CODE) {
+  console.error('Fake ffmpeg failure');
+  process.exit(parseInt(process.env.FAKE_FFMPEG_EXIT_CODE));
+}
+
+const output = args[args.length - 1];
+fs.writeFileSync(output, `fake ffmpeg output from ${path.basename(input)}\n`);
@@ -0,0 +1,146 @@
+/**
+ * Fake `manim` executable for offline end-to-end tests
+ *
+ * Renders nothing: it prints Manim-like progress and writes a placeholder MP4
+ * where Manim Community would put it (<media_dir>/videos/<file>/<height>p<fps>/<Scene>.mp4).
+ * --format webm|gif, -t (transparent .mov) and -s (last frame as
+ * <media_dir>/images/<file>/<Scene>_ManimCE_v0.18.1.png) change the artifact.
+ * The placeholder records the effective resolution, e.g. "fake mp4 for Scene (1280x720@30)".
+ *
+ * Environment:
+ *   FAKE_MANIM_STDOUT     - extra text written to stdout
+ *   FAKE_MANIM_STDERR     - extra text written to stderr
+ *   FAKE_MANIM_EXIT_CODE  - exit with this code (after writing output)
+ *   FAKE_MANIM_NO_VIDEO   - "1" to skip writing the MP4
+ *   FAKE_MANIM_DELAY_MS   - delay between progress updates
+ *
+ * Scene files containing "# FAKE_MANIM_FAIL" fail with a Python traceback, and
+ * "# FAKE_MANIM_SANDBOX_VIOLATION" fails like a subprocess blocked by the sandbox runner.
+ * "# FAKE_MANIM_HANG" never finishes: it starts a child process (standing in for LaTeX)
+ * and writes "<manim pid> <child pid>" to fake_manim_hang.pids in the working directory.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+
+const QUALITY_PRESETS = {
+  l: { width: 854, height: 480, fps: 15 },
+  m: { width: 1280, height: 720, fps: 30 },
+  h: { width: 1920, height: 1080, fps: 60 },
+  p: { width: 2560, height: 1440, fps: 60 },
+  k: { width: 3840, height: 2160, fps: 60 }
+};
+
+const args = process.argv.slice(2);
+const env = process.env;
+
+if (args.includes('--version')) {
+  console.log('Manim Community v0.18.1 (fake)');
+  process.exit(0);
+}
+
+let mediaDir = path.join(process.cwd(), 'media');
+let quality = 'l';
+let resolution = null;
+let frameRate = null;
+let format = 'mp4';
+let transparent = false;
+let saveLastFrame = false;
+const positional = [];
+
+for (let i = 0; i < args.length; i++) {
+  const arg = args[i];
+  if (arg === '--media_dir') {
+    mediaDir = args[++i];
+  } else if (arg === '--quality' || arg === '-q') {
+    quality = args[++i];
+  } else if (/^-[a-z]*q[lmhpk]$/.test(arg)) {
+    quality = arg.slice(-1);
+  } else if (arg === '-r' || arg === '--resolution') {
+    const [width, height] = args[++i].split(',').map(Number);
+    resolution = { width, height };
+  } else if (arg === '--frame_rate') {
+    frameRate = Number(args[++i]);
+  } else if (arg === '--format') {
+    format = args[++i];
+  } else if (arg === '-t' || arg === '--transparent') {
+    transparent = true;
+  } else if (arg === '-s' || arg === '--save_last_frame') {
+    saveLastFrame = true;
+  } else if (arg.startsWith('--') && args[i + 1] !== undefined && !args[i + 1].startsWith('-') && ['--renderer'].includes(arg)) {
+    i++;
+  } else if (!arg.startsWith('-')) {
+    positional.push(arg);
+  }
+}
+
+const [sceneFile, ...sceneNames] = positional;
+if (!sceneFile || !fs.existsSync(sceneFile)) {
+  console.error(`Error: file ${sceneFile} does not exist`);
+  process.exit(2);
+}
+
+const source = fs.readFileSync(sceneFile, 'utf8');
+const dryRun = args.includes('--dry_run');
+const delay = parseInt(env.FAKE_MANIM_DELAY_MS) || 0;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+if (source.includes('# FAKE_MANIM_HANG') && !dryRun) {
+  const child = spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+  fs.writeFileSync(path.join(process.cwd(), 'fake_manim_hang.pids'), `${process.pid} ${child.pid}`);
+  setInterval(() => {}, 1000);
+  await new Promise(() => {});
+}
+
+if (source.includes('# FAKE_MANIM_FAIL')) {
+  const lineNumber = source.split('\n').findIndex(line => line.includes('# FAKE_MANIM_FAIL')) + 1;
+  console.error([
+    'Traceback (most recent call last):',
+    `  File "${sceneFile}", line ${lineNumber}, in construct`,
+    `    ${source.split('\n')[lineNumber - 1].trim()}`,
+    'RuntimeError: Fake Manim render failure'
+  ].join('\n'));
+  process.exit(1);
+}
+
+if (source.includes('# FAKE_MANIM_SANDBOX_VIOLATION')) {
+  console.error('SANDBOX_VIOLATION {"event": "subprocess.Popen", "detail": "starting \'curl\'"}');
+  console.error("PermissionError: Sandbox blocked subprocess.Popen: starting 'curl'");
+  process.exit(1);
+}
+
+const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS.l;
+const { width, height } = resolution || preset;
+const fps = frameRate || preset.fps;
+
+const scenes = sceneNames.length > 0
+  ? sceneNames
+  : [...source.matchAll(/class\s+(\w+)\s*\(\s*\w*Scene\s*\)/g)].map(match => match[1]);
+
+for (const scene of scenes) {
+  for (const percent of [0, 50, 100]) {
+    process.stderr.write(`Animation 0: Create(Circle): ${String(percent).padStart(3)}%|${'#'.repeat(percent / 10)}| ${percent / 50}/2\r`);
+    if (delay) await sleep(delay);
+  }
+  process.stderr.write('\n');
+
+  if (!dryRun && env.FAKE_MANIM_NO_VIDEO !== '1') {
+    const baseName = path.basename(sceneFile, '.py');
+    const extension = transparent && format === 'mp4' ? 'mov' : format;
+    const outputDir = saveLastFrame
+      ? path.join(mediaDir, 'images', baseName)
+      : path.join(mediaDir, 'videos', baseName, `${height}p${fps}`);
+    const fileName = saveLastFrame ? `${scene}_ManimCE_v0.18.1.png` : `${scene}.${extension}`;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const videoPath = path.join(outputDir, fileName);
+    fs.writeFileSync(videoPath, `fake ${saveLastFrame ? 'png' : extension} for ${scene} (${width}x${height}@${fps})\n`);
+    console.log(`File ready at ${videoPath}`);
+  }
+}
+
+if (env.FAKE_MANIM_STDOUT) process.stdout.write(env.FAKE_MANIM_STDOUT);
+if (env.FAKE_MANIM_STDERR) process.stderr.write(env.FAKE_MANIM_STDERR);
+
+process.exit(parseInt(env.FAKE_MANIM_EXIT_CODE) || 0);
@@ -0,0 +1,78 @@
+/**
+ * Fake `python` executable for offline end-to-end tests
+ *
+ * Supports the invocations the backend makes:
+ *   python --version
+ *   python -m py_compile <file>   (naive check: block statements must end with ':')
+ *   python -m manim ...           (delegates to fakeManim.js)
+ *   python .../sandbox_runner.py -m manim ...
+ *                                 (delegates to fakeManim.js after checking the sandbox environment)
+ *   python <script>.py            (delegates to the real python3, e.g. the code-policy analyzer)
+ *
+ * FAKE_PYTHON_SCRIPTS_FAIL=1 makes every `python <script>.py` fail, as if the script could not run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const args = process.argv.slice(2);
+
+if (args[0] === '--version') {
+  console.log('Python 3.11.0 (fake)');
+  process.exit(0);
+}
+
+if (args[0] === '-m' && args[1] === 'manim') {
+  const fakeManim = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fakeManim.js');
+  const result = spawnSync(process.execPath, [fakeManim, ...args.slice(2)], { stdio: 'inherit' });
+  process.exit(result.status ?? 1);
+}
+
+if (args[0] === '-m' && args[1] === 'py_compile') {
+  const file = args[2];
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const blockStatement = /^(def|class|if|elif|else|for|while|try|except|finally|with)\b/;
+
+  for (let i = 0; i < lines.length; i++) {
+    const code = lines[i].replace(/#.*$/, '').trimEnd();
+    if (blockStatement.test(code.trim()) && !code.endsWith(':')) {
+      console.error([
+        `  File "${file}", line ${i + 1}`,
+        `    ${code.trim()}`,
+        `    ${' '.repeat(code.trim().length)}^`,
+        "SyntaxError: expected ':'"
+      ].join('\n'));
+      process.exit(1);
+    }
+  }
+  process.exit(0);
+}
+
+if (path.basename(args[0] || '') === 'sandbox_runner.py' && args[1] === '-m' && args[2] === 'manim') {
+  const leaked = ['GEMINI_API_KEY', 'OPENAI_API_KEY'].filter(name => name in process.env);
+  if (!process.env.TAXIM_SANDBOX_JOB_DIR || leaked.length > 0) {
+    console.error(`fake python: bad sandbox environment (job dir: ${process.env.TAXIM_SANDBOX_JOB_DIR}, leaked: ${leaked.join(', ')})`);
+    process.exit(3);
+  }
+
+  const fakeManim = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fakeManim.js');
+  const result = spawnSync(process.execPath, [fakeManim, ...args.slice(3)], { stdio: 'inherit' });
+  process.exit(result.status ?? 1);
+}
+
+if (args[0]?.endsWith('.py')) {
+  if (process.env.FAKE_PYTHON_SCRIPTS_FAIL === '1') {
+    console.error(`fake python: ${args[0]} disabled by FAKE_PYTHON_SCRIPTS_FAIL`);
+    process.exit(1);
+  }
+  const result = spawnSync('python3', args, { stdio: 'inherit' });
+  if (result.error) {
+    console.error(`fake python: cannot run ${args[0]} without python3: ${result.error.message}`);
+  }
+  process.exit(result.status ?? 1);
+}
+
+console.error(`fake python: unsupported arguments: ${args.join(' ')}`);
+process.exit(2);
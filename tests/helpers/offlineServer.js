@@ -0,0 +1,135 @@
+/**
+ * Offline test harness: runs server.js against the mock LLM provider and
+ * the fake manim/python executables in an isolated working directory
+ */
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TESTS_DIR = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const ROOT_DIR = path.dirname(TESTS_DIR);
+
+export const FAKE_BIN_DIR = path.join(TESTS_DIR, 'fixtures', 'bin');
+export const MOCK_LLM_SCRIPT = path.join(TESTS_DIR, 'fixtures', 'mockLlmScript.json');
+
+const getFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.unref();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Start the backend in a temporary working directory; `env` overrides the harness defaults
+ * and `dotenv` is written to the working directory's .env file
+ */
+export async function startOfflineServer({ env = {}, dotenv = null, startupTimeoutMs = 15000 } = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taxim-e2e-'));
+  if (dotenv) {
+    fs.writeFileSync(path.join(workDir, '.env'), dotenv);
+  }
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const logs = [];
+
+  const child = spawn(process.execPath, [path.join(ROOT_DIR, 'server.js')], {
+    cwd: workDir,
+    env: {
+      ...process.env,
+      PATH: `${FAKE_BIN_DIR}${path.delimiter}${process.env.PATH}`,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      LLM_PROVIDER: 'mock',
+      MOCK_LLM_SCRIPT,
+      GEMINI_API_KEY: '',
+      RATE_LIMIT_MAX_REQUESTS: '100000',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  child.stdout.on('data', chunk => logs.push(chunk.toString()));
+  child.stderr.on('data', chunk => logs.push(chunk.toString()));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+
+  // Wait for the health endpoint
+  const deadline = Date.now() + startupTimeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) break;
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) {
+        return { baseUrl, workDir, logs, child, stop };
+      }
+    } catch {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+
+  await stop();
+  throw new Error(`Server did not start within ${startupTimeoutMs}ms:\n${logs.join('')}`);
+}
+
+/**
+ * POST JSON and return { status, body }
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Poll a job until it reaches a terminal state
+ */
+export async function waitForJob(baseUrl, jobId, { timeoutMs = 60000, intervalMs = 200, headers = {} } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`${baseUrl}/api/manim/jobs/${jobId}`, { headers });
+    const status = await response.json();
+    if (['done', 'failed', 'cancelled'].includes(status.state)) {
+      return status;
+    }
+    await sleep(intervalMs);
+  }
+
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+/**
+ * Read a job's full Server-Sent Events stream (it closes once the job finishes)
+ */
+export async function readJobEvents(baseUrl, jobId) {
+  const response = await fetch(`${baseUrl}/api/manim/jobs/${jobId}/events`);
+  const text = await response.text();
+
+  return text
+    .split('\n\n')
+    .map(block => block.split('\n').find(line => line.startsWith('data: ')))
+    .filter(Boolean)
+    .map(line => JSON.parse(line.slice('data: '.length)));
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for the render pool: slot limit, FIFO hand-off, queue info and draining
+ *
+ * Run with: npm test
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RenderPool } from '../src/services/renderPool.js';
+
+/**
+ * A render that runs until the test finishes it
+ */
+function startRender(pool, name, log, meta = {}) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  const result = pool.run(async () => {
+    log.push(name);
+    await done;
+    return { name };
+  }, { jobId: name, ...meta });
+  return { result, finish };
+}
+
+// Let resolved slots run their tasks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('render pool', () => {
+  test('runs at most maxConcurrent renders and hands freed slots out in FIFO order', async () => {
+    const pool = new RenderPool({ maxConcurrent: 2 });
+    const started = [];
+    const renders = ['a', 'b', 'c', 'd', 'e'].map(name => startRender(pool, name, started));
+    await flush();
+
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual([pool.getStats().active, pool.getStats().queued], [2, 3]);
+
+    renders[1].finish();
+    await flush();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    renders[0].finish();
+    renders[2].finish();
+    await flush();
+    assert.deepEqual(started, ['a', 'b', 'c', 'd', 'e']);
+    assert.equal(pool.getStats().active, 2);
+
+    renders[3].finish();
+    renders[4].finish();
+    const results = await Promise.all(renders.map(render => render.result));
+    assert.deepEqual(results.map(result => result.name), ['a', 'b', 'c', 'd', 'e']);
+    const stats = pool.getStats();
+    assert.deepEqual([stats.active, stats.queued, stats.totalRuns], [0, 0, 5]);
+  });
+
+  test('reports queue positions through onQueued and getQueueInfo', async () => {
+    const pool = new RenderPool({ maxConcurrent: 1 });
+    const positions = [];
+    const started = [];
+    const renders = ['a', 'b', 'c'].map(name => startRender(pool, name, started, {
+      onQueued: (position) => positions.push([name, position])
+    }));
+    await flush();
+
+    assert.deepEqual(positions, [['b', 1], ['c', 2]]);
+    assert.equal(pool.getQueueInfo('a'), null);
+    assert.equal(pool.getQueueInfo('unknown'), null);
+    assert.equal(pool.getQueueInfo('b').position, 1);
+    assert.equal(pool.getQueueInfo('c').position, 2);
+    assert.ok(pool.getQueueInfo('c').waitMs >= 0);
+
+    renders[0].finish();
+    await flush();
+    assert.equal(pool.getQueueInfo('b'), null);
+    assert.equal(pool.getQueueInfo('c').position, 1);
+
+    renders[1].finish();
+    renders[2].finish();
+    await Promise.all(renders.map(render => render.result));
+  });
+
+  test('aborting a waiting render removes it from the queue', async () => {
+    const pool = new RenderPool({ maxConcurrent: 1 });
+    const started = [];
+    const controller = new AbortController();
+    const running = startRender(pool, 'a', started);
+    const aborted = startRender(pool, 'b', started, { signal: controller.signal });
+    const next = startRender(pool, 'c', started);
+    await flush();
+
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(aborted.result, /cancelled/);
+    assert.equal(pool.getQueueInfo('c').position, 1);
+
+    running.finish();
+    next.finish();
+    await Promise.all([running.result, next.result]);
+    assert.deepEqual(started, ['a', 'c']);
+  });
+
+  test('pause keeps renders queued and rejectQueued fails only the waiting ones', async () => {
+    const pool = new RenderPool({ maxConcurrent: 1 });
+    const started = [];
+    const running = startRender(pool, 'a', started);
+    const waiting = ['b', 'c'].map(name => startRender(pool, name, started));
+    await flush();
+
+    pool.pause();
+    running.finish();
+    assert.equal((await running.result).name, 'a');
+    await flush();
+    assert.deepEqual(started, ['a']);
+    assert.deepEqual([pool.getStats().paused, pool.getStats().queued], [true, 2]);
+
+    assert.equal(pool.rejectQueued(new Error('shutting down')), 2);
+    for (const render of waiting) {
+      await assert.rejects(render.result, /shutting down/);
+    }
+    assert.equal(pool.getStats().queued, 0);
+    assert.equal(pool.rejectQueued(new Error('again')), 0);
+  });
+});